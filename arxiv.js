@@ -0,0 +1,253 @@
+/**
+ * arXiv API Search
+ * Builds advanced arXiv queries (field prefixes, categories, submission date windows)
+ * and pages through the Atom feed, keeping each entry's bibliographic details
+ */
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { JSDOM } = require('jsdom');
+const { createSearchResult } = require('./search_result');
+const { parseDateSetting } = require('./date_utils');
+
+const ARXIV_API_URL = process.env.INPUT_ARXIV_API_URL || 'http://export.arxiv.org/api/query';
+const ARXIV_CATEGORIES = process.env.INPUT_ARXIV_CATEGORIES || ''; // e.g. "cs.AI,cs.CR"
+const ARXIV_SINCE = process.env.INPUT_ARXIV_SINCE || '';           // ISO date, "7d"/"12h", or "last-run"
+const ARXIV_UNTIL = process.env.INPUT_ARXIV_UNTIL || '';           // ISO date, defaults to now
+const ARXIV_SORT = process.env.INPUT_ARXIV_SORT || '';             // relevance | submittedDate | lastUpdatedDate
+const ARXIV_DEFAULT_WINDOW = process.env.INPUT_ARXIV_DEFAULT_WINDOW || '7d'; // "last-run" with no usable previous run
+// Outside research_text/ (the uploaded output); the workflow keeps this directory between runs with actions/cache
+const ARXIV_STATE_FILE = process.env.INPUT_ARXIV_STATE_FILE ||
+    path.resolve(__dirname, '.state', 'arxiv_last_run');
+
+const ATOM_NS = 'http://www.w3.org/2005/Atom';
+const ARXIV_NS = 'http://arxiv.org/schemas/atom';
+const OPENSEARCH_NS = 'http://a9.com/-/spec/opensearch/1.1/';
+
+const FIELD_PREFIXES = ['ti', 'abs', 'au', 'co', 'jr', 'cat', 'rn', 'id', 'all'];
+const PAGE_SIZE = 100;
+const PAGE_DELAY_MS = 3000; // arXiv asks for 3 seconds between calls
+
+/**
+ * Split a query into terms, keeping quoted phrases and field prefixes together
+ * e.g. 'ti:"red teaming" au:Smith safety' -> ['ti:"red teaming"', 'au:Smith', 'safety']
+ */
+function tokenizeQuery(query) {
+    return query.match(/(?:\w+:)?"[^"]*"|\S+/g) || [];
+}
+
+/**
+ * Format a Date as arXiv's submittedDate stamp (YYYYMMDDHHMM, UTC)
+ */
+function toArXivDate(date) {
+    return date.toISOString().replace(/[-:T]/g, '').substring(0, 12);
+}
+
+// This run's window, resolved on the first search so every sub-query shares it
+let runWindow = null;
+
+/**
+ * Resolve a "since" setting to a Date
+ * "last-run" reads the state file; a missing file or an unparseable date falls back to
+ * INPUT_ARXIV_DEFAULT_WINDOW
+ * @param {string} since - ISO date, relative window ("7d", "12h") or "last-run"
+ * @param {string} stateFile - Where the last run time is stored
+ * @returns {Date|null}
+ */
+function resolveSince(since, stateFile = ARXIV_STATE_FILE) {
+    if (!since) return null;
+
+    if (since === 'last-run') {
+        let recorded = null;
+        try {
+            recorded = parseDateSetting(fs.readFileSync(stateFile, 'utf8').trim());
+        } catch (e) {
+            // No previous run
+        }
+        if (recorded && recorded <= new Date()) return recorded;
+
+        console.log(`   ⚠️ No usable previous arXiv run recorded, searching the last ${ARXIV_DEFAULT_WINDOW}`);
+        return parseDateSetting(ARXIV_DEFAULT_WINDOW);
+    }
+
+    return parseDateSetting(since);
+}
+
+/**
+ * The date window for this run: read once, when the first search starts
+ * @returns {{since: Date|null, until: Date|null, startedAt: Date, failed: boolean}}
+ */
+function getRunWindow() {
+    if (!runWindow) {
+        runWindow = {
+            since: resolveSince(ARXIV_SINCE),
+            until: parseDateSetting(ARXIV_UNTIL),
+            startedAt: new Date(),
+            failed: false
+        };
+    }
+    return runWindow;
+}
+
+/**
+ * Record this run's start as the next "last-run" window start
+ * Call once, after the whole run succeeded; does nothing unless INPUT_ARXIV_SINCE is
+ * "last-run" and every arXiv search this run succeeded (a failed one keeps the old window start)
+ * @param {string} [stateFile]
+ */
+function recordArXivRun(stateFile = ARXIV_STATE_FILE) {
+    if (ARXIV_SINCE !== 'last-run' || !runWindow || runWindow.failed) return;
+    try {
+        fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+        fs.writeFileSync(stateFile, runWindow.startedAt.toISOString());
+    } catch (e) {
+        console.log(`   ⚠️ arXiv run time not recorded: ${e.message}`);
+    }
+}
+
+/**
+ * Build an arXiv search_query string
+ * Bare terms search all fields; ti:, abs:, au: etc. prefixes are passed through
+ * @param {string} query - User query, may contain field prefixes and quoted phrases
+ * @param {Object} options
+ * @param {Array<string>} [options.categories] - Category filter, OR-ed together (e.g. ["cs.AI", "cs.CR"])
+ * @param {Date} [options.since] - Earliest submission date
+ * @param {Date} [options.until] - Latest submission date
+ * @returns {string}
+ */
+function buildArXivQuery(query, { categories = [], since = null, until = null } = {}) {
+    const clauses = tokenizeQuery(query).map(token => {
+        const prefix = token.split(':')[0].toLowerCase();
+        if (token.includes(':') && FIELD_PREFIXES.includes(prefix)) return token;
+        return `all:${token}`;
+    });
+
+    if (categories.length) {
+        const catClause = categories.map(c => `cat:${c}`).join(' OR ');
+        clauses.push(categories.length > 1 ? `(${catClause})` : catClause);
+    }
+
+    if (since || until) {
+        const from = since ? toArXivDate(since) : '000001010000';
+        const to = toArXivDate(until || new Date());
+        clauses.push(`submittedDate:[${from} TO ${to}]`);
+    }
+
+    return clauses.join(' AND ');
+}
+
+/**
+ * Parse an arXiv Atom feed into entries with bibliographic details
+ * @param {string} xml - Atom feed
+ * @returns {{total: number, entries: Array<Object>}}
+ */
+function parseArXivFeed(xml) {
+    const document = new JSDOM(xml, { contentType: 'text/xml' }).window.document;
+    const text = (el, ns, name) => el.getElementsByTagNameNS(ns, name)[0]?.textContent?.trim() || '';
+
+    const entries = [...document.getElementsByTagNameNS(ATOM_NS, 'entry')].map(entry => {
+        const id = text(entry, ATOM_NS, 'id');
+        const published = text(entry, ATOM_NS, 'published');
+
+        return {
+            arxivId: id.replace(/^https?:\/\/arxiv\.org\/abs\//, ''),
+            title: text(entry, ATOM_NS, 'title').replace(/\s+/g, ' '),
+            authors: [...entry.getElementsByTagNameNS(ATOM_NS, 'author')].map(a => text(a, ATOM_NS, 'name')),
+            summary: text(entry, ATOM_NS, 'summary').replace(/\s+/g, ' '),
+            published,
+            updated: text(entry, ATOM_NS, 'updated'),
+            categories: [...entry.getElementsByTagNameNS(ATOM_NS, 'category')].map(c => c.getAttribute('term')),
+            primaryCategory: entry.getElementsByTagNameNS(ARXIV_NS, 'primary_category')[0]?.getAttribute('term') || '',
+            doi: text(entry, ARXIV_NS, 'doi') || null,
+            journalRef: text(entry, ARXIV_NS, 'journal_ref')
+        };
+    }).filter(e => e.arxivId);
+
+    const total = parseInt(text(document, OPENSEARCH_NS, 'totalResults'));
+    return { total: isNaN(total) ? entries.length : total, entries };
+}
+
+function entryToResult(entry, query, rank) {
+    return createSearchResult({
+        url: `https://arxiv.org/pdf/${entry.arxivId}.pdf`,
+        title: entry.title,
+        snippet: entry.summary,
+        provider: 'arxiv',
+        query,
+        rank,
+        metadata: {
+            arxivId: entry.arxivId,
+            title: entry.title,
+            authors: entry.authors,
+            abstract: entry.summary,
+            year: entry.published ? new Date(entry.published).getUTCFullYear() : null,
+            venue: entry.journalRef || `arXiv${entry.primaryCategory ? ` [${entry.primaryCategory}]` : ''}`,
+            doi: entry.doi,
+            published: entry.published,
+            categories: entry.categories
+        }
+    });
+}
+
+/**
+ * Search arXiv, paging with `start` until maxLinks entries are collected
+ * Category, date window and sort order come from the INPUT_ARXIV_* settings
+ * @param {string} query - Search query (may include ti:/abs:/au: prefixes)
+ * @param {number} maxLinks - Number of PDF results wanted
+ * @returns {Promise<Array>} - Search result records
+ */
+async function searchArXiv(query, maxLinks) {
+    const links = [];
+    console.log(`\n🔍 Searching arXiv for: "${query}"...`);
+
+    const { since, until } = getRunWindow();
+    const categories = ARXIV_CATEGORIES.split(',').map(c => c.trim()).filter(Boolean);
+    const searchQuery = buildArXivQuery(query, { categories, since, until });
+    // Date-windowed runs want the newest papers first
+    const sortBy = ARXIV_SORT || (since ? 'submittedDate' : 'relevance');
+
+    console.log(`   Query: ${searchQuery} (sorted by ${sortBy})`);
+
+    try {
+        let start = 0;
+        while (links.length < maxLinks) {
+            const response = await axios.get(ARXIV_API_URL, {
+                params: {
+                    search_query: searchQuery,
+                    start,
+                    max_results: Math.min(maxLinks - links.length, PAGE_SIZE),
+                    sortBy,
+                    sortOrder: 'descending'
+                },
+                headers: {
+                    'User-Agent': 'ResearchBot/1.0 (Educational)'
+                },
+                timeout: 20000
+            });
+
+            const { total, entries } = parseArXivFeed(response.data);
+            entries.forEach(entry => links.push(entryToResult(entry, query, links.length + 1)));
+
+            start += entries.length;
+            if (!entries.length || start >= total) break;
+
+            console.log(`   📜 ${start}/${total} entries fetched`);
+            await new Promise(r => setTimeout(r, PAGE_DELAY_MS));
+        }
+
+        console.log(`   ✅ Extracted ${links.length} arXiv PDF links`);
+    } catch (e) {
+        console.log(`   ❌ arXiv failed: ${e.message}`);
+        getRunWindow().failed = true;
+    }
+
+    return links;
+}
+
+module.exports = {
+    buildArXivQuery,
+    parseArXivFeed,
+    resolveSince,
+    recordArXivRun,
+    searchArXiv
+};
@@ -0,0 +1,24 @@
+/**
+ * Date Setting Helpers
+ * Parses the date-window settings shared by several providers
+ */
+
+/**
+ * Parse an absolute or relative date setting
+ * @param {string} value - ISO date ("2024-01-31") or window relative to now ("7d", "12h")
+ * @returns {Date|null} - null when empty or unparseable
+ */
+function parseDateSetting(value) {
+    if (!value) return null;
+
+    const relative = String(value).trim().match(/^(\d+)\s*([dh])$/i);
+    if (relative) {
+        const hours = parseInt(relative[1]) * (relative[2].toLowerCase() === 'd' ? 24 : 1);
+        return new Date(Date.now() - hours * 3600 * 1000);
+    }
+
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+module.exports = { parseDateSetting };
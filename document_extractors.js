@@ -0,0 +1,326 @@
+/**
+ * Document Extractors
+ * Turn non-HTML documents fetched without a browser - plain text, Word (DOCX),
+ * EPUB and PowerPoint (PPTX) - into a title plus the same block list
+ * html_blocks.js builds for web pages
+ */
+const path = require('path');
+const JSZip = require('jszip');
+const { JSDOM } = require('jsdom');
+const { extractBlocks } = require('./html_blocks');
+const { decodeBody } = require('./text_encoding');
+const { isJunkTitle } = require('./pdf_front_matter');
+
+// Source type recorded for each document type
+const SOURCE_TYPES = { txt: 'TEXT', docx: 'DOCX', epub: 'EPUB', pptx: 'PPTX' };
+
+function parseXml(xml) {
+    return new JSDOM(xml, { contentType: 'text/xml' }).window.document;
+}
+
+async function readZipXml(zip, name) {
+    const file = zip.file(name);
+    return file ? parseXml(await file.async('string')) : null;
+}
+
+/**
+ * Child elements with a given qualified name ("w:p")
+ */
+function childrenNamed(element, name) {
+    return element ? Array.from(element.children).filter(child => child.tagName === name) : [];
+}
+
+function descendantsNamed(element, name) {
+    return element ? Array.from(element.getElementsByTagName(name)) : [];
+}
+
+/**
+ * Title from an Office document's core properties, unless it's a placeholder
+ */
+async function coreTitle(zip) {
+    const core = await readZipXml(zip, 'docProps/core.xml');
+    const title = descendantsNamed(core, 'dc:title')[0]?.textContent.trim();
+    return title && !isJunkTitle(title) ? title : null;
+}
+
+/**
+ * Group consecutive list-item blocks into list blocks
+ */
+function groupListItems(blocks) {
+    const grouped = [];
+    for (const block of blocks) {
+        const last = grouped[grouped.length - 1];
+        if (block.type !== 'item') {
+            grouped.push(block);
+        } else if (last?.type === 'list' && last.ordered === block.ordered) {
+            last.items.push({ text: block.text, depth: block.depth });
+        } else {
+            grouped.push({ type: 'list', ordered: block.ordered, items: [{ text: block.text, depth: block.depth }] });
+        }
+    }
+    return grouped;
+}
+
+// ============================================
+// PLAIN TEXT
+// ============================================
+
+/**
+ * Plain text and Markdown: blank lines separate paragraphs, hard-wrapped lines are
+ * rejoined, and Markdown headings and list items are recognised
+ */
+function extractPlainText(bytes, contentType = '') {
+    const text = decodeBody(bytes, contentType).replace(/\r\n?/g, '\n');
+    const blocks = [];
+
+    for (const chunk of text.split(/\n\s*\n/)) {
+        const lines = chunk.split('\n').map(line => line.trim()).filter(Boolean);
+        if (!lines.length) continue;
+
+        const heading = lines[0].match(/^(#{1,6})\s+(.+?)\s*#*$/);
+        if (heading && lines.length === 1) {
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+        } else if (lines.every(line => /^([-*+•]|\d+[.)])\s+/.test(line))) {
+            blocks.push({
+                type: 'list',
+                ordered: /^\d/.test(lines[0]),
+                items: lines.map(line => ({ text: line.replace(/^([-*+•]|\d+[.)])\s+/, ''), depth: 0 }))
+            });
+        } else {
+            // Lines wrapped at a fixed width belong to one paragraph; short ragged lines (verse, addresses) don't
+            const wrapped = lines.length > 1 && lines.slice(0, -1).every(line => line.length >= 50);
+            blocks.push({ type: 'paragraph', text: wrapped ? lines.join(' ') : lines.join('\n') });
+        }
+    }
+
+    const firstLine = text.trim().split('\n')[0].replace(/^#+\s*/, '').trim();
+    return { title: firstLine.length <= 120 ? firstLine : '', blocks };
+}
+
+// ============================================
+// DOCX
+// ============================================
+
+/**
+ * numId -> level -> ordered?, from word/numbering.xml
+ */
+async function readNumbering(zip) {
+    const numbering = await readZipXml(zip, 'word/numbering.xml');
+    const abstractFormats = new Map();
+    for (const abstract of descendantsNamed(numbering, 'w:abstractNum')) {
+        const levels = new Map(descendantsNamed(abstract, 'w:lvl').map(lvl => [
+            lvl.getAttribute('w:ilvl'),
+            descendantsNamed(lvl, 'w:numFmt')[0]?.getAttribute('w:val') !== 'bullet'
+        ]));
+        abstractFormats.set(abstract.getAttribute('w:abstractNumId'), levels);
+    }
+
+    const formats = new Map();
+    for (const num of descendantsNamed(numbering, 'w:num')) {
+        const abstractId = descendantsNamed(num, 'w:abstractNumId')[0]?.getAttribute('w:val');
+        formats.set(num.getAttribute('w:numId'), abstractFormats.get(abstractId) || new Map());
+    }
+    return formats;
+}
+
+/**
+ * Text of a Word paragraph: runs, tabs and line breaks
+ */
+function wordParagraphText(paragraph) {
+    let text = '';
+    const visit = (node) => {
+        for (const child of Array.from(node.children)) {
+            if (child.tagName === 'w:t') text += child.textContent;
+            else if (child.tagName === 'w:tab') text += ' ';
+            else if (child.tagName === 'w:br' || child.tagName === 'w:cr') text += '\n';
+            // Deleted text in tracked changes and field codes aren't part of the document
+            else if (!['w:del', 'w:instrText', 'w:pPr'].includes(child.tagName)) visit(child);
+        }
+    };
+    visit(paragraph);
+    return text.replace(/[ \t]+/g, ' ').trim();
+}
+
+function wordTable(table) {
+    const rows = childrenNamed(table, 'w:tr').map(row => ({
+        isHeader: descendantsNamed(row, 'w:tblHeader').length > 0,
+        cells: childrenNamed(row, 'w:tc').map(cell => childrenNamed(cell, 'w:p').map(wordParagraphText).filter(Boolean).join(' '))
+    })).filter(row => row.cells.some(Boolean));
+    if (!rows.length) return null;
+
+    const columns = Math.max(...rows.map(row => row.cells.length));
+    const pad = (cells) => Array.from({ length: columns }, (_, c) => cells[c] || '');
+    const headerRows = rows[0].isHeader ? 1 : 0;
+    return {
+        type: 'table',
+        caption: '',
+        header: headerRows ? pad(rows[0].cells) : null,
+        rows: rows.slice(headerRows).map(row => pad(row.cells))
+    };
+}
+
+/**
+ * Word documents: heading styles become headings, numbered/bulleted paragraphs lists,
+ * tables tables
+ */
+async function extractDocx(bytes) {
+    const zip = await JSZip.loadAsync(bytes);
+    const document = await readZipXml(zip, 'word/document.xml');
+    const numbering = await readNumbering(zip);
+    const body = descendantsNamed(document, 'w:body')[0];
+
+    let styleTitle = null;
+    const blocks = [];
+    const visit = (element) => {
+        for (const child of Array.from(element.children)) {
+            if (child.tagName === 'w:tbl') {
+                const table = wordTable(child);
+                if (table) blocks.push(table);
+                continue;
+            }
+            // Content controls wrap ordinary paragraphs
+            if (child.tagName === 'w:sdt' || child.tagName === 'w:sdtContent') {
+                visit(child);
+                continue;
+            }
+            if (child.tagName !== 'w:p') continue;
+
+            const text = wordParagraphText(child);
+            if (!text) continue;
+            const style = descendantsNamed(child, 'w:pStyle')[0]?.getAttribute('w:val') || '';
+            const headingLevel = style.match(/^heading\s?(\d)$/i)?.[1];
+            const numId = descendantsNamed(child, 'w:numId')[0]?.getAttribute('w:val');
+
+            if (/^title$/i.test(style)) {
+                styleTitle = styleTitle || text;
+                blocks.push({ type: 'heading', level: 1, text });
+            } else if (headingLevel) {
+                blocks.push({ type: 'heading', level: Math.min(6, Number(headingLevel)), text: text.replace(/\n/g, ' ') });
+            } else if (numId && numId !== '0') {
+                const level = descendantsNamed(child, 'w:ilvl')[0]?.getAttribute('w:val') || '0';
+                blocks.push({ type: 'item', ordered: numbering.get(numId)?.get(level) ?? false, depth: Number(level), text });
+            } else {
+                blocks.push({ type: 'paragraph', text });
+            }
+        }
+    };
+    if (body) visit(body);
+
+    const firstHeading = blocks.find(block => block.type === 'heading')?.text;
+    return { title: (await coreTitle(zip)) || styleTitle || firstHeading || '', blocks: groupListItems(blocks) };
+}
+
+// ============================================
+// PPTX
+// ============================================
+
+/**
+ * Text of a DrawingML paragraph (<a:p>)
+ */
+function drawingParagraphText(paragraph) {
+    return descendantsNamed(paragraph, 'a:t').map(t => t.textContent).join('').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Slide decks: one heading per slide (its title), then its text boxes as paragraphs
+ * or bullet lists, and its tables
+ */
+async function extractPptx(bytes) {
+    const zip = await JSZip.loadAsync(bytes);
+    const slideFiles = Object.keys(zip.files)
+        .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+        .sort((a, b) => Number(a.match(/(\d+)\.xml$/)[1]) - Number(b.match(/(\d+)\.xml$/)[1]));
+
+    const blocks = [];
+    let firstTitle = null;
+    for (const [i, name] of slideFiles.entries()) {
+        const slide = await readZipXml(zip, name);
+        const slideBlocks = [];
+        let slideTitle = null;
+
+        for (const shape of descendantsNamed(slide, 'p:sp')) {
+            const placeholder = descendantsNamed(shape, 'p:ph')[0]?.getAttribute('type') || '';
+            const paragraphs = descendantsNamed(shape, 'a:p')
+                .map(p => ({ text: drawingParagraphText(p), depth: Number(descendantsNamed(p, 'a:pPr')[0]?.getAttribute('lvl') || 0) }))
+                .filter(p => p.text);
+            if (!paragraphs.length) continue;
+
+            if (['title', 'ctrTitle'].includes(placeholder) && !slideTitle) {
+                slideTitle = paragraphs.map(p => p.text).join(' ');
+            } else if (paragraphs.length > 1) {
+                slideBlocks.push({ type: 'list', ordered: false, items: paragraphs });
+            } else {
+                slideBlocks.push({ type: 'paragraph', text: paragraphs[0].text });
+            }
+        }
+
+        for (const table of descendantsNamed(slide, 'a:tbl')) {
+            const rows = descendantsNamed(table, 'a:tr').map(row => descendantsNamed(row, 'a:tc').map(cell =>
+                descendantsNamed(cell, 'a:p').map(drawingParagraphText).filter(Boolean).join(' ')));
+            if (rows.length) slideBlocks.push({ type: 'table', caption: '', header: rows.length > 1 ? rows[0] : null, rows: rows.length > 1 ? rows.slice(1) : rows });
+        }
+
+        firstTitle = firstTitle || slideTitle;
+        blocks.push({ type: 'heading', level: 2, text: slideTitle ? `Slide ${i + 1}: ${slideTitle}` : `Slide ${i + 1}` });
+        blocks.push(...slideBlocks);
+    }
+
+    return { title: (await coreTitle(zip)) || firstTitle || '', blocks };
+}
+
+// ============================================
+// EPUB
+// ============================================
+
+/**
+ * E-books: the chapters in spine (reading) order, each read like a web page
+ */
+async function extractEpub(bytes) {
+    const zip = await JSZip.loadAsync(bytes);
+    const container = await readZipXml(zip, 'META-INF/container.xml');
+    const opfPath = descendantsNamed(container, 'rootfile')[0]?.getAttribute('full-path');
+    const opf = opfPath ? await readZipXml(zip, opfPath) : null;
+    if (!opf) throw new Error('EPUB has no package document');
+
+    const manifest = new Map(descendantsNamed(opf, 'item').map(item => [item.getAttribute('id'), item]));
+    const spine = descendantsNamed(opf, 'itemref').map(ref => manifest.get(ref.getAttribute('idref'))).filter(Boolean);
+
+    const blocks = [];
+    for (const item of spine) {
+        // The navigation document repeats the table of contents
+        if ((item.getAttribute('properties') || '').includes('nav')) continue;
+        const href = path.posix.join(path.posix.dirname(opfPath), decodeURIComponent(item.getAttribute('href') || ''));
+        const file = zip.file(href);
+        if (!file) continue;
+
+        const html = await file.async('string');
+        blocks.push(...extractBlocks(new JSDOM(html).window.document.body));
+    }
+
+    const title = descendantsNamed(opf, 'dc:title')[0]?.textContent.trim() || '';
+    return { title, blocks };
+}
+
+/**
+ * Extract a static document
+ * @param {string} type - "txt", "docx", "pptx" or "epub" (see sniffDocumentType)
+ * @param {Buffer} bytes
+ * @param {string} [contentType] - Content-Type header (for text charsets)
+ * @returns {Promise<{type: string, title: string, blocks: Array<Object>}|null>} - type is the source type
+ *          (TEXT, DOCX, PPTX, EPUB); null for types without an extractor
+ */
+async function extractDocument(type, bytes, contentType = '') {
+    const extractors = { txt: extractPlainText, docx: extractDocx, pptx: extractPptx, epub: extractEpub };
+    if (!extractors[type]) return null;
+
+    const { title, blocks } = await extractors[type](bytes, contentType);
+    return { type: SOURCE_TYPES[type], title, blocks };
+}
+
+module.exports = {
+    extractPlainText,
+    extractDocx,
+    extractPptx,
+    extractEpub,
+    extractDocument
+};
@@ -0,0 +1,93 @@
+/**
+ * Static Document Fetch
+ * Plain HTTP fetch (no browser) that works out what a link really is from the
+ * response's magic bytes and Content-Type, rather than from its URL
+ */
+const axios = require('axios');
+const JSZip = require('jszip');
+const { scheduleFetch } = require('./fetch_scheduler');
+
+const MAX_DOCUMENT_BYTES = parseInt(process.env.INPUT_MAX_DOCUMENT_BYTES || "50000000"); // larger responses are abandoned
+const FETCH_TIMEOUT_MS = 20000;
+const SNIFF_BYTES = 1024;
+
+// Content-Type -> document type, for text that doesn't identify itself
+const TEXT_TYPES = {
+    'text/html': 'html',
+    'application/xhtml+xml': 'html',
+    'text/plain': 'txt',
+    'text/markdown': 'txt'
+};
+
+/**
+ * Tell the zip-based formats apart by their required entries
+ * @returns {Promise<string|null>} - "docx", "pptx", "epub" or null
+ */
+async function zipDocumentType(bytes) {
+    try {
+        const zip = await JSZip.loadAsync(bytes);
+        if (zip.file('word/document.xml')) return 'docx';
+        if (zip.file('ppt/presentation.xml')) return 'pptx';
+        const mimetype = zip.file('mimetype');
+        if ((mimetype && (await mimetype.async('string')).trim() === 'application/epub+zip') || zip.file('META-INF/container.xml')) return 'epub';
+    } catch (e) {
+        // Not a readable zip
+    }
+    return null;
+}
+
+/**
+ * Identify a response body
+ * Magic bytes win over the Content-Type header, which servers often get wrong
+ * (PDFs sent as application/octet-stream, DOCX as application/zip)
+ * @param {Buffer} bytes - Response body
+ * @param {string} [contentType] - Content-Type header
+ * @returns {Promise<string|null>} - "pdf", "html", "txt", "docx", "pptx", "epub", or null if unsupported
+ */
+async function sniffDocumentType(bytes, contentType = '') {
+    const head = bytes.subarray(0, SNIFF_BYTES).toString('latin1');
+    const mime = contentType.split(';')[0].trim().toLowerCase();
+
+    if (head.includes('%PDF-')) return 'pdf';
+    if (head.startsWith('PK\x03\x04')) return zipDocumentType(bytes);
+
+    // Binary content isn't text whatever the header says
+    if (head.includes('\x00')) return null;
+    if (/^(\xEF\xBB\xBF)?\s*(<!--[\s\S]*?-->\s*)*<(!doctype html|html|head|body)\b/i.test(head)) return 'html';
+
+    return TEXT_TYPES[mime] || null;
+}
+
+/**
+ * Fetch a URL without a browser and identify what came back
+ * @param {string} url
+ * @returns {Promise<{url: string, type: string|null, contentType: string, bytes: Buffer}>}
+ *          url is the final URL after redirects; type as from sniffDocumentType
+ *          Throws on network errors, HTTP errors and robots.txt skips
+ */
+async function fetchDocument(url) {
+    const response = await scheduleFetch(url, () => axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: FETCH_TIMEOUT_MS,
+        maxContentLength: MAX_DOCUMENT_BYTES,
+        maxRedirects: 10,
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+            'Accept': 'text/html,application/xhtml+xml,application/pdf,*/*;q=0.8'
+        }
+    }));
+
+    const bytes = Buffer.from(response.data);
+    const contentType = response.headers['content-type'] || '';
+    return {
+        url: response.request?.res?.responseUrl || url,
+        type: await sniffDocumentType(bytes, contentType),
+        contentType,
+        bytes
+    };
+}
+
+module.exports = {
+    sniffDocumentType,
+    fetchDocument
+};
@@ -0,0 +1,167 @@
+/**
+ * DOI Resolver
+ * Looks up a DOI in an open-access metadata service (Unpaywall or OpenAlex)
+ * to find the best open-access PDF and bibliographic details before fetching anything
+ */
+const axios = require('axios');
+
+const DOI_RESOLVER = process.env.INPUT_DOI_RESOLVER || 'unpaywall'; // unpaywall | openalex | off
+const DOI_EMAIL = (process.env.INPUT_DOI_EMAIL || '').trim();          // Unpaywall requires a real contact address; OpenAlex uses it when given
+
+// Unpaywall rejects blank and placeholder (example.com) addresses
+const HAS_EMAIL = /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(DOI_EMAIL) && !/@example\.(com|org|net)$/i.test(DOI_EMAIL);
+let warnedNoEmail = false;
+
+const DEFAULT_ENDPOINTS = {
+    unpaywall: 'https://api.unpaywall.org/v2',
+    openalex: 'https://api.openalex.org'
+};
+
+// Endpoint override, e.g. a local stand-in serving recorded responses
+const DOI_RESOLVER_URL = process.env.INPUT_DOI_RESOLVER_URL || DEFAULT_ENDPOINTS[DOI_RESOLVER] || '';
+
+const DOI_PATTERN = /10\.\d{4,9}\/[^\s"'<>#?&]+/i;
+
+// One lookup per DOI per run
+const cache = new Map();
+
+/**
+ * Find a DOI in a URL or string (doi.org links, publisher URLs, "doi:" citations)
+ * @returns {string|null} - Lower-cased DOI without trailing punctuation
+ */
+function extractDOI(text) {
+    if (!text) return null;
+
+    let decoded = text;
+    try {
+        decoded = decodeURIComponent(text);
+    } catch (e) {
+        // Malformed escapes, search the raw string
+    }
+
+    const match = decoded.match(DOI_PATTERN);
+    if (!match) return null;
+
+    return match[0]
+        .replace(/[.,;:)\]]+$/, '')
+        .replace(/\.pdf$/i, '')
+        .toLowerCase();
+}
+
+/**
+ * Normalize an Unpaywall /v2/{doi} response
+ */
+function normalizeUnpaywall(data) {
+    const best = data.best_oa_location || {};
+    const locations = data.oa_locations || [];
+    // Prefer the best location's PDF, then any location that has one
+    const pdfUrl = best.url_for_pdf || locations.find(l => l.url_for_pdf)?.url_for_pdf || null;
+
+    return {
+        doi: (data.doi || '').toLowerCase(),
+        isOpenAccess: Boolean(data.is_oa),
+        pdfUrl,
+        landingUrl: best.url_for_landing_page || best.url || data.doi_url || null,
+        metadata: {
+            title: data.title || '',
+            authors: (data.z_authors || [])
+                .map(a => [a.given, a.family].filter(Boolean).join(' ') || a.raw_author_name)
+                .filter(Boolean),
+            year: data.year || null,
+            venue: data.journal_name || '',
+            publisher: data.publisher || '',
+            publicationDate: data.published_date || null,
+            doi: (data.doi || '').toLowerCase() || null,
+            license: best.license || null
+        }
+    };
+}
+
+/**
+ * Normalize an OpenAlex /works/doi:{doi} response
+ */
+function normalizeOpenAlex(data) {
+    const best = data.best_oa_location || {};
+    const locations = data.locations || [];
+    const pdfUrl = best.pdf_url || locations.find(l => l.is_oa && l.pdf_url)?.pdf_url || null;
+    const doi = (data.doi || '').replace(/^https?:\/\/doi\.org\//i, '').toLowerCase();
+
+    // OpenAlex stores abstracts as an inverted index of word -> positions
+    let abstract = '';
+    if (data.abstract_inverted_index) {
+        const words = [];
+        for (const [word, positions] of Object.entries(data.abstract_inverted_index)) {
+            positions.forEach(pos => { words[pos] = word; });
+        }
+        abstract = words.filter(Boolean).join(' ');
+    }
+
+    return {
+        doi,
+        isOpenAccess: Boolean(data.open_access?.is_oa),
+        pdfUrl,
+        landingUrl: best.landing_page_url || data.primary_location?.landing_page_url || null,
+        metadata: {
+            title: data.title || data.display_name || '',
+            authors: (data.authorships || []).map(a => a.author?.display_name).filter(Boolean),
+            year: data.publication_year || null,
+            venue: data.primary_location?.source?.display_name || '',
+            abstract,
+            citationCount: data.cited_by_count ?? null,
+            publicationDate: data.publication_date || null,
+            doi: doi || null,
+            license: best.license || null
+        }
+    };
+}
+
+/**
+ * Resolve a DOI to its best open-access location and metadata
+ * @param {string} doi - DOI (with or without a doi.org prefix)
+ * @returns {Promise<Object|null>} - { doi, isOpenAccess, pdfUrl, landingUrl, metadata } or null
+ */
+async function resolveDOI(doi) {
+    const normalized = extractDOI(doi);
+    if (!normalized || DOI_RESOLVER === 'off' || !DOI_RESOLVER_URL) return null;
+    if (cache.has(normalized)) return cache.get(normalized);
+    if (DOI_RESOLVER === 'unpaywall' && !HAS_EMAIL) {
+        if (!warnedNoEmail) console.log(`   ⚠️ Unpaywall skipped: set INPUT_DOI_EMAIL (the doi_email workflow input) to a real contact address`);
+        warnedNoEmail = true;
+        return null;
+    }
+
+    let resolved = null;
+    try {
+        if (DOI_RESOLVER === 'openalex') {
+            const response = await axios.get(`${DOI_RESOLVER_URL}/works/doi:${normalized}`, {
+                params: HAS_EMAIL ? { mailto: DOI_EMAIL } : {},
+                headers: { 'User-Agent': 'ResearchBot/1.0 (Educational)' },
+                timeout: 15000
+            });
+            resolved = normalizeOpenAlex(response.data);
+        } else {
+            const response = await axios.get(`${DOI_RESOLVER_URL}/${encodeURIComponent(normalized)}`, {
+                params: { email: DOI_EMAIL },
+                headers: { 'User-Agent': 'ResearchBot/1.0 (Educational)' },
+                timeout: 15000
+            });
+            resolved = normalizeUnpaywall(response.data);
+        }
+
+        const status = resolved.pdfUrl ? 'open-access PDF found' : 'no open-access PDF';
+        console.log(`      🔗 DOI ${normalized}: ${status}`);
+    } catch (e) {
+        console.log(`      ⚠️ DOI lookup failed for ${normalized}: ${e.message}`);
+    }
+
+    cache.set(normalized, resolved);
+    return resolved;
+}
+
+module.exports = {
+    CONTACT_EMAIL: HAS_EMAIL ? DOI_EMAIL : null, // for other APIs that ask clients to identify themselves
+    extractDOI,
+    normalizeUnpaywall,
+    normalizeOpenAlex,
+    resolveDOI
+};
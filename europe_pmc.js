@@ -0,0 +1,199 @@
+/**
+ * Europe PMC Provider
+ * Searches Europe PMC for open-access biomedical literature and pulls the
+ * PMC full text as JATS XML, split into sections and paragraphs
+ */
+const axios = require('axios');
+const { JSDOM } = require('jsdom');
+const { createSearchResult } = require('./search_result');
+
+// Override to point at a local stand-in serving recorded responses
+const EUROPE_PMC_URL = process.env.INPUT_EUROPE_PMC_URL || 'https://www.ebi.ac.uk/europepmc/webservices/rest';
+
+const PAGE_SIZE = 100;
+
+// Sections that are bibliographic noise rather than content
+const SKIPPED_SECTIONS = /^(references?|acknowledg(e)?ments?|funding|author contributions?|conflicts? of interest|competing interests?|supplementary (material|data)|abbreviations)$/i;
+
+async function epmcGet(endpoint, params, responseType = 'json') {
+    const response = await axios.get(`${EUROPE_PMC_URL}${endpoint}`, {
+        params,
+        responseType,
+        headers: { 'User-Agent': 'ResearchBot/1.0 (Educational)' },
+        timeout: 20000
+    });
+    return response.data;
+}
+
+/**
+ * Normalize a Europe PMC "core" search hit into search result metadata
+ */
+function hitToMetadata(hit) {
+    const authors = hit.authorList?.author?.map(a => a.fullName).filter(Boolean) ||
+        (hit.authorString || '').split(',').map(a => a.trim().replace(/\.$/, '')).filter(Boolean);
+
+    return {
+        pmcid: hit.pmcid || null,
+        pmid: hit.pmid || null,
+        doi: hit.doi ? hit.doi.toLowerCase() : null,
+        title: (hit.title || '').replace(/\.$/, ''),
+        authors,
+        year: parseInt(hit.pubYear) || null,
+        venue: hit.journalInfo?.journal?.title || hit.bookOrReportDetails?.publisher || '',
+        abstract: (hit.abstractText || '').replace(/<[^>]+>/g, ''),
+        citationCount: hit.citedByCount ?? null,
+        publicationDate: hit.firstPublicationDate || null
+    };
+}
+
+/**
+ * Best fallback link for a hit: an open PDF from its full-text list, else the article page
+ */
+function hitUrl(hit) {
+    const fullTextUrls = hit.fullTextUrlList?.fullTextUrl || [];
+    const openPdf = fullTextUrls.find(u => u.documentStyle === 'pdf' && /open|free/i.test(u.availability || ''));
+    if (openPdf) return openPdf.url;
+    return `https://europepmc.org/article/PMC/${hit.pmcid}`;
+}
+
+/**
+ * Search Europe PMC for open-access articles with full text in PMC
+ * @param {string} query - Search query (Europe PMC syntax is passed through)
+ * @param {number} maxLinks - Number of results wanted
+ * @returns {Promise<Array>} - Search result records
+ */
+async function searchEuropePMC(query, maxLinks) {
+    const links = [];
+    console.log(`\n🔍 Searching Europe PMC for: "${query}"...`);
+
+    try {
+        let cursorMark = '*';
+        while (links.length < maxLinks) {
+            const data = await epmcGet('/search', {
+                query: `(${query}) AND OPEN_ACCESS:y AND IN_EPMC:y`,
+                format: 'json',
+                resultType: 'core',
+                pageSize: Math.min(PAGE_SIZE, maxLinks - links.length),
+                cursorMark
+            });
+
+            const hits = data?.resultList?.result || [];
+            if (cursorMark === '*') console.log(`   Found ${data?.hitCount ?? hits.length} open-access articles`);
+
+            for (const hit of hits) {
+                if (!hit.pmcid || links.length >= maxLinks) continue;
+                const metadata = hitToMetadata(hit);
+                links.push(createSearchResult({
+                    url: hitUrl(hit),
+                    title: metadata.title,
+                    snippet: metadata.abstract,
+                    provider: 'europe_pmc',
+                    query,
+                    rank: links.length + 1,
+                    metadata
+                }));
+            }
+
+            // The cursor stops changing on the last page
+            if (!hits.length || !data.nextCursorMark || data.nextCursorMark === cursorMark) break;
+            cursorMark = data.nextCursorMark;
+        }
+
+        console.log(`   ✅ Extracted ${links.length} Europe PMC articles`);
+    } catch (e) {
+        console.log(`   ❌ Europe PMC failed: ${e.message}`);
+    }
+
+    return links;
+}
+
+/**
+ * Turn a JATS article into title, abstract and body sections
+ * @param {string} xml - JATS XML (PMC OA full text)
+ * @returns {{title: string, abstract: string, sections: Array<{heading: string, level: number, paragraphs: Array<string>}>}}
+ */
+function parseJATS(xml) {
+    const document = new JSDOM(xml, { contentType: 'text/xml' }).window.document;
+    const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+    // Drop floating tables, figures and formulas from the body text
+    document.querySelectorAll('table-wrap, fig, disp-formula, supplementary-material').forEach(n => n.remove());
+
+    const title = clean(document.querySelector('article-meta title-group article-title')?.textContent);
+    const abstractParas = [...document.querySelectorAll('article-meta abstract p')].map(p => clean(p.textContent));
+
+    const sections = [];
+    const walk = (parent, level) => {
+        for (const child of parent.children) {
+            if (child.tagName !== 'sec') continue;
+
+            const heading = clean([...child.children].find(c => c.tagName === 'title')?.textContent);
+            if (SKIPPED_SECTIONS.test(heading)) continue;
+
+            const paragraphs = [...child.children]
+                .filter(c => c.tagName === 'p')
+                .map(p => clean(p.textContent))
+                .filter(Boolean);
+
+            sections.push({ heading, level, paragraphs });
+            walk(child, level + 1);
+        }
+    };
+
+    const body = document.querySelector('body');
+    if (body) {
+        // Paragraphs directly under <body> (articles without sections)
+        const loose = [...body.children].filter(c => c.tagName === 'p').map(p => clean(p.textContent)).filter(Boolean);
+        if (loose.length) sections.push({ heading: '', level: 1, paragraphs: loose });
+        walk(body, 1);
+    }
+
+    return { title, abstract: abstractParas.join('\n\n'), sections };
+}
+
+/**
+ * Render sections as plain text with headings on their own lines
+ */
+function sectionsToText(sections) {
+    return sections
+        .map(s => [s.heading, ...s.paragraphs].filter(Boolean).join('\n\n'))
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+/**
+ * Fetch a Europe PMC result's full text
+ * @param {Object} result - Search result record from searchEuropePMC
+ * @returns {Promise<Object|null>} - { type, title, content, sections } or null to fall back to the URL
+ */
+async function fetchEuropePMCFullText(result) {
+    const pmcid = result.metadata?.pmcid;
+    if (!pmcid) return null;
+
+    try {
+        console.log(`      🧬 Fetching PMC full text: ${pmcid}`);
+        const xml = await epmcGet(`/${pmcid}/fullTextXML`, {}, 'text');
+        const { title, abstract, sections } = parseJATS(xml);
+
+        if (abstract) sections.unshift({ heading: 'Abstract', level: 1, paragraphs: abstract.split('\n\n') });
+        if (!sections.some(s => s.paragraphs.length)) return null;
+
+        return {
+            type: 'ARTICLE',
+            title: title || result.metadata.title,
+            content: sectionsToText(sections),
+            sections
+        };
+    } catch (e) {
+        console.log(`      ⚠️ PMC full text unavailable for ${pmcid}: ${e.message}`);
+        return null;
+    }
+}
+
+module.exports = {
+    hitToMetadata,
+    parseJATS,
+    sectionsToText,
+    searchEuropePMC,
+    fetchEuropePMCFullText
+};
@@ -0,0 +1,253 @@
+/**
+ * Polite Fetch Scheduler
+ * Checks robots.txt (cached per host) before every document fetch, honours
+ * Crawl-delay, and limits concurrent requests and request spacing per domain
+ */
+const axios = require('axios');
+
+const RESPECT_ROBOTS = process.env.INPUT_RESPECT_ROBOTS !== 'false';
+const ROBOTS_AGENT = process.env.INPUT_ROBOTS_AGENT || 'ResearchBot';                       // user-agent token matched in robots.txt
+const DOMAIN_CONCURRENCY = parseInt(process.env.INPUT_DOMAIN_CONCURRENCY || "1");           // simultaneous requests per host
+const DOMAIN_INTERVAL_MS = parseInt(process.env.INPUT_DOMAIN_INTERVAL_MS || "1000");        // minimum gap between requests to a host
+const MAX_CRAWL_DELAY = parseInt(process.env.INPUT_MAX_CRAWL_DELAY || "30");                // seconds; hosts asking for more are skipped
+
+const ROBOTS_TIMEOUT_MS = 10000;
+
+// origin -> Promise<robots policy>
+const robotsCache = new Map();
+// host -> { active, nextStart, waiting }
+const hostSlots = new Map();
+// URLs not fetched, with the reason
+const skipped = [];
+
+/**
+ * Parse robots.txt into user-agent groups
+ * Consecutive User-agent lines share the rules that follow them
+ * @param {string} text - robots.txt contents
+ * @returns {{groups: Array<{agents: Array<string>, rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}>, sitemaps: Array<string>}}
+ */
+function parseRobots(text) {
+    const groups = [];
+    const sitemaps = [];
+    let group = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of (text || '').split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+        if (!match) continue;
+
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (field === 'sitemap') {
+            if (value) sitemaps.push(value);
+            continue;
+        }
+
+        if (field === 'user-agent') {
+            if (!lastWasAgent) {
+                group = { agents: [], rules: [], crawlDelay: null };
+                groups.push(group);
+            }
+            group.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+
+        lastWasAgent = false;
+        if (!group) continue;
+
+        if (field === 'allow' || field === 'disallow') {
+            // An empty Disallow allows everything, so it adds no rule
+            if (value) group.rules.push({ allow: field === 'allow', path: value });
+        } else if (field === 'crawl-delay') {
+            const delay = parseFloat(value);
+            if (!isNaN(delay)) group.crawlDelay = delay;
+        }
+    }
+
+    return { groups, sitemaps };
+}
+
+/**
+ * The product token of a user-agent string: the name before any "/version", lower-cased
+ */
+function productToken(agent) {
+    return agent.split('/')[0].trim().toLowerCase();
+}
+
+/**
+ * The group that applies to an agent: the groups naming its product token, else "*"
+ * Names are compared whole and case-insensitively ("bot" does not match "ResearchBot");
+ * several matching groups are combined, as RFC 9309 requires
+ */
+function selectGroup(groups, agent = ROBOTS_AGENT) {
+    const token = productToken(agent);
+    let matching = groups.filter(g => g.agents.some(name => name !== '*' && productToken(name) === token));
+    if (!matching.length) matching = groups.filter(g => g.agents.includes('*'));
+    if (matching.length <= 1) return matching[0] || null;
+
+    const delays = matching.map(g => g.crawlDelay).filter(d => d !== null);
+    return {
+        agents: matching.flatMap(g => g.agents),
+        rules: matching.flatMap(g => g.rules),
+        crawlDelay: delays.length ? Math.max(...delays) : null
+    };
+}
+
+/**
+ * Does a robots.txt path pattern (with * and $) match a path?
+ */
+function matchesRule(pattern, urlPath) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`).test(urlPath);
+}
+
+/**
+ * Check a path against a group's rules
+ * The longest matching rule wins; Allow wins a tie
+ * @returns {{allowed: boolean, rule: Object|null}}
+ */
+function checkRules(group, urlPath) {
+    let winner = null;
+    for (const rule of group?.rules || []) {
+        if (!matchesRule(rule.path, urlPath)) continue;
+        if (!winner || rule.path.length > winner.path.length ||
+            (rule.path.length === winner.path.length && rule.allow)) {
+            winner = rule;
+        }
+    }
+    return { allowed: !winner || winner.allow, rule: winner };
+}
+
+/**
+ * Fetch and parse a host's robots.txt (once per origin)
+ * Missing files (4xx) allow everything; server errors and unreachable hosts disallow everything
+ * @param {string} origin - e.g. "https://example.org"
+ * @returns {Promise<{groups: Array, sitemaps: Array<string>, unavailable: string|null}>}
+ */
+function getRobots(origin) {
+    if (!robotsCache.has(origin)) {
+        robotsCache.set(origin, (async () => {
+            try {
+                const response = await axios.get(`${origin}/robots.txt`, {
+                    responseType: 'text',
+                    timeout: ROBOTS_TIMEOUT_MS,
+                    maxRedirects: 5,
+                    headers: { 'User-Agent': `Mozilla/5.0 (compatible; ${ROBOTS_AGENT}/1.0)` },
+                    validateStatus: () => true
+                });
+
+                if (response.status >= 500) {
+                    return { groups: [], sitemaps: [], unavailable: `robots.txt returned HTTP ${response.status}` };
+                }
+                if (response.status >= 400) {
+                    return { groups: [], sitemaps: [], unavailable: null };
+                }
+                return { ...parseRobots(String(response.data)), unavailable: null };
+            } catch (e) {
+                return { groups: [], sitemaps: [], unavailable: `robots.txt unreachable (${e.message})` };
+            }
+        })());
+    }
+    return robotsCache.get(origin);
+}
+
+/**
+ * May this URL be fetched, and how far apart must requests to its host be?
+ * @param {string} url
+ * @returns {Promise<{allowed: boolean, reason: string|null, intervalMs: number}>}
+ */
+async function checkRobots(url) {
+    if (!RESPECT_ROBOTS) return { allowed: true, reason: null, intervalMs: DOMAIN_INTERVAL_MS };
+
+    const parsed = new URL(url);
+    const robots = await getRobots(parsed.origin);
+    if (robots.unavailable) {
+        return { allowed: false, reason: robots.unavailable, intervalMs: DOMAIN_INTERVAL_MS };
+    }
+
+    const group = selectGroup(robots.groups);
+    const { allowed, rule } = checkRules(group, `${parsed.pathname}${parsed.search}`);
+    if (!allowed) {
+        return { allowed: false, reason: `robots.txt Disallow: ${rule.path} (User-agent: ${group.agents.join(', ')})`, intervalMs: 0 };
+    }
+
+    const crawlDelay = group?.crawlDelay || 0;
+    if (crawlDelay > MAX_CRAWL_DELAY) {
+        return { allowed: false, reason: `robots.txt Crawl-delay ${crawlDelay}s exceeds ${MAX_CRAWL_DELAY}s`, intervalMs: 0 };
+    }
+
+    return { allowed: true, reason: null, intervalMs: Math.max(DOMAIN_INTERVAL_MS, crawlDelay * 1000) };
+}
+
+/**
+ * Wait for a free request slot on a host, spaced at least intervalMs after the previous request
+ */
+async function acquireSlot(host, intervalMs) {
+    if (!hostSlots.has(host)) hostSlots.set(host, { active: 0, nextStart: 0, waiting: [] });
+    const slot = hostSlots.get(host);
+
+    while (slot.active >= Math.max(1, DOMAIN_CONCURRENCY)) {
+        await new Promise(resolve => slot.waiting.push(resolve));
+    }
+    slot.active++;
+
+    // Reserve the start time before sleeping so parallel callers queue behind it
+    const now = Date.now();
+    const start = Math.max(now, slot.nextStart);
+    slot.nextStart = start + intervalMs;
+    if (start > now) await new Promise(r => setTimeout(r, start - now));
+}
+
+function releaseSlot(host) {
+    const slot = hostSlots.get(host);
+    slot.active--;
+    const next = slot.waiting.shift();
+    if (next) next();
+}
+
+/**
+ * Run a fetch for a URL under the robots.txt and per-domain politeness rules
+ * Disallowed URLs are recorded (see getSkippedFetches) and rejected with the reason
+ * @param {string} url - URL the request is for
+ * @param {Function} fetchFn - Performs the request, e.g. () => axios.get(url)
+ * @returns {Promise<*>} - Whatever fetchFn resolves to
+ */
+async function scheduleFetch(url, fetchFn) {
+    const { allowed, reason, intervalMs } = await checkRobots(url);
+    if (!allowed) {
+        skipped.push({ url, reason, skippedAt: new Date().toISOString() });
+        throw new Error(`Skipped, ${reason}`);
+    }
+
+    const host = new URL(url).hostname;
+    await acquireSlot(host, intervalMs);
+    try {
+        return await fetchFn();
+    } finally {
+        releaseSlot(host);
+    }
+}
+
+/**
+ * URLs skipped by robots.txt so far: [{url, reason, skippedAt}]
+ */
+function getSkippedFetches() {
+    return [...skipped];
+}
+
+module.exports = {
+    parseRobots,
+    selectGroup,
+    checkRules,
+    getRobots,
+    checkRobots,
+    scheduleFetch,
+    getSkippedFetches
+};
@@ -0,0 +1,301 @@
+/**
+ * HTML Blocks
+ * Turns extracted HTML (Readability's content, or a page's main element) into a
+ * flat list of typed blocks - headings with levels, paragraphs, bullet and
+ * numbered lists, blockquotes, code, data tables and figures - so the PDF keeps the page's structure
+ */
+const { JSDOM } = require('jsdom');
+
+// Elements that start a new block rather than continuing the current line of text
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'center', 'dd', 'details', 'dialog', 'div', 'dl', 'dt',
+    'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+    'hr', 'img', 'li', 'main', 'nav', 'ol', 'p', 'picture', 'pre', 'section', 'summary', 'table', 'ul'
+]);
+
+// Never text: dropped with their contents
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'button', 'select', 'textarea', 'hr']);
+
+// Stands in for <br> while whitespace is collapsed
+const LINE_BREAK = '\uE000';
+
+const MAX_SPAN = 50; // colspan/rowspan cap, against malformed markup
+
+/**
+ * Text of an inline run: whitespace collapsed, <br> kept as a line break
+ */
+function inlineText(nodes) {
+    const collect = (node) => {
+        if (node.nodeType === 3) return node.nodeValue;
+        if (node.nodeType !== 1) return '';
+        const tag = node.tagName.toLowerCase();
+        if (tag === 'br') return LINE_BREAK;
+        if (SKIP_TAGS.has(tag)) return '';
+        return Array.from(node.childNodes).map(collect).join('');
+    };
+
+    return nodes.map(collect).join('')
+        .replace(/\s+/g, ' ')
+        .split(LINE_BREAK)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+function hasBlockChildren(element) {
+    return Array.from(element.children).some(child => BLOCK_TAGS.has(child.tagName.toLowerCase()));
+}
+
+/**
+ * List items, with nested lists flattened into deeper items
+ */
+function listItems(list, depth, items = []) {
+    for (const li of Array.from(list.children).filter(child => child.tagName.toLowerCase() === 'li')) {
+        const nested = Array.from(li.children).filter(child => ['ul', 'ol'].includes(child.tagName.toLowerCase()));
+        const text = inlineText(Array.from(li.childNodes).filter(node => !nested.includes(node)));
+        if (text) items.push({ text, depth });
+        nested.forEach(sub => listItems(sub, depth + 1, items));
+    }
+    return items;
+}
+
+/**
+ * Best URL for an <img>: lazy-loading attributes first (src is often a placeholder
+ * there), then the widest srcset candidate, then src; resolved against the page URL
+ * @returns {string|null}
+ */
+function imageSource(img) {
+    const srcset = img.getAttribute('data-srcset') || img.getAttribute('srcset') || '';
+    const widest = srcset.split(',')
+        .map(candidate => candidate.trim().split(/\s+/))
+        .filter(([url]) => url)
+        .sort((a, b) => (parseFloat(b[1]) || 0) - (parseFloat(a[1]) || 0))[0]?.[0];
+    const value = img.getAttribute('data-src') || img.getAttribute('data-original') ||
+        img.getAttribute('data-lazy-src') || widest || img.getAttribute('src');
+    if (!value) return null;
+    try {
+        return new URL(value, img.ownerDocument.baseURI).href;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Figure block for an image, with its caption (from an enclosing <figure>) and alt text
+ */
+function figureBlock(img, caption = '') {
+    const src = imageSource(img);
+    if (!src) return null;
+    return { type: 'figure', src, alt: (img.getAttribute('alt') || '').replace(/\s+/g, ' ').trim(), caption };
+}
+
+/**
+ * Is a <table> tabular data, rather than page layout?
+ * Layout tables nest other tables, declare role="presentation", or lack a second row or column
+ */
+function isDataTable(table) {
+    if (table.querySelector('table')) return false;
+    if (['presentation', 'none'].includes(table.getAttribute('role'))) return false;
+    const rows = Array.from(table.rows);
+    return rows.length >= 2 && Math.max(...rows.map(row => row.cells.length)) >= 2;
+}
+
+/**
+ * Read a data table into caption, header and rows
+ * Row-spanning cells are repeated in each row they cover (so every row reads on its own);
+ * column-spanning body cells fill the extra columns with blanks
+ */
+function readTable(table) {
+    const grid = [];
+    const headerRows = new Set();
+
+    Array.from(table.rows).forEach((row, r) => {
+        // Header rows: <thead>, or leading rows made only of <th> cells
+        const inHead = row.parentElement?.tagName.toLowerCase() === 'thead';
+        const allTh = Array.from(row.cells).every(cell => cell.tagName.toLowerCase() === 'th');
+        const isHeader = inHead || (allTh && headerRows.size === r);
+        if (isHeader) headerRows.add(r);
+
+        grid[r] = grid[r] || [];
+        let c = 0;
+        for (const cell of Array.from(row.cells)) {
+            while (grid[r][c] !== undefined) c++;
+            const text = inlineText(Array.from(cell.childNodes)).replace(/\n/g, ' ');
+            const colspan = Math.min(Math.max(cell.colSpan || 1, 1), MAX_SPAN);
+            const rowspan = Math.min(Math.max(cell.rowSpan || 1, 1), MAX_SPAN);
+            for (let dr = 0; dr < rowspan; dr++) {
+                grid[r + dr] = grid[r + dr] || [];
+                // A spanning header labels every column under it ("2020" over Q1 and Q2)
+                for (let dc = 0; dc < colspan; dc++) grid[r + dr][c + dc] = dc === 0 || isHeader ? text : '';
+            }
+            c += colspan;
+        }
+    });
+
+    const columns = Math.max(...grid.map(row => row.length));
+    const padded = grid.map(row => Array.from({ length: columns }, (_, c) => row[c] || ''));
+    const headerCount = Math.min(headerRows.size, padded.length - 1);
+    const hasText = row => row.some(Boolean);
+
+    // Stacked header rows merge into one ("2020 / Q1")
+    const headRows = padded.slice(0, headerCount).filter(hasText);
+    const header = headRows.length
+        ? Array.from({ length: columns }, (_, c) => [...new Set(headRows.map(row => row[c]).filter(Boolean))].join(' / '))
+        : null;
+
+    return {
+        type: 'table',
+        caption: table.caption ? inlineText([table.caption]).replace(/\n/g, ' ') : '',
+        header,
+        rows: padded.slice(headerCount).filter(hasText)
+    };
+}
+
+/**
+ * Walk an element's children, emitting blocks; loose inline content between
+ * block elements becomes a paragraph of its own
+ */
+function walk(element, blocks) {
+    let inline = [];
+    const flush = () => {
+        const text = inlineText(inline);
+        if (text) blocks.push({ type: 'paragraph', text });
+        inline = [];
+    };
+
+    for (const node of Array.from(element.childNodes)) {
+        const tag = node.nodeType === 1 ? node.tagName.toLowerCase() : null;
+        if (!tag || !BLOCK_TAGS.has(tag)) {
+            if (tag && SKIP_TAGS.has(tag)) continue;
+            inline.push(node);
+            // Images inside inline markup (<a><img></a>) follow the text before them
+            const images = tag ? Array.from(node.querySelectorAll('img')) : [];
+            if (images.length) {
+                flush();
+                images.map(img => figureBlock(img)).filter(Boolean).forEach(block => blocks.push(block));
+            }
+            continue;
+        }
+        flush();
+        if (SKIP_TAGS.has(tag)) continue;
+
+        const image = tag === 'img' ? node : (['figure', 'picture'].includes(tag) ? node.querySelector('img') : null);
+
+        if (image) {
+            const caption = tag === 'figure' ? inlineText(Array.from(node.querySelectorAll('figcaption'))).replace(/\n/g, ' ') : '';
+            const block = figureBlock(image, caption);
+            if (block) blocks.push(block);
+        } else if (/^h[1-6]$/.test(tag)) {
+            const text = inlineText([node]).replace(/\n/g, ' ');
+            if (text) blocks.push({ type: 'heading', level: Number(tag[1]), text });
+        } else if (tag === 'ul' || tag === 'ol') {
+            const items = listItems(node, 0);
+            if (items.length) blocks.push({ type: 'list', ordered: tag === 'ol', items });
+        } else if (tag === 'blockquote') {
+            const quoted = [];
+            walk(node, quoted);
+            const text = quoted.map(block => block.text || '').filter(Boolean).join('\n');
+            if (text) blocks.push({ type: 'quote', text });
+        } else if (tag === 'table') {
+            if (isDataTable(node)) {
+                blocks.push(readTable(node));
+            } else {
+                // Layout table: its cells are ordinary content
+                Array.from(node.rows).forEach(row => Array.from(row.cells).forEach(cell => walk(cell, blocks)));
+            }
+        } else if (tag === 'pre') {
+            // Code keeps its own line breaks and indentation
+            const text = node.textContent.replace(/\r\n/g, '\n').replace(/^\n+|\s+$/g, '');
+            if (text) blocks.push({ type: 'code', text });
+        } else if (hasBlockChildren(node) || node.querySelector('img')) {
+            walk(node, blocks);
+        } else {
+            const text = inlineText([node]);
+            if (text) blocks.push({ type: 'paragraph', text });
+        }
+    }
+    flush();
+}
+
+/**
+ * Build the block list for an element or an HTML string
+ * @param {Element|string} content - Element to read, or HTML (e.g. Readability's article.content)
+ * @param {string} [baseUrl] - Page URL, for resolving relative image URLs in an HTML string
+ * @returns {Array<Object>} - Blocks; type is "heading" (text, level 1-6), "paragraph", "quote", "code" (text),
+ *          "list" (ordered, items: [{text, depth}]), "table" (caption, header: [cells] or null, rows: [[cells]])
+ *          or "figure" (src, alt, caption)
+ */
+function extractBlocks(content, baseUrl) {
+    const root = typeof content === 'string'
+        ? new JSDOM(content, baseUrl ? { url: baseUrl } : {}).window.document.body
+        : content;
+    const blocks = [];
+    if (root) walk(root, blocks);
+    return blocks;
+}
+
+/**
+ * Convert heading + paragraphs sections (JATS full text) to blocks
+ * @param {Array<{heading: string, level: number, paragraphs: Array<string>}>} sections
+ */
+function sectionsToBlocks(sections) {
+    const blocks = [];
+    for (const section of sections) {
+        // Section level 1 sits under the document title, like an <h2>
+        if (section.heading) blocks.push({ type: 'heading', level: Math.min(6, (section.level || 1) + 1), text: section.heading });
+        section.paragraphs.forEach(text => blocks.push({ type: 'paragraph', text }));
+    }
+    return blocks;
+}
+
+/**
+ * Marker for each list item: "•", or "1.", "2." numbered within its nesting level
+ * @returns {Array<string>}
+ */
+function listMarkers(list) {
+    const counters = [];
+    return list.items.map(item => {
+        counters.length = item.depth + 1;
+        counters[item.depth] = (counters[item.depth] || 0) + 1;
+        return list.ordered ? `${counters[item.depth]}.` : '•';
+    });
+}
+
+/**
+ * Convert a table block to CSV (RFC 4180: quoted where needed, CRLF line ends), header row first
+ * Cells a spreadsheet would run as a formula (leading =, +, -, @, tab or CR) get a leading
+ * apostrophe; plain numbers such as "-3.5" are left alone
+ * @returns {string}
+ */
+function tableToCSV(table) {
+    const neutralize = (cell) => /^[=+\-@\t\r]/.test(cell) && !/^[+-]?\d[\d.,]*%?$/.test(cell) ? `'${cell}` : cell;
+    const quote = (cell) => /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    const rows = table.header ? [table.header, ...table.rows] : table.rows;
+    return rows.map(row => row.map(cell => quote(neutralize(cell))).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Plain text for a block list: one block per paragraph, list items and table rows on their own lines
+ * @returns {string}
+ */
+function blocksToText(blocks) {
+    return blocks.map(block => {
+        if (block.type === 'table') {
+            const rows = block.header ? [block.header, ...block.rows] : block.rows;
+            return [block.caption, ...rows.map(row => row.join(' | '))].filter(Boolean).join('\n');
+        }
+        if (block.type === 'figure') return block.caption;
+        if (block.type !== 'list') return block.text;
+        return listMarkers(block)
+            .map((marker, i) => `${'  '.repeat(block.items[i].depth)}${marker} ${block.items[i].text}`)
+            .join('\n');
+    }).filter(Boolean).join('\n\n');
+}
+
+module.exports = {
+    extractBlocks,
+    sectionsToBlocks,
+    listMarkers,
+    tableToCSV,
+    blocksToText
+};
@@ -0,0 +1,153 @@
+/**
+ * Image Assets
+ * Opt-in figure capture: downloads the images inside a page's main content into a
+ * local asset cache (one file per image URL, so fixtures can be dropped in for
+ * offline tests), keeping only JPEG/PNG files pdfkit can embed, within size and
+ * count limits
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { scheduleFetch } = require('./fetch_scheduler');
+
+const CAPTURE_IMAGES = process.env.INPUT_CAPTURE_IMAGES === 'true';                    // off by default: volumes stay text only
+const MAX_IMAGES = parseInt(process.env.INPUT_MAX_IMAGES || "8");                      // per source
+const MAX_IMAGE_BYTES = parseInt(process.env.INPUT_MAX_IMAGE_BYTES || "2000000");      // larger files are skipped
+const MIN_IMAGE_PIXELS = parseInt(process.env.INPUT_MIN_IMAGE_PIXELS || "120");        // narrower/shorter images are icons, avatars or spacers
+const ASSET_DIR = process.env.INPUT_ASSET_DIR || path.join(os.tmpdir(), 'research-assets'); // outside research_text, which is uploaded
+
+const IMAGE_TIMEOUT_MS = 15000;
+const EXTENSIONS = { jpeg: '.jpg', png: '.png' };
+
+/**
+ * Identify JPEG and PNG files by their first bytes (Content-Type headers are often wrong)
+ * @returns {string|null} - "jpeg", "png", or null for anything else
+ */
+function sniffImageType(bytes) {
+    if (bytes.length > 3 && bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'jpeg';
+    if (bytes.length > 8 && bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'png';
+    return null;
+}
+
+/**
+ * Pixel size of a JPEG or PNG
+ * @returns {{width: number, height: number}|null}
+ */
+function imageSize(bytes, type) {
+    if (type === 'png') {
+        return bytes.length >= 24 ? { width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) } : null;
+    }
+
+    // JPEG: walk the segments to the start-of-frame marker
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+        if (bytes[offset] !== 0xFF) return null;
+        const marker = bytes[offset + 1];
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+            return { width: bytes.readUInt16BE(offset + 7), height: bytes.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + bytes.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+/**
+ * Cache file for an image URL, without extension
+ */
+function assetBase(url) {
+    return path.join(ASSET_DIR, crypto.createHash('sha1').update(url).digest('hex'));
+}
+
+/**
+ * Find an image URL in the cache
+ * @param {string} url
+ * @returns {string|null} - Path of the cached file
+ */
+function findCachedAsset(url) {
+    const base = assetBase(url);
+    const file = Object.values(EXTENSIONS).map(ext => base + ext).find(candidate => fs.existsSync(candidate));
+    return file || null;
+}
+
+async function downloadImage(url) {
+    if (url.startsWith('data:')) {
+        const match = url.match(/^data:image\/[\w+.-]+;base64,(.*)$/);
+        return match ? Buffer.from(match[1], 'base64') : null;
+    }
+
+    const response = await scheduleFetch(url, () => axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: IMAGE_TIMEOUT_MS,
+        maxContentLength: MAX_IMAGE_BYTES,
+        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; ResearchBot/1.0)' }
+    }));
+    return Buffer.from(response.data);
+}
+
+/**
+ * Load an image from the cache, or download and cache it
+ * @param {string} url - Absolute image URL (or data: URL)
+ * @returns {Promise<{file: string, width: number, height: number}|null>} - null for unusable images
+ */
+async function loadImage(url) {
+    try {
+        let file = findCachedAsset(url);
+        let bytes = file ? fs.readFileSync(file) : await downloadImage(url);
+        if (!bytes || bytes.length > MAX_IMAGE_BYTES) return null;
+
+        const type = sniffImageType(bytes);
+        if (!type) {
+            console.log(`      ⚠️ Image skipped (not JPEG/PNG): ${url.substring(0, 60)}`);
+            return null;
+        }
+        const size = imageSize(bytes, type);
+        if (!size || size.width < MIN_IMAGE_PIXELS || size.height < MIN_IMAGE_PIXELS) return null;
+
+        if (!file) {
+            fs.mkdirSync(ASSET_DIR, { recursive: true });
+            file = assetBase(url) + EXTENSIONS[type];
+            fs.writeFileSync(file, bytes);
+        }
+        return { file, ...size };
+    } catch (e) {
+        console.log(`      ⚠️ Image failed: ${e.message.substring(0, 60)}`);
+        return null;
+    }
+}
+
+/**
+ * Fetch the images of a block list's figure blocks (when INPUT_CAPTURE_IMAGES is on)
+ * Captured figures get file, width and height; the rest are left as they are and
+ * fall back to their caption text
+ * @param {Array<Object>} blocks - Output of extractBlocks
+ * @returns {Promise<Array<Object>>}
+ */
+async function captureImages(blocks) {
+    if (!CAPTURE_IMAGES) return blocks;
+
+    let captured = 0;
+    const result = [];
+    for (const block of blocks) {
+        if (block.type === 'figure' && block.src && captured < MAX_IMAGES) {
+            const asset = await loadImage(block.src);
+            if (asset) {
+                captured++;
+                result.push({ ...block, ...asset });
+                continue;
+            }
+        }
+        result.push(block);
+    }
+    if (captured) console.log(`      🖼️ Captured ${captured} image(s)`);
+    return result;
+}
+
+module.exports = {
+    sniffImageType,
+    imageSize,
+    findCachedAsset,
+    loadImage,
+    captureImages
+};
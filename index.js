@@ -1,13 +1,37 @@
 const { chromium } = require('playwright');
 const { JSDOM } = require('jsdom');
 const { Readability } = require('@mozilla/readability');
-const pdf = require('pdf-parse');
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 const PDFDocument = require('pdfkit');
 const { stealthSearch } = require('./stealth_search');
 const { generateResearchPDF } = require('./pdf_generator');
+const { CAPABILITIES, registerProvider, getProvider, loadProviderModules, resolveProviderChain, harvestResults } = require('./search_providers');
+const { createSearchResult, mergeMetadata } = require('./search_result');
+const { searchSemanticScholar, snowballSemanticScholar } = require('./semantic_scholar');
+const { searchArXiv, recordArXivRun } = require('./arxiv');
+const { extractDOI, resolveDOI } = require('./doi_resolver');
+const { searchEuropePMC, fetchEuropePMCFullText } = require('./europe_pmc');
+const { searchWikipedia, fetchWikipediaArticle } = require('./wikipedia');
+const { searchRSSFeeds } = require('./news_feeds');
+const { buildSubQueries } = require('./query_expansion');
+const { crawlSites } = require('./site_crawler');
+const { scheduleFetch, getSkippedFetches } = require('./fetch_scheduler');
+const { filterResults } = require('./url_filters');
+const { dateFromHtml, dateFromPdf, resolvePublishedDate, isPublishedWithin } = require('./publication_date');
+const { parseDateSetting } = require('./date_utils');
+const { detectLanguage, isAcceptedLanguage } = require('./language_detection');
+const { stripInvalidCharacters, repairMojibake, symbolRatio } = require('./unicode_text');
+const { extractPdfText } = require('./pdf_text');
+const { parseFrontMatter } = require('./pdf_front_matter');
+const { extractBlocks, sectionsToBlocks, blocksToText, tableToCSV } = require('./html_blocks');
+const { captureImages } = require('./image_assets');
+const { saveOriginal } = require('./pdf_originals');
+const { pagesNeedingOcr, ocrPdf } = require('./pdf_ocr');
+const { detectCharset, decodeBody } = require('./text_encoding');
+const { sniffDocumentType, fetchDocument } = require('./document_fetch');
+const { extractDocument } = require('./document_extractors');
 
 // --- CONFIGURATION ---
 const QUERY = process.env.INPUT_QUERY || "Artificial Intelligence Safety";
@@ -15,6 +39,11 @@ const TARGET_DOCS = parseInt(process.env.INPUT_TARGET || "100");
 const DOCS_PER_FILE = parseInt(process.env.INPUT_DOCS_PER_FILE || "40");
 const MIN_WORDS = parseInt(process.env.INPUT_MIN_WORDS || "200");
 const CONTENT_TYPE = process.env.INPUT_CONTENT_TYPE || "both"; // pdfs (only PDFs) or both (PDFs + web pages)
+const PROVIDERS = process.env.INPUT_PROVIDERS || ""; // ordered "name[:quota]" list, empty = default chain for CONTENT_TYPE
+const PROVIDER_MODULES = process.env.INPUT_PROVIDER_MODULES || ""; // extra provider modules to load
+const PUBLISHED_AFTER = parseDateSetting(process.env.INPUT_PUBLISHED_AFTER);   // ISO date or "30d"; keep sources published since
+const PUBLISHED_BEFORE = parseDateSetting(process.env.INPUT_PUBLISHED_BEFORE); // ISO date or "30d"
+const KEEP_UNDATED = process.env.INPUT_KEEP_UNDATED !== 'false';               // keep sources with no findable date in a window
 
 const OUTPUT_DIR = path.resolve(__dirname, 'research_text');
 if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR, { recursive: true });
@@ -23,23 +52,21 @@ if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR, { recursive: true });
 
 /**
  * Sanitize extracted content to remove:
- * - Garbled encoding (corrupted Cyrillic/Asian text bytes)
  * - Wikipedia reference noise
  * - Citation patterns
- * - Non-printable characters
+ * - Control characters and other non-text code points
+ * Garbled encoding (UTF-8 bytes misread as Windows-1252) is repaired rather than
+ * deleted, and text in every script is kept.
  */
-function sanitizeContent(text) {
+function sanitizeContent(text, decodedAs = null) {
     if (!text) return '';
 
-    let clean = text;
+    // Reverse UTF-8 decoded as Windows-1252 ("Ã©" -> "é", "â€™" -> "’", "Ð¿" -> "п")
+    // before the C1 controls and soft hyphens those byte runs contain are stripped
+    let clean = repairMojibake(text, { decodedAs });
 
-    // Remove common corrupted byte sequences (Cyrillic UTF-8 misread as Windows-1252)
-    // These patterns appear as: C´, Cä, CÔ, Dð, D$, etc.
-    clean = clean.replace(/[ABCD][´äÔðô¤€„][0-9A-Za-z]*/g, ' ');
-    clean = clean.replace(/[CD][A-Za-z][0-9A-Za-z´äÔðô¤€„]+/g, ' ');
-
-    // Remove strings with too many special/corrupted characters
-    clean = clean.replace(/\S*[´äÔðô¤€„¢£¥©®™•†‡§¶]\S*/g, ' ');
+    // Remove control characters, U+FFFD and broken surrogates
+    clean = stripInvalidCharacters(clean);
 
     // Remove Wikipedia-style reference patterns
     clean = clean.replace(/\^\s*(Jump up to:?\s*)?[a-z\s]+$/gim, '');
@@ -64,15 +91,17 @@ function sanitizeContent(text) {
     const filteredLines = lines.filter(line => {
         const trimmed = line.trim();
 
+        // Keep blank lines: they separate paragraphs
+        if (!trimmed) return true;
+
         // Skip very short lines
         if (trimmed.length < 20) return false;
 
         // Skip lines that look like pure references
         if (/^(\^|\[|\d+\.)\s/.test(trimmed)) return false;
 
-        // Skip lines with too many special chars relative to length
-        const specialChars = (trimmed.match(/[^a-zA-Z0-9\s.,!?;:'"()-]/g) || []).length;
-        if (specialChars / trimmed.length > 0.15) return false;
+        // Skip lines with too many symbols relative to length (letters of any script are text)
+        if (symbolRatio(trimmed) > 0.15) return false;
 
         // Skip lines that are mostly URLs
         if (/https?:\/\/\S+/.test(trimmed) && trimmed.length < 100) return false;
@@ -82,9 +111,6 @@ function sanitizeContent(text) {
 
     clean = filteredLines.join('\n');
 
-    // Remove non-printable characters (except newlines and tabs)
-    clean = clean.replace(/[^\x20-\x7E\n\t]/g, ' ');
-
     // Collapse multiple spaces
     clean = clean.replace(/[ \t]+/g, ' ');
     clean = clean.replace(/\n\s*\n\s*\n/g, '\n\n');
@@ -93,12 +119,57 @@ function sanitizeContent(text) {
 }
 
 function countWords(text) {
-    return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+    // Chinese and Japanese are written without spaces: count each character as a word
+    return (text.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[^\s\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]+/gu) || []).length;
+}
+
+/**
+ * Clean one structural block
+ * Paragraphs and quotes get the full sanitizer; headings, list items, table cells and code
+ * are short or symbol-heavy by nature, so they only get encoding repair and citation-marker removal
+ * @returns {Object|null} - Cleaned block, or null if nothing is left
+ */
+function sanitizeBlock(block, decodedAs = null) {
+    const repair = (text) => stripInvalidCharacters(repairMojibake(text, { decodedAs }));
+    const inline = (text) => repair(text).replace(/\[(\d+|edit|citation needed)\]/gi, '').replace(/[ \t]+/g, ' ').trim();
+
+    switch (block.type) {
+        case 'heading': {
+            const text = inline(block.text);
+            return text ? { ...block, text } : null;
+        }
+        case 'list': {
+            const items = block.items.map(item => ({ ...item, text: inline(item.text) })).filter(item => item.text);
+            return items.length ? { ...block, items } : null;
+        }
+        case 'table': {
+            const cells = (row) => row.map(inline);
+            const rows = block.rows.map(cells).filter(row => row.some(Boolean));
+            return rows.length ? { ...block, caption: inline(block.caption || ''), header: block.header && cells(block.header), rows } : null;
+        }
+        case 'figure': {
+            const caption = inline(block.caption || '');
+            // Figures whose image wasn't captured keep their caption as text
+            if (!block.file) return caption ? { type: 'paragraph', text: caption } : null;
+            return { ...block, caption, alt: inline(block.alt || '') };
+        }
+        case 'code': {
+            const text = repair(block.text);
+            return text.trim() ? { ...block, text } : null;
+        }
+        default: {
+            const text = sanitizeContent(block.text, decodedAs);
+            return text ? { ...block, text } : null;
+        }
+    }
 }
 
-function formatOutput(type, title, url, content) {
+/**
+ * Sanitize extracted text and normalize its whitespace, keeping paragraph breaks
+ */
+function cleanContent(content, decodedAs = null) {
     // Sanitize content to remove garbled text and citations
-    const sanitized = sanitizeContent(content);
+    const sanitized = sanitizeContent(content, decodedAs);
 
     // Preserve paragraph structure while cleaning up excessive whitespace
     // 1. Normalize line endings
@@ -117,19 +188,114 @@ function formatOutput(type, title, url, content) {
     cleanText = cleanText.split('\n').map(line => line.trim()).join('\n');
 
     // 6. Final trim
-    cleanText = cleanText.trim();
+    return cleanText.trim();
+}
+
+/**
+ * Build the source object handed to the PDF generator
+ * @param {string} type - Source type (PDF, WEB, ARTICLE, TEXT, DOCX, PPTX, EPUB)
+ * @param {string} title
+ * @param {string} url
+ * @param {string} content - Extracted text, paragraphs separated by blank lines
+ * @param {Object} [result] - Search result record the source came from
+ * @param {Object} [structure] - Optional structure from the extractor:
+ *   blocks (headings, paragraphs, lists... see html_blocks.js) or sections (heading + paragraphs),
+ *   pages (per-page text) and pageCount; originalFile (the kept PDF, see pdf_originals.js);
+ *   ocr ({engine, pages, confidence} when some of the text was read with OCR);
+ *   charset (what the body was decoded with, when known: Windows-1252 lets encoding repair act on less evidence)
+ */
+function formatOutput(type, title, url, content, result = null, { blocks = null, sections = null, pages = null, pageCount = null, originalFile = null, ocr = null, charset = null } = {}) {
+    // Identify the language on the raw text, before clean-up removes lines
+    const detected = detectLanguage(content);
+
+    // Paged text is cleaned page by page so each page's start offset is known
+    let cleanText;
+    let pageOffsets = null;
+    if (pages) {
+        const cleanPages = pages.map(page => cleanContent(page));
+        pageOffsets = [];
+        cleanText = '';
+        cleanPages.forEach(pageText => {
+            if (cleanText && pageText) cleanText += '\n\n';
+            pageOffsets.push(cleanText.length);
+            cleanText += pageText;
+        });
+    } else {
+        cleanText = cleanContent(content, charset);
+    }
+
+    const published = resolvePublishedDate(result?.metadata);
+    const structured = (blocks || (sections ? sectionsToBlocks(sections) : null))?.map(block => sanitizeBlock(block, charset)).filter(Boolean) || null;
 
     // Return structured data for PDF generation
     return {
         type: type,
-        title: (title || 'Untitled Document').replace(/[^\x20-\x7E]/g, ''),
+        title: stripInvalidCharacters(repairMojibake(title || '', { decodedAs: charset })).replace(/\s+/g, ' ').trim() || 'Untitled Document',
         url: url,
+        // When the text was retrieved
         date: new Date().toISOString(),
+        // When the source was published ("2021", "2021-05" or "2021-05-03") and where that came from
+        publishedDate: published?.date || null,
+        publishedDateSource: published?.source || null,
+        // Detected language: ISO 639-1 where one exists (else 639-3), "und" if undetermined
+        language: detected.language,
+        languageCode: detected.code,
         wordCount: countWords(cleanText),
-        content: cleanText
+        content: cleanText,
+        // PDF sources: page count and where each page starts in content
+        pageCount: pageCount,
+        pageOffsets: pageOffsets,
+        // PDF sources: the downloaded file, when INPUT_EMBED_ORIGINAL keeps it
+        originalFile: originalFile,
+        // PDF sources read (partly) with OCR: engine, 1-based pages read, mean word confidence (0-100)
+        ocr: ocr,
+        // Document structure (headings, paragraphs, lists, quotes, code), when the extractor kept it
+        blocks: structured,
+        // Data tables (caption, header, rows) from the blocks, for the CSV export
+        tables: structured ? structured.filter(block => block.type === 'table') : [],
+        // Bibliographic details supplied by academic providers (authors, year, venue, ...)
+        bibliography: extractBibliography(result),
+        // Why this source was included: the search result that led to it
+        provenance: result ? {
+            provider: result.provider,
+            query: result.query,
+            rank: result.rank,
+            title: result.title,
+            snippet: result.snippet,
+            retrievedAt: result.retrievedAt,
+            // Every provider/sub-query that returned this link (after rank fusion)
+            matches: result.matches || [],
+            metadata: result.metadata
+        } : null
     };
 }
 
+/**
+ * Pick the bibliographic fields out of a search result's provider metadata
+ * Returns null when the provider didn't supply any
+ */
+function extractBibliography(result) {
+    const meta = result?.metadata;
+    if (!meta) return null;
+
+    const bibliography = {
+        authors: meta.authors || [],
+        year: meta.year || null,
+        venue: meta.venue || '',
+        doi: meta.doi || null,
+        abstract: meta.abstract || '',
+        affiliations: meta.affiliations || [],
+        keywords: meta.keywords || [],
+        arxivId: meta.arxivId || null,
+        citationCount: meta.citationCount ?? null,
+        fieldsOfStudy: meta.fieldsOfStudy || []
+    };
+
+    const hasDetails = bibliography.authors.length || bibliography.year || bibliography.venue || bibliography.doi ||
+        bibliography.abstract || bibliography.arxivId;
+    return hasDetails ? bibliography : null;
+}
+
 function savePDFVolume(volNum, sources, query) {
     const filename = `Volume_${volNum}_(${query.replace(/[^a-z0-9]/gi, '_')}).pdf`;
     const filePath = path.join(OUTPUT_DIR, filename);
@@ -339,89 +505,6 @@ function savePDFVolume(volNum, sources, query) {
     });
 }
 
-// --- SEMANTIC SCHOLAR API (Free, no auth required) ---
-async function searchSemanticScholar(query, maxLinks) {
-    const links = [];
-    console.log(`\n🔍 Searching Semantic Scholar for: "${query}"...`);
-
-    try {
-        const response = await axios.get('https://api.semanticscholar.org/graph/v1/paper/search', {
-            params: {
-                query: query,
-                limit: Math.min(maxLinks, 100),
-                fields: 'title,openAccessPdf,url,externalIds'
-            },
-            headers: {
-                'User-Agent': 'ResearchBot/1.0 (Educational)'
-            },
-            timeout: 20000
-        });
-
-        const papers = response.data?.data || [];
-        console.log(`   Found ${papers.length} papers`);
-
-        let pdfCount = 0;
-        for (const paper of papers) {
-            // Prefer open access PDF links
-            if (paper.openAccessPdf?.url) {
-                links.push(paper.openAccessPdf.url);
-                pdfCount++;
-            } else if (paper.externalIds?.ArXiv) {
-                // Construct arXiv PDF link
-                links.push(`https://arxiv.org/pdf/${paper.externalIds.ArXiv}.pdf`);
-                pdfCount++;
-            }
-        }
-
-        console.log(`   ✅ Extracted ${pdfCount} PDF links from Semantic Scholar`);
-    } catch (e) {
-        console.log(`   ❌ Semantic Scholar failed: ${e.message}`);
-    }
-
-    return links;
-}
-
-// --- ARXIV API SEARCH (Free, academic preprints) ---
-async function searchArXiv(query, maxLinks) {
-    const links = [];
-    console.log(`\n🔍 Searching arXiv for: "${query}"...`);
-
-    try {
-        const searchQuery = query.replace(/\s+/g, '+AND+');
-        const response = await axios.get('http://export.arxiv.org/api/query', {
-            params: {
-                search_query: `all:${searchQuery}`,
-                start: 0,
-                max_results: Math.min(maxLinks, 100),
-                sortBy: 'relevance'
-            },
-            headers: {
-                'User-Agent': 'ResearchBot/1.0 (Educational)'
-            },
-            timeout: 20000
-        });
-
-        // Parse Atom XML
-        const dom = new JSDOM(response.data, { contentType: 'text/xml' });
-        const entries = dom.window.document.querySelectorAll('entry');
-
-        for (const entry of entries) {
-            const id = entry.querySelector('id')?.textContent;
-            if (id) {
-                // Convert arXiv ID to PDF URL
-                const arxivId = id.replace('http://arxiv.org/abs/', '');
-                links.push(`https://arxiv.org/pdf/${arxivId}.pdf`);
-            }
-        }
-
-        console.log(`   ✅ Extracted ${links.length} arXiv PDF links`);
-    } catch (e) {
-        console.log(`   ❌ arXiv failed: ${e.message}`);
-    }
-
-    return links;
-}
-
 // --- GOOGLE SCHOLAR SEARCH (Browser-based) ---
 async function searchGoogleScholar(query, maxLinks, browser) {
     const links = [];
@@ -446,12 +529,22 @@ async function searchGoogleScholar(query, maxLinks, browser) {
         // Extract PDF links from Google Scholar
         const scholarLinks = await page.evaluate(() => {
             const results = [];
+            // Title and snippet come from the result block the link sits in
+            const describe = (a) => {
+                const block = a.closest('.gs_r');
+                return {
+                    url: a.href,
+                    title: block?.querySelector('.gs_rt')?.textContent || a.textContent || '',
+                    snippet: block?.querySelector('.gs_rs')?.textContent || ''
+                };
+            };
+
             // Look for [PDF] links on the right side
             const pdfLinks = document.querySelectorAll('.gs_or_ggsm a, .gs_ggsd a, a[href*=".pdf"]');
             pdfLinks.forEach(a => {
                 const href = a.href;
                 if (href && (href.endsWith('.pdf') || href.includes('.pdf?') || href.includes('/pdf/'))) {
-                    results.push(href);
+                    results.push(describe(a));
                 }
             });
 
@@ -460,15 +553,17 @@ async function searchGoogleScholar(query, maxLinks, browser) {
             titleLinks.forEach(a => {
                 const href = a.href;
                 if (href && href.startsWith('http') && !href.includes('scholar.google')) {
-                    results.push(href);
+                    results.push(describe(a));
                 }
             });
 
             return results;
         });
 
-        scholarLinks.slice(0, maxLinks).forEach(l => {
-            if (!links.includes(l)) links.push(l);
+        scholarLinks.slice(0, maxLinks).forEach(r => {
+            if (!links.some(l => l.url === r.url)) {
+                links.push(createSearchResult({ ...r, provider: 'google_scholar', query, rank: links.length + 1 }));
+            }
         });
 
         console.log(`   ✅ Google Scholar found ${links.length} links`);
@@ -505,6 +600,18 @@ async function searchGooglePDF(query, maxLinks, browser) {
         // Extract PDF links
         const googleLinks = await page.evaluate(() => {
             const results = [];
+            const seen = new Set();
+            const add = (a) => {
+                if (seen.has(a.href)) return;
+                seen.add(a.href);
+                const block = a.closest('div[data-ved], .g');
+                results.push({
+                    url: a.href,
+                    title: a.querySelector('h3')?.textContent || a.textContent || '',
+                    snippet: block?.querySelector('.VwiC3b, [data-sncf]')?.textContent || ''
+                });
+            };
+
             // Get all result links
             const allLinks = document.querySelectorAll('#search a[href]');
             allLinks.forEach(a => {
@@ -514,7 +621,7 @@ async function searchGooglePDF(query, maxLinks, browser) {
                     !href.includes('google.com') &&
                     !href.includes('webcache') &&
                     (href.endsWith('.pdf') || href.includes('.pdf?') || href.includes('/pdf/'))) {
-                    results.push(href);
+                    add(a);
                 }
             });
 
@@ -522,20 +629,22 @@ async function searchGooglePDF(query, maxLinks, browser) {
             const resultLinks = document.querySelectorAll('div[data-ved] a[href*="http"]');
             resultLinks.forEach(a => {
                 const href = a.href;
-                if (href && !href.includes('google.com') && !results.includes(href)) {
+                if (href && !href.includes('google.com')) {
                     // Check if the link text or nearby text mentions PDF
                     const text = a.textContent || '';
                     if (text.includes('PDF') || href.includes('pdf')) {
-                        results.push(href);
+                        add(a);
                     }
                 }
             });
 
-            return [...new Set(results)];
+            return results;
         });
 
-        googleLinks.slice(0, maxLinks).forEach(l => {
-            if (!links.includes(l)) links.push(l);
+        googleLinks.slice(0, maxLinks).forEach(r => {
+            if (!links.some(l => l.url === r.url)) {
+                links.push(createSearchResult({ ...r, provider: 'google_pdf', query, rank: links.length + 1 }));
+            }
         });
 
         console.log(`   ✅ Google PDF search found ${links.length} links`);
@@ -547,91 +656,6 @@ async function searchGooglePDF(query, maxLinks, browser) {
     return links;
 }
 
-// --- WIKIPEDIA API SEARCH (Works from any IP) ---
-async function searchWikipedia(query, maxLinks) {
-    const links = [];
-    console.log(`\n🔍 Searching Wikipedia API for: "${query}"...`);
-
-    try {
-        const response = await axios.get('https://en.wikipedia.org/w/api.php', {
-            params: {
-                action: 'query',
-                list: 'search',
-                srsearch: query,
-                srlimit: Math.min(maxLinks, 50),
-                format: 'json',
-                origin: '*'
-            },
-            headers: {
-                'User-Agent': 'ResearchBot/1.0 (Educational; contact@example.com)'
-            },
-            timeout: 15000
-        });
-
-        const results = response.data?.query?.search || [];
-        console.log(`   Found ${results.length} Wikipedia articles`);
-
-        for (const result of results) {
-            const title = result.title.replace(/ /g, '_');
-            links.push(`https://en.wikipedia.org/wiki/${encodeURIComponent(title)}`);
-        }
-
-        console.log(`   ✅ Extracted ${links.length} Wikipedia links`);
-    } catch (e) {
-        console.log(`   ❌ Wikipedia API failed: ${e.message}`);
-    }
-
-    return links;
-}
-
-// --- RSS/ATOM FEED SEARCH (News aggregators) ---
-async function searchRSSFeeds(query, maxLinks) {
-    const links = [];
-    console.log(`\n🔍 Searching News RSS Feeds for: "${query}"...`);
-
-    const rssFeeds = [
-        // Google News RSS (works without auth)
-        `https://news.google.com/rss/search?q=${encodeURIComponent(query)}&hl=en-US&gl=US&ceid=US:en`,
-        // Bing News RSS
-        `https://www.bing.com/news/search?q=${encodeURIComponent(query)}&format=rss`,
-    ];
-
-    for (const feedUrl of rssFeeds) {
-        if (links.length >= maxLinks) break;
-
-        try {
-            console.log(`   Trying: ${feedUrl.substring(0, 60)}...`);
-            const response = await axios.get(feedUrl, {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (compatible; ResearchBot/1.0)',
-                    'Accept': 'application/rss+xml, application/xml, text/xml'
-                },
-                timeout: 15000
-            });
-
-            // Parse RSS XML
-            const dom = new JSDOM(response.data, { contentType: 'text/xml' });
-            const items = dom.window.document.querySelectorAll('item link, entry link');
-
-            let count = 0;
-            for (const item of items) {
-                const link = item.textContent || item.getAttribute('href');
-                if (link && link.startsWith('http') && !links.includes(link) && links.length < maxLinks) {
-                    links.push(link);
-                    count++;
-                }
-            }
-            console.log(`   Found ${count} links from feed`);
-
-        } catch (e) {
-            console.log(`   Feed failed: ${e.message}`);
-        }
-    }
-
-    console.log(`   ✅ Total RSS links: ${links.length}`);
-    return links;
-}
-
 // --- BROWSER-BASED SEARCH (Using Stealth Search Module) ---
 async function searchWithBrowser(query, maxLinks, browser) {
     console.log(`\n🔍 Browser-based search for: "${query}"...`);
@@ -644,11 +668,11 @@ async function searchWithBrowser(query, maxLinks, browser) {
 }
 
 // --- PDF PROCESSING ---
-async function processPDF(url) {
+async function processPDF(url, result = null) {
     try {
         console.log(`      📄 Attempting PDF: ${url.substring(0, 60)}...`);
 
-        const response = await axios.get(url, {
+        const response = await scheduleFetch(url, () => axios.get(url, {
             responseType: 'arraybuffer',
             timeout: 30000,
             headers: {
@@ -657,25 +681,74 @@ async function processPDF(url) {
             },
             maxRedirects: 10,
             validateStatus: (status) => status >= 200 && status < 400
-        });
+        }));
 
+        // The file's own header decides: servers send PDFs as octet-stream, and error pages as application/pdf
         const contentType = response.headers['content-type'] || '';
-        if (!contentType.includes('pdf') && response.data.length < 50000) {
+        if (await sniffDocumentType(Buffer.from(response.data), contentType) !== 'pdf') {
             console.log(`      ⚠️ Not a valid PDF (${contentType})`);
             return null;
         }
 
-        if (response.data.length < 10000) {
-            console.log(`      ⚠️ PDF too small (${response.data.length} bytes)`);
+        return await extractPDF(url, response.data, result);
+    } catch (e) {
+        console.log(`      ❌ PDF failed: ${e.message}`);
+    }
+    return null;
+}
+
+/**
+ * Extract a downloaded PDF into a source
+ */
+async function extractPDF(url, bytes, result = null) {
+    try {
+        if (bytes.length < 10000) {
+            console.log(`      ⚠️ PDF too small (${bytes.length} bytes)`);
             return null;
         }
 
-        const data = await pdf(response.data);
-        const wordCount = countWords(data.text);
+        // Reading-order text: columns, running headers/footers and hyphenation handled per page
+        let data = await extractPdfText(bytes);
+        let wordCount = countWords(data.text);
+
+        // Scans and broken text layers: OCR the pages without usable text, when the
+        // document would be rejected or most of its pages are affected
+        const poorPages = pagesNeedingOcr(data.pages);
+        let ocr = null;
+        if (poorPages.length && (wordCount < MIN_WORDS || poorPages.length * 2 >= data.pages.length)) {
+            console.log(`      🔠 Text layer missing on ${poorPages.length}/${data.pages.length} page(s), trying OCR`);
+            const read = await ocrPdf(bytes, poorPages);
+            if (read) {
+                // An OCR page only replaces its text layer when it found more words
+                const replaced = [];
+                const pages = data.pages.map((text, index) => {
+                    if (read.pages[index] === undefined || countWords(read.pages[index]) <= countWords(text)) return text;
+                    replaced.push(index + 1);
+                    return read.pages[index];
+                });
+                console.log(`      🔠 OCR read ${read.pageNumbers.length} page(s) in ${read.seconds}s (mean confidence ${read.confidence}%), ${replaced.length} used`);
+
+                if (replaced.length) {
+                    data = { ...data, pages, text: pages.filter(Boolean).join('\n\n') };
+                    wordCount = countWords(data.text);
+                    // The 1-based pages whose text came from OCR
+                    ocr = { engine: 'tesseract', pages: replaced, confidence: read.confidence };
+                }
+            }
+        }
+
+        // Dates and front matter (title, authors, abstract, DOI...) in the PDF itself fill in
+        // what the provider didn't supply
+        const frontMatter = parseFrontMatter(data);
+        if (result) result = mergeMetadata(result, { documentDate: dateFromPdf(data), ...frontMatter });
 
         if (wordCount >= MIN_WORDS) {
-            console.log(`      ✅ PDF extracted: ${wordCount} words`);
-            return formatOutput("PDF", data.info?.Title || "PDF Document", url, data.text);
+            console.log(`      ✅ PDF extracted${ocr ? ' (OCR)' : ''}: ${wordCount} words`);
+            // Provider or printed title; the embedded Title is only used when it isn't junk
+            const title = result?.metadata?.title || frontMatter.title || result?.title || "PDF Document";
+            // Kept on disk when INPUT_EMBED_ORIGINAL puts the original pages or file in the volume
+            const originalFile = saveOriginal(url, bytes);
+            return formatOutput("PDF", title, url, data.text, result, { pages: data.pages, pageCount: data.pageCount, originalFile, ocr });
         } else {
             console.log(`      ⚠️ PDF too short: ${wordCount} words (min: ${MIN_WORDS})`);
         }
@@ -686,7 +759,125 @@ async function processPDF(url) {
 }
 
 // --- WEBPAGE PROCESSING ---
-async function processWebpage(url, page, contentType) {
+/**
+ * Pull a page's main content out of its DOM
+ * Readability first (best for articles), then the largest common main-content element,
+ * then the whole body with navigation and boilerplate removed
+ * @returns {{title: string, textContent: string, blocks: Array<Object>}}
+ */
+function extractWebContent(document, url) {
+    let title = '';
+    let textContent = '';
+    let blocks = [];
+
+    // STRATEGY 1: Try Readability (best for articles)
+    try {
+        const reader = new Readability(document.cloneNode(true));
+        const article = reader.parse();
+
+        if (article && article.textContent && countWords(article.textContent) > 50) {
+            title = article.title || '';
+            textContent = article.textContent;
+            blocks = extractBlocks(article.content, url);
+        }
+    } catch (e) {
+        // Readability failed, continue to fallbacks
+    }
+
+    // STRATEGY 2: Direct text extraction from main content areas
+    if (!textContent || countWords(textContent) < 50) {
+        const selectors = [
+            'article', 'main', '[role="main"]', '.content', '#content',
+            '.post-content', '.article-content', '.entry-content',
+            '.post-body', '.article-body', '.story-body',
+            '.page-content', '#main-content', '.main-content'
+        ];
+
+        for (const selector of selectors) {
+            const el = document.querySelector(selector);
+            if (el && el.textContent) {
+                const extracted = el.textContent.trim();
+                if (countWords(extracted) > countWords(textContent)) {
+                    textContent = extracted;
+                    blocks = extractBlocks(el);
+                    title = title || document.querySelector('h1')?.textContent ||
+                        document.querySelector('title')?.textContent || '';
+                }
+            }
+        }
+    }
+
+    // STRATEGY 3: Fall back to body text (last resort)
+    if (!textContent || countWords(textContent) < 50) {
+        // Remove scripts, styles, navs, headers, footers
+        const nodesToRemove = document.querySelectorAll(
+            'script, style, nav, header, footer, aside, .nav, .menu, .sidebar, .comments, .advertisement, .ad, [role="navigation"]'
+        );
+        nodesToRemove.forEach(n => n.remove());
+
+        textContent = document.body?.textContent || '';
+        blocks = extractBlocks(document.body);
+        title = title || document.querySelector('title')?.textContent || 'Untitled';
+    }
+
+    // Plain text (one paragraph per block) for word counts and checks; the blocks keep the structure
+    textContent = blocks.length ? blocksToText(blocks) : textContent.replace(/\s+/g, ' ').trim();
+
+    return { title: title || document.title || 'Untitled', textContent, blocks };
+}
+
+/**
+ * Bot detection/challenge pages (they often have very short generic content)
+ */
+function isBotBlocked(textContent, wordCount) {
+    const lowerContent = textContent.toLowerCase();
+    return (
+        lowerContent.includes('verify you are human') ||
+        lowerContent.includes('please enable javascript') ||
+        lowerContent.includes('checking your browser') ||
+        lowerContent.includes('cloudflare') ||
+        lowerContent.includes('access denied') ||
+        lowerContent.includes('403 forbidden') ||
+        lowerContent.includes('captcha') ||
+        (wordCount < 100 && lowerContent.includes('security'))
+    );
+}
+
+/**
+ * Extract a web source from HTML, fetched statically or rendered by the browser
+ * @param {string} url - Source URL (also the base for relative links)
+ * @param {string} html
+ * @param {Object} [result] - Search result the link came from
+ * @param {string} [via] - "Static" or "Web", for the log
+ * @param {string} [charset] - Charset the HTML was decoded with, when known
+ * @returns {Promise<Object|null>} - Source, or null when blocked or too short
+ */
+async function processHtml(url, html, result = null, via = 'Web', charset = null) {
+    const dom = new JSDOM(html, { url });
+    const document = dom.window.document;
+
+    // Dates in the page's meta tags and JSON-LD fill in when the provider had none
+    if (result) result = mergeMetadata(result, { documentDate: dateFromHtml(document) });
+
+    let { title, textContent, blocks } = extractWebContent(document, url);
+    const wordCount = countWords(textContent);
+
+    if (isBotBlocked(textContent, wordCount)) {
+        console.log(`      🚫 Bot blocked (${via}): ${url.substring(0, 45)}...`);
+        return null;
+    }
+
+    if (wordCount >= MIN_WORDS) {
+        console.log(`      ✅ ${via} extracted: ${wordCount} words`);
+        // Opt-in (INPUT_CAPTURE_IMAGES): download the figures in the main content
+        blocks = await captureImages(blocks);
+        return formatOutput("WEB", title, url, textContent, result, { blocks, charset });
+    }
+    console.log(`      ⚠️ ${via} content too short: ${wordCount} words (min: ${MIN_WORDS})`);
+    return null;
+}
+
+async function processWebpage(url, page, contentType, result = null) {
     try {
         // Block heavy resources to speed up loading
         await page.route('**/*', (route) => {
@@ -698,10 +889,10 @@ async function processWebpage(url, page, contentType) {
             }
         });
 
-        const response = await page.goto(url, {
+        const response = await scheduleFetch(url, () => page.goto(url, {
             waitUntil: 'domcontentloaded',
             timeout: 25000
-        });
+        }));
 
         if (!response) {
             console.log(`      ❌ No response from ${url.substring(0, 40)}...`);
@@ -712,7 +903,7 @@ async function processWebpage(url, page, contentType) {
         const responseContentType = response.headers()['content-type'] || '';
         if (responseContentType.includes('pdf')) {
             await page.unroute('**/*');
-            return await processPDF(url);
+            return await processPDF(url, result);
         }
 
         // Wait for JavaScript content to render
@@ -728,165 +919,253 @@ async function processWebpage(url, page, contentType) {
 
         // Get HTML after JS has rendered
         const html = await page.content();
-        const dom = new JSDOM(html, { url });
-        const document = dom.window.document;
-
-        let title = '';
-        let textContent = '';
-
-        // STRATEGY 1: Try Readability (best for articles)
-        try {
-            const reader = new Readability(document.cloneNode(true));
-            const article = reader.parse();
-
-            if (article && article.textContent && countWords(article.textContent) > 50) {
-                title = article.title || '';
-                textContent = article.textContent;
-            }
-        } catch (e) {
-            // Readability failed, continue to fallbacks
-        }
+        await page.unroute('**/*');
 
-        // STRATEGY 2: Direct text extraction from main content areas
-        if (!textContent || countWords(textContent) < 50) {
-            const selectors = [
-                'article', 'main', '[role="main"]', '.content', '#content',
-                '.post-content', '.article-content', '.entry-content',
-                '.post-body', '.article-body', '.story-body',
-                '.page-content', '#main-content', '.main-content'
-            ];
-
-            for (const selector of selectors) {
-                const el = document.querySelector(selector);
-                if (el && el.textContent) {
-                    const extracted = el.textContent.trim();
-                    if (countWords(extracted) > countWords(textContent)) {
-                        textContent = extracted;
-                        title = title || document.querySelector('h1')?.textContent ||
-                            document.querySelector('title')?.textContent || '';
-                    }
-                }
+        // PDF-only mode: the rendered page is only useful if it points at a PDF
+        if (contentType === 'pdfs') {
+            const pdfUrl = citationPdfUrl(html, page.url());
+            if (pdfUrl) {
+                console.log(`      🔍 Landing page PDF: ${pdfUrl.substring(0, 50)}...`);
+                return await processPDF(pdfUrl, result);
             }
+            console.log(`      ⏭️ Skipping non-PDF: ${url.substring(0, 50)}...`);
+            return null;
         }
 
-        // STRATEGY 3: Fall back to body text (last resort)
-        if (!textContent || countWords(textContent) < 50) {
-            // Remove scripts, styles, navs, headers, footers
-            const nodesToRemove = document.querySelectorAll(
-                'script, style, nav, header, footer, aside, .nav, .menu, .sidebar, .comments, .advertisement, .ad, [role="navigation"]'
-            );
-            nodesToRemove.forEach(n => n.remove());
-
-            textContent = document.body?.textContent || '';
-            title = title || document.querySelector('title')?.textContent || 'Untitled';
-        }
-
-        // Get title from page if still missing
-        if (!title) {
-            title = await page.title() || 'Untitled';
-        }
-
-        await page.unroute('**/*');
-
-        // Clean up the extracted text
-        textContent = textContent
-            .replace(/\s+/g, ' ')
-            .replace(/\n\s*\n/g, '\n\n')
-            .trim();
-
-        const wordCount = countWords(textContent);
-
-        // Check for bot detection/challenge pages (they often have very short generic content)
-        const lowerContent = textContent.toLowerCase();
-        const isBotBlocked = (
-            lowerContent.includes('verify you are human') ||
-            lowerContent.includes('please enable javascript') ||
-            lowerContent.includes('checking your browser') ||
-            lowerContent.includes('cloudflare') ||
-            lowerContent.includes('access denied') ||
-            lowerContent.includes('403 forbidden') ||
-            lowerContent.includes('captcha') ||
-            (wordCount < 100 && lowerContent.includes('security'))
-        );
+        // The final URL after redirects is the base for relative links and images
+        return await processHtml(page.url(), html, result, 'Web');
+    } catch (e) {
+        console.log(`      ❌ Web failed: ${e.message.substring(0, 50)}`);
+    }
+    return null;
+}
 
-        if (isBotBlocked) {
-            console.log(`      🚫 Bot blocked: ${url.substring(0, 45)}...`);
-            return null;
-        }
+/**
+ * Extract a text, DOCX, PPTX or EPUB document fetched without the browser
+ */
+async function processDocument(url, fetched, result = null) {
+    try {
+        const extracted = await extractDocument(fetched.type, fetched.bytes, fetched.contentType);
+        const content = blocksToText(extracted.blocks);
+        const wordCount = countWords(content);
 
         if (wordCount >= MIN_WORDS) {
-            console.log(`      ✅ Web extracted: ${wordCount} words`);
-            return formatOutput("WEB", title, url, textContent);
-        } else {
-            console.log(`      ⚠️ Content too short: ${wordCount} words (min: ${MIN_WORDS})`);
+            console.log(`      ✅ ${extracted.type} extracted: ${wordCount} words`);
+            const title = result?.metadata?.title || extracted.title || result?.title || 'Untitled Document';
+            return formatOutput(extracted.type, title, url, content, result, { blocks: extracted.blocks });
         }
+        console.log(`      ⚠️ ${extracted.type} too short: ${wordCount} words (min: ${MIN_WORDS})`);
     } catch (e) {
-        console.log(`      ❌ Web failed: ${e.message.substring(0, 50)}`);
+        console.log(`      ❌ ${fetched.type.toUpperCase()} failed: ${e.message.substring(0, 50)}`);
     }
     return null;
 }
 
-async function processLink(link, browser, contentType) {
-    const lowerLink = link.toLowerCase();
+/**
+ * PDF link a scholarly landing page declares (Highwire/Google Scholar citation_pdf_url meta tag)
+ */
+function citationPdfUrl(html, pageUrl) {
+    const document = new JSDOM(html, { url: pageUrl }).window.document;
+    const content = document.querySelector('meta[name="citation_pdf_url"]')?.getAttribute('content');
+    try {
+        return content ? new URL(content, pageUrl).href : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+async function processLink(result, browser, contentType) {
+    // Providers that can fetch their own content (APIs, full-text XML) go first
+    const provider = getProvider(result.provider);
+    if (provider?.fetch) {
+        const fetched = await provider.fetch(result, { browser, contentType });
+        if (fetched) {
+            const wordCount = countWords(fetched.content);
+            if (wordCount >= MIN_WORDS) {
+                console.log(`      ✅ ${provider.label} full text: ${wordCount} words`);
+                const blocks = fetched.blocks ? await captureImages(fetched.blocks) : undefined;
+                return formatOutput(fetched.type, fetched.title, result.url, fetched.content, result, { sections: fetched.sections, blocks });
+            }
+            console.log(`      ⚠️ Full text too short: ${wordCount} words (min: ${MIN_WORDS})`);
+        }
+    }
+
+    let link = result.url;
+    let lowerLink = link.toLowerCase();
 
     // Check if this is definitely a PDF link
     const isDefinitePdf = lowerLink.endsWith('.pdf') || lowerLink.includes('.pdf?');
 
-    // Check if this might be a PDF (academic links that often resolve to PDFs)
-    const mightBePdf = lowerLink.includes('/pdf/') ||
-        lowerLink.includes('/pdf?') ||
-        lowerLink.includes('downloadpdf') ||
-        lowerLink.includes('/fulltext/') ||
-        (lowerLink.includes('doi.org') && contentType === 'pdfs') ||
-        lowerLink.includes('arxiv.org/pdf') ||
-        lowerLink.includes('researchgate.net/publication') ||
-        lowerLink.includes('academia.edu');
+    // DOI links and DOI-bearing results: ask the open-access service where the PDF lives first
+    const doi = !isDefinitePdf && (result.metadata?.doi || (lowerLink.includes('doi.org') && extractDOI(link)));
+    if (doi) {
+        const resolved = await resolveDOI(doi);
+        if (resolved) {
+            result = mergeMetadata(result, resolved.metadata);
+
+            if (resolved.pdfUrl) {
+                const pdfResult = await processPDF(resolved.pdfUrl, result);
+                if (pdfResult) return pdfResult;
+            }
+
+            // No usable OA PDF: continue with the publisher landing page instead of the bare DOI redirect
+            if (resolved.landingUrl && lowerLink.includes('doi.org')) {
+                link = resolved.landingUrl;
+                lowerLink = link.toLowerCase();
+            }
+        }
+    }
 
     // Process definite PDFs directly
     if (isDefinitePdf) {
-        return await processPDF(link);
+        return await processPDF(link, result);
     }
 
-    // For PDF mode, try potential PDF URLs by following redirects
-    if (contentType === 'pdfs') {
-        if (mightBePdf) {
-            console.log(`      🔍 Checking potential PDF: ${link.substring(0, 50)}...`);
+    // Plain HTTP fetch first: the response's bytes and headers, not the URL, say what the link is
+    let fetched = null;
+    try {
+        fetched = await fetchDocument(link);
+        console.log(`      🔍 Static fetch: ${fetched.type || 'unsupported'} (${fetched.contentType.split(';')[0] || 'no type'})`);
+    } catch (e) {
+        // robots.txt said no: the browser would be refused too
+        if (e.message.startsWith('Skipped')) {
+            console.log(`      🤖 ${e.message}: ${link.substring(0, 50)}...`);
+            return null;
+        }
+        console.log(`      ⚠️ Static fetch failed: ${e.message.substring(0, 50)}`);
+    }
 
-            // First try direct PDF download (in case it redirects)
-            const pdfResult = await processPDF(link);
-            if (pdfResult) return pdfResult;
+    if (fetched?.type === 'pdf') {
+        return await extractPDF(link, fetched.bytes, result);
+    }
 
-            // If that fails, try browser-based processing to see if it resolves to PDF
-            const context = await browser.newContext({
-                userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-            });
-            const page = await context.newPage();
+    // PDF-only mode: a landing page can still point at its paper's PDF
+    if (contentType === 'pdfs') {
+        const pdfUrl = fetched?.type === 'html' && citationPdfUrl(decodeBody(fetched.bytes, fetched.contentType), fetched.url);
+        if (pdfUrl) {
+            console.log(`      🔍 Landing page PDF: ${pdfUrl.substring(0, 50)}...`);
+            return await processPDF(pdfUrl, result);
+        }
 
-            try {
-                return await processWebpage(link, page, contentType);
-            } finally {
-                await context.close();
-            }
+        // Other documents (DOCX, EPUB, ...) aren't PDFs
+        if (fetched?.type && fetched.type !== 'html') {
+            console.log(`      ⏭️ Skipping non-PDF: ${link.substring(0, 50)}...`);
+            return null;
         }
 
-        // Skip non-PDF links in PDF-only mode
-        console.log(`      ⏭️ Skipping non-PDF: ${link.substring(0, 50)}...`);
+        // Failed fetches, unreadable responses and pages without a PDF link may still
+        // reach a PDF in the browser (script redirects, bot challenges)
+        return await renderInBrowser(link, browser, contentType, result);
+    }
+
+    if (fetched && fetched.type !== 'html') {
+        if (fetched.type) return await processDocument(link, fetched, result);
+        console.log(`      ⏭️ Unsupported document type: ${link.substring(0, 50)}...`);
         return null;
     }
 
-    // Process web pages (for 'both' mode)
+    // Static HTML with enough text needs no browser; the final URL after redirects
+    // is the base for relative links and images
+    if (fetched) {
+        const { charset } = detectCharset(fetched.bytes, fetched.contentType);
+        const source = await processHtml(fetched.url, decodeBody(fetched.bytes, fetched.contentType), result, 'Static', charset);
+        if (source) return source;
+    }
+
+    // Browser for pages that failed to fetch, are rendered by JavaScript, or sit behind a challenge
+    return await renderInBrowser(link, browser, contentType, result);
+}
+
+/**
+ * Load a link in a fresh browser context
+ */
+async function renderInBrowser(link, browser, contentType, result) {
+    console.log(`      🌐 Rendering in browser: ${link.substring(0, 50)}...`);
     const context = await browser.newContext({
         userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
     });
     const page = await context.newPage();
 
     try {
-        return await processWebpage(link, page, contentType);
+        return await processWebpage(link, page, contentType, result);
     } finally {
         await context.close();
     }
 }
 
+// --- SEARCH PROVIDERS ---
+// Built-in sources; pick and order them with INPUT_PROVIDERS, add more with INPUT_PROVIDER_MODULES
+registerProvider('semantic_scholar', {
+    label: 'Semantic Scholar',
+    capabilities: [CAPABILITIES.PDF, CAPABILITIES.ACADEMIC],
+    search: (query, maxLinks) => searchSemanticScholar(query, maxLinks)
+});
+
+registerProvider('citation_snowball', {
+    label: 'Citation snowball (Semantic Scholar)',
+    capabilities: [CAPABILITIES.PDF, CAPABILITIES.ACADEMIC],
+    search: (query, maxLinks) => snowballSemanticScholar(query, maxLinks),
+    perQuery: false
+});
+
+registerProvider('arxiv', {
+    label: 'arXiv',
+    capabilities: [CAPABILITIES.PDF, CAPABILITIES.ACADEMIC],
+    search: (query, maxLinks) => searchArXiv(query, maxLinks)
+});
+
+registerProvider('google_scholar', {
+    label: 'Google Scholar',
+    capabilities: [CAPABILITIES.PDF, CAPABILITIES.WEB, CAPABILITIES.ACADEMIC],
+    search: (query, maxLinks, { browser }) => searchGoogleScholar(query, maxLinks, browser)
+});
+
+registerProvider('google_pdf', {
+    label: 'Google filetype:pdf',
+    capabilities: [CAPABILITIES.PDF],
+    search: (query, maxLinks, { browser }) => searchGooglePDF(query, maxLinks, browser)
+});
+
+registerProvider('europe_pmc', {
+    label: 'Europe PMC',
+    capabilities: [CAPABILITIES.PDF, CAPABILITIES.ACADEMIC],
+    search: (query, maxLinks) => searchEuropePMC(query, maxLinks),
+    // Open-access full text as JATS XML beats scraping the PDF
+    fetch: (result) => fetchEuropePMCFullText(result)
+});
+
+registerProvider('wikipedia', {
+    label: 'Wikipedia',
+    capabilities: [CAPABILITIES.WEB],
+    search: (query, maxLinks) => searchWikipedia(query, maxLinks),
+    // Parsed article HTML from the API (sections, tables, infoboxes) instead of a Chromium render
+    fetch: (result) => fetchWikipediaArticle(result)
+});
+
+registerProvider('rss', {
+    label: 'News feeds',
+    capabilities: [CAPABILITIES.WEB],
+    search: (query, maxLinks) => searchRSSFeeds(query, maxLinks),
+    // Resolving aggregator links to publisher pages is slow; once is enough
+    perQuery: false
+});
+
+registerProvider('site_crawl', {
+    label: 'Seeded site crawl',
+    capabilities: [CAPABILITIES.PDF, CAPABILITIES.WEB],
+    // Seeds, depth and limits come from INPUT_CRAWL_*
+    search: (query, maxLinks) => crawlSites(query, maxLinks),
+    perQuery: false
+});
+
+registerProvider('web_search', {
+    label: 'Stealth web search',
+    capabilities: [CAPABILITIES.PDF, CAPABILITIES.WEB],
+    // In PDF mode, narrow general web search to PDF files
+    search: (query, maxLinks, { browser, contentType }) =>
+        searchWithBrowser(contentType === 'pdfs' ? `${query} filetype:pdf` : query, maxLinks, browser)
+});
+
 // --- MAIN EXECUTION ---
 (async () => {
     console.log(`\n🚜 TEXT MINER BOT ONLINE`);
@@ -894,6 +1173,9 @@ async function processLink(link, browser, contentType) {
     console.log(`📦 Compression: ${DOCS_PER_FILE} items per text file`);
     console.log(`📝 Min Words: ${MIN_WORDS}`);
     console.log(`📑 Content Type: ${CONTENT_TYPE}${CONTENT_TYPE === 'pdfs' ? ' (PDFs only)' : ' (PDFs + web pages)'}`);
+    if (PUBLISHED_AFTER || PUBLISHED_BEFORE) {
+        console.log(`📅 Published: ${PUBLISHED_AFTER ? PUBLISHED_AFTER.toISOString().substring(0, 10) : 'any'} → ${PUBLISHED_BEFORE ? PUBLISHED_BEFORE.toISOString().substring(0, 10) : 'now'}${KEEP_UNDATED ? ' (undated kept)' : ''}`);
+    }
 
     // Launch browser early for search if needed
     const browser = await chromium.launch({
@@ -901,64 +1183,32 @@ async function processLink(link, browser, contentType) {
         args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
     });
 
-    // --- STEP 1: HARVEST LINKS (Multiple strategies) ---
-    let collectedLinks = [];
-
+    // --- STEP 1: HARVEST LINKS (Configured provider chain) ---
     console.log(`\n🔎 Search Query: "${QUERY}"`);
 
-    // For PDF mode, use academic sources first
+    loadProviderModules(PROVIDER_MODULES);
+    const providerChain = resolveProviderChain(PROVIDERS, CONTENT_TYPE);
+    console.log(`🔌 Providers: ${providerChain.map(({ provider, quota }) => quota ? `${provider.name} (${quota})` : provider.name).join(' → ')}`);
+
     if (CONTENT_TYPE === 'pdfs') {
         console.log(`\n📚 Using academic search sources for PDF discovery...`);
+    }
 
-        // Strategy 1: Semantic Scholar API (best for academic topics, has open access PDFs)
-        const semanticLinks = await searchSemanticScholar(QUERY, Math.ceil(TARGET_DOCS / 2));
-        semanticLinks.forEach(l => { if (!collectedLinks.includes(l)) collectedLinks.push(l); });
-
-        // Strategy 2: arXiv API (preprints and technical papers)
-        if (collectedLinks.length < TARGET_DOCS) {
-            const arxivLinks = await searchArXiv(QUERY, TARGET_DOCS - collectedLinks.length);
-            arxivLinks.forEach(l => { if (!collectedLinks.includes(l)) collectedLinks.push(l); });
-        }
-
-        // Strategy 3: Google Scholar (comprehensive academic search)
-        if (collectedLinks.length < TARGET_DOCS) {
-            const scholarLinks = await searchGoogleScholar(QUERY, TARGET_DOCS - collectedLinks.length, browser);
-            scholarLinks.forEach(l => { if (!collectedLinks.includes(l)) collectedLinks.push(l); });
-        }
-
-        // Strategy 4: Google filetype:pdf (general PDF search)
-        if (collectedLinks.length < TARGET_DOCS) {
-            const googlePdfLinks = await searchGooglePDF(QUERY, TARGET_DOCS - collectedLinks.length, browser);
-            googlePdfLinks.forEach(l => { if (!collectedLinks.includes(l)) collectedLinks.push(l); });
-        }
-
-        // Strategy 5: DuckDuckGo/Bing as backup
-        if (collectedLinks.length < TARGET_DOCS) {
-            const browserLinks = await searchWithBrowser(`${QUERY} filetype:pdf`, TARGET_DOCS - collectedLinks.length, browser);
-            browserLinks.forEach(l => { if (!collectedLinks.includes(l)) collectedLinks.push(l); });
-        }
-    } else {
-        // For web + PDF mode, use the original strategy
+    const subQueries = buildSubQueries(QUERY);
+    if (subQueries.length > 1) {
+        console.log(`🧭 Sub-queries: ${subQueries.map(q => `"${q}"`).join(', ')}`);
+    }
 
-        // Strategy 1: Wikipedia API
-        const wikiLinks = await searchWikipedia(QUERY, Math.ceil(TARGET_DOCS / 2));
-        collectedLinks.push(...wikiLinks);
+    const harvestedLinks = await harvestResults(providerChain, subQueries, TARGET_DOCS, { browser, contentType: CONTENT_TYPE });
 
-        // Strategy 2: RSS Feeds
-        if (collectedLinks.length < TARGET_DOCS) {
-            const rssLinks = await searchRSSFeeds(QUERY, TARGET_DOCS - collectedLinks.length);
-            rssLinks.forEach(l => { if (!collectedLinks.includes(l)) collectedLinks.push(l); });
-        }
+    console.log(`\n✅ Harvest Complete. Found ${harvestedLinks.length} unique links.`);
 
-        // Strategy 3: Browser-based search
-        if (collectedLinks.length < TARGET_DOCS) {
-            const browserLinks = await searchWithBrowser(QUERY, TARGET_DOCS - collectedLinks.length, browser);
-            browserLinks.forEach(l => { if (!collectedLinks.includes(l)) collectedLinks.push(l); });
-        }
+    // --- STEP 1b: FILTER (domain/TLD/path rules, blocklist, per-domain cap) ---
+    const { accepted: collectedLinks, rejected } = filterResults(harvestedLinks);
+    if (rejected.length > 0) {
+        console.log(`🧹 Filtered out ${rejected.length} links, ${collectedLinks.length} left.`);
     }
 
-    console.log(`\n✅ Harvest Complete. Found ${collectedLinks.length} unique links.`);
-
     if (collectedLinks.length === 0) {
         console.log("❌ No links found. Exiting.");
         await browser.close();
@@ -966,24 +1216,39 @@ async function processLink(link, browser, contentType) {
     }
 
     // --- STEP 2: PROCESS & COMPRESS ---
-    const linksArray = collectedLinks.slice(0, TARGET_DOCS);
+    // Drop results whose provider already says they fall outside the publication window
+    // (undated results are kept until their content has been checked for a date)
+    const linksArray = collectedLinks
+        .filter(result => isPublishedWithin(resolvePublishedDate(result.metadata)?.date, PUBLISHED_AFTER, PUBLISHED_BEFORE, true))
+        .slice(0, TARGET_DOCS);
     let processedCount = 0;
     let successCount = 0;
     let currentVolume = 1;
     let currentSources = [];
+    // Extracted documents turned away by the language or publication-date filters
+    const rejectedSources = [];
+    // Accepted sources with data tables, and their source numbers, for the CSV export
+    const tableSources = [];
 
     const CONCURRENCY = 3;
 
     for (let i = 0; i < linksArray.length; i += CONCURRENCY) {
         const chunk = linksArray.slice(i, i + CONCURRENCY);
-        const promises = chunk.map(link => processLink(link, browser, CONTENT_TYPE));
+        const promises = chunk.map(result => processLink(result, browser, CONTENT_TYPE));
         const results = await Promise.all(promises);
 
         for (const res of results) {
             processedCount++;
-            if (res) {
+            if (res && !isPublishedWithin(res.publishedDate, PUBLISHED_AFTER, PUBLISHED_BEFORE, KEEP_UNDATED)) {
+                console.log(`\n      📅 Outside publication window (${res.publishedDate || 'undated'}): ${res.title.substring(0, 50)}`);
+                rejectedSources.push({ url: res.url, title: res.title, reason: `published ${res.publishedDate || 'undated'}, outside window` });
+            } else if (res && !isAcceptedLanguage({ language: res.language, code: res.languageCode })) {
+                console.log(`\n      🌐 Language not accepted (${res.language}): ${res.title.substring(0, 50)}`);
+                rejectedSources.push({ url: res.url, title: res.title, reason: `language ${res.language}`, language: res.language });
+            } else if (res) {
                 currentSources.push(res);
                 successCount++;
+                if (res.tables.length) tableSources.push({ number: successCount, source: res });
             }
         }
 
@@ -1002,9 +1267,42 @@ async function processLink(link, browser, contentType) {
 
     await browser.close();
 
+    // Record what robots.txt kept us from fetching
+    const skippedFetches = getSkippedFetches();
+    if (skippedFetches.length > 0) {
+        fs.writeFileSync(path.join(OUTPUT_DIR, 'skipped_fetches.json'), JSON.stringify(skippedFetches, null, 2));
+    }
+    if (rejectedSources.length > 0) {
+        fs.writeFileSync(path.join(OUTPUT_DIR, 'rejected_documents.json'), JSON.stringify(rejectedSources, null, 2));
+    }
+
+    // Tables as CSV files, with a manifest tying each file to its source
+    const tablesDir = path.join(OUTPUT_DIR, 'tables');
+    fs.rmSync(tablesDir, { recursive: true, force: true });
+    let tableCount = 0;
+    if (tableSources.length > 0) {
+        fs.mkdirSync(tablesDir, { recursive: true });
+        const manifest = [];
+        for (const { number, source } of tableSources) {
+            source.tables.forEach((table, t) => {
+                const file = `source_${number}_table_${t + 1}.csv`;
+                fs.writeFileSync(path.join(tablesDir, file), tableToCSV(table));
+                manifest.push({ file, source: number, url: source.url, title: source.title, caption: table.caption, rows: table.rows.length });
+            });
+        }
+        fs.writeFileSync(path.join(tablesDir, 'tables.json'), JSON.stringify(manifest, null, 2));
+        tableCount = manifest.length;
+    }
+
+    // The next "last-run" arXiv window starts where this run started
+    recordArXivRun();
+
     console.log(`\n\n🏁 JOB COMPLETE!`);
     console.log(`   📊 Total Processed: ${processedCount}`);
     console.log(`   ✅ Successfully Extracted: ${successCount}`);
+    console.log(`   🤖 Skipped by robots.txt: ${skippedFetches.length}`);
+    console.log(`   🗑️ Rejected (language/date filters): ${rejectedSources.length}`);
+    console.log(`   📊 Tables exported as CSV: ${tableCount}`);
     console.log(`   📁 Output saved to: ${OUTPUT_DIR}`);
 
 })();
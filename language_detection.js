@@ -0,0 +1,55 @@
+/**
+ * Language Detection
+ * Offline language identification (franc trigram models) for extracted documents,
+ * and the accepted-languages filter
+ */
+const franc = require('franc-min');
+
+const LANGUAGES = process.env.INPUT_LANGUAGES || ''; // accepted languages, e.g. "en,de" (blank = any)
+
+const SAMPLE_LENGTH = 10000; // characters examined; more adds time, not accuracy
+const MIN_LENGTH = 50;       // shorter texts are reported as undetermined
+
+// ISO 639-3 codes franc returns -> ISO 639-1, for the languages franc-min knows
+const ISO_639_1 = {
+    eng: 'en', deu: 'de', fra: 'fr', spa: 'es', por: 'pt', ita: 'it', nld: 'nl',
+    rus: 'ru', ukr: 'uk', bel: 'be', bul: 'bg', pol: 'pl', ces: 'cs', ron: 'ro',
+    hun: 'hu', swe: 'sv', srp: 'sr', hrv: 'hr', bos: 'bs', ell: 'el', tur: 'tr',
+    azj: 'az', uzn: 'uz', kaz: 'kk', cmn: 'zh', jpn: 'ja', kor: 'ko', vie: 'vi',
+    tha: 'th', mya: 'my', ind: 'id', zlm: 'ms', jav: 'jv', sun: 'su', tgl: 'tl',
+    arb: 'ar', fas: 'fa', urd: 'ur', hin: 'hi', mar: 'mr', nep: 'ne', ben: 'bn',
+    pan: 'pa', guj: 'gu', ori: 'or', tam: 'ta', tel: 'te', kan: 'kn', mal: 'ml',
+    sin: 'si', amh: 'am', hau: 'ha', yor: 'yo', ibo: 'ig', swh: 'sw', som: 'so',
+    zul: 'zu', kin: 'rw', lin: 'ln', nya: 'ny', plt: 'mg'
+};
+
+/**
+ * Identify a document's language
+ * @param {string} text - Extracted text (before any ASCII clean-up)
+ * @returns {{language: string, code: string}} - language is ISO 639-1 where one exists,
+ *          code is franc's ISO 639-3; both are "und" when undetermined
+ */
+function detectLanguage(text) {
+    const sample = (text || '').replace(/\s+/g, ' ').trim().substring(0, SAMPLE_LENGTH);
+    if (sample.length < MIN_LENGTH) return { language: 'und', code: 'und' };
+
+    const code = franc(sample, { minLength: MIN_LENGTH });
+    return { language: ISO_639_1[code] || code, code };
+}
+
+/**
+ * Is a detected language in the accepted list?
+ * The list may use ISO 639-1 ("en") or 639-3 ("eng"); undetermined documents pass
+ * @param {{language: string, code: string}} detected - Output of detectLanguage
+ * @param {string} [accepted] - Comma-separated accepted languages (defaults to INPUT_LANGUAGES)
+ */
+function isAcceptedLanguage(detected, accepted = LANGUAGES) {
+    const wanted = accepted.split(',').map(l => l.trim().toLowerCase()).filter(Boolean);
+    if (!wanted.length || !detected || detected.code === 'und') return true;
+    return wanted.includes(detected.language) || wanted.includes(detected.code);
+}
+
+module.exports = {
+    detectLanguage,
+    isAcceptedLanguage
+};
@@ -0,0 +1,316 @@
+/**
+ * News Feed Provider
+ * Reads RSS/Atom feeds from the run config or an OPML file, filters items by
+ * query terms, publication window and category, and resolves aggregator
+ * redirect links to the publisher's own URL
+ */
+const fs = require('fs');
+const axios = require('axios');
+const { JSDOM } = require('jsdom');
+const { createSearchResult } = require('./search_result');
+const { parseDateSetting } = require('./date_utils');
+const { decodeBody } = require('./text_encoding');
+const { scheduleFetch } = require('./fetch_scheduler');
+
+// Comma-separated feed URLs; "{query}" is replaced with the URL-encoded query
+const FEEDS = process.env.INPUT_FEEDS || [
+    // Google News RSS (works without auth)
+    'https://news.google.com/rss/search?q={query}&hl=en-US&gl=US&ceid=US:en',
+    // Bing News RSS
+    'https://www.bing.com/news/search?q={query}&format=rss'
+].join(',');
+const FEED_OPML = process.env.INPUT_FEED_OPML || '';              // path to an OPML subscription list
+const FEED_SINCE = process.env.INPUT_FEED_SINCE || '';            // ISO date or "7d"/"12h"
+const FEED_UNTIL = process.env.INPUT_FEED_UNTIL || '';
+const FEED_CATEGORIES = process.env.INPUT_FEED_CATEGORIES || '';  // keep only items/feeds in these categories
+const FEED_MATCH = process.env.INPUT_FEED_MATCH || 'any';         // any | all | off - query term matching
+const FEED_RESOLVE_MAX = parseInt(process.env.INPUT_FEED_RESOLVE_MAX || "30"); // aggregator links followed over HTTP per run
+
+// Aggregators whose item links are redirects to the real article
+const AGGREGATOR_HOSTS = ['news.google.com', 'www.bing.com', 'bing.com', 'www.google.com', 'news.yahoo.com'];
+const REDIRECT_PARAMS = ['url', 'u', 'q', 'target', 'dest'];
+
+let httpResolutions = 0;
+let warnedResolveCap = false;
+
+/**
+ * Read feed subscriptions from OPML
+ * Categories come from the outline's `category` attribute and the folders it sits in
+ * @param {string} xml - OPML document
+ * @returns {Array<{url: string, title: string, categories: Array<string>}>}
+ */
+function parseOPML(xml) {
+    const document = new JSDOM(xml, { contentType: 'text/xml' }).window.document;
+
+    return [...document.querySelectorAll('outline[xmlUrl]')].map(outline => {
+        const categories = (outline.getAttribute('category') || '')
+            .split(/[,/]/).map(c => c.trim()).filter(Boolean);
+
+        // Parent folders (<outline text="Defence"> ... </outline>) act as categories too
+        for (let parent = outline.parentElement; parent?.tagName === 'outline'; parent = parent.parentElement) {
+            const folder = parent.getAttribute('text') || parent.getAttribute('title');
+            if (folder) categories.push(folder);
+        }
+
+        return {
+            url: outline.getAttribute('xmlUrl'),
+            title: outline.getAttribute('title') || outline.getAttribute('text') || '',
+            categories
+        };
+    });
+}
+
+/**
+ * All configured feeds: INPUT_FEEDS plus any OPML subscriptions
+ */
+function loadFeedList(query) {
+    const feeds = FEEDS.split(',').map(f => f.trim()).filter(Boolean).map(url => ({
+        url: url.replace('{query}', encodeURIComponent(query)),
+        title: '',
+        categories: [],
+        // Search feeds already match the query, static feeds need filtering
+        isSearchFeed: url.includes('{query}')
+    }));
+
+    if (FEED_OPML) {
+        try {
+            const opmlFeeds = parseOPML(fs.readFileSync(FEED_OPML, 'utf8'));
+            console.log(`   📥 Imported ${opmlFeeds.length} feeds from ${FEED_OPML}`);
+            opmlFeeds.forEach(f => feeds.push({ ...f, isSearchFeed: f.url.includes('{query}') }));
+        } catch (e) {
+            console.log(`   ⚠️ Could not read OPML file ${FEED_OPML}: ${e.message}`);
+        }
+    }
+
+    return feeds;
+}
+
+/**
+ * Parse RSS 2.0 / Atom items
+ * @returns {{feedTitle: string, items: Array<Object>}}
+ */
+function parseFeed(xml) {
+    const document = new JSDOM(xml, { contentType: 'text/xml' }).window.document;
+    const text = (el, selector) => el.querySelector(selector)?.textContent?.trim() || '';
+
+    const feedTitle = text(document, 'channel > title') || text(document, 'feed > title');
+    const items = [...document.querySelectorAll('item, entry')].map(item => {
+        const linkEl = item.querySelector('link[rel="alternate"]') || item.querySelector('link');
+        const dateText = text(item, 'pubDate') || text(item, 'published') || text(item, 'updated');
+        const pubDate = dateText ? new Date(dateText) : null;
+
+        return {
+            link: (linkEl?.textContent || linkEl?.getAttribute('href') || '').trim(),
+            title: text(item, 'title'),
+            description: (text(item, 'description') || text(item, 'summary') || text(item, 'content'))
+                .replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim(),
+            pubDate: pubDate && !isNaN(pubDate) ? pubDate : null,
+            categories: [...item.querySelectorAll('category')]
+                .map(c => (c.textContent || c.getAttribute('term') || '').trim())
+                .filter(Boolean),
+            source: text(item, 'source')
+        };
+    });
+
+    return { feedTitle, items };
+}
+
+/**
+ * Does an item mention the query terms (title, description, categories)?
+ */
+function matchesQuery(item, query, mode = FEED_MATCH) {
+    if (mode === 'off') return true;
+
+    const terms = query.toLowerCase().split(/\s+/).filter(t => t.length > 2);
+    if (!terms.length) return true;
+
+    const haystack = `${item.title} ${item.description} ${item.categories.join(' ')}`.toLowerCase();
+    return mode === 'all'
+        ? terms.every(t => haystack.includes(t))
+        : terms.some(t => haystack.includes(t));
+}
+
+/**
+ * Decode a Google News article ID that embeds the publisher URL
+ * The ID is a base64url protobuf message: field 1 (a varint), then field 4 holding the URL.
+ * Older "CBMi..." IDs carry the URL itself; newer ones carry an opaque token instead
+ * (it starts "AU_yqL") and can't be decoded without calling Google, so they give null
+ * @returns {string|null}
+ */
+function decodeGoogleNewsLink(link) {
+    const match = link.match(/news\.google\.com\/(?:rss\/)?(?:articles|read)\/([A-Za-z0-9_-]+)/);
+    if (!match) return null;
+
+    const bytes = Buffer.from(match[1], 'base64url');
+    const readVarint = (state) => {
+        let value = 0;
+        for (let shift = 0; state.offset < bytes.length && shift < 35; shift += 7) {
+            const byte = bytes[state.offset++];
+            value += (byte & 0x7f) * 2 ** shift;
+            if (!(byte & 0x80)) return value;
+        }
+        return null;
+    };
+
+    const state = { offset: 0 };
+    if (bytes[state.offset++] !== 0x08 || readVarint(state) === null) return null;
+    if (bytes[state.offset++] !== 0x22) return null;
+    const length = readVarint(state);
+    if (length === null || state.offset + length > bytes.length) return null;
+
+    const url = bytes.subarray(state.offset, state.offset + length).toString('utf8');
+    return /^https?:\/\/[^\s]+$/.test(url) ? url : null;
+}
+
+/**
+ * Resolve an aggregator redirect link to the publisher's URL
+ * Tries redirect query parameters and Google News IDs that embed the URL, then follows
+ * HTTP redirects (through the fetch scheduler, for at most INPUT_FEED_RESOLVE_MAX links per run).
+ * Google News article pages are rendered by script rather than redirecting, so IDs that
+ * don't embed the URL can't be resolved at all
+ * @param {string} link - Feed item link
+ * @returns {Promise<string|null>} - Publisher URL, the original link if other aggregators can't
+ *          be resolved (the browser can still follow them), or null for undecodable Google News links
+ */
+async function resolvePublisherUrl(link) {
+    let parsed;
+    try {
+        parsed = new URL(link);
+    } catch (e) {
+        return link;
+    }
+    if (!AGGREGATOR_HOSTS.includes(parsed.hostname)) return link;
+
+    for (const param of REDIRECT_PARAMS) {
+        const target = parsed.searchParams.get(param);
+        if (target && /^https?:\/\//.test(target)) return target;
+    }
+
+    if (parsed.hostname === 'news.google.com') return decodeGoogleNewsLink(link);
+
+    if (httpResolutions >= FEED_RESOLVE_MAX) {
+        if (!warnedResolveCap) console.log(`   ⚠️ Resolved ${FEED_RESOLVE_MAX} aggregator links over HTTP; later ones are kept as they are`);
+        warnedResolveCap = true;
+        return link;
+    }
+    httpResolutions++;
+
+    try {
+        const response = await scheduleFetch(link, () => axios.get(link, {
+            maxRedirects: 10,
+            timeout: 10000,
+            responseType: 'arraybuffer',
+            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; ResearchBot/1.0)' }
+        }));
+
+        const finalUrl = response.request?.res?.responseUrl || link;
+        if (!AGGREGATOR_HOSTS.includes(new URL(finalUrl).hostname)) return finalUrl;
+
+        // Interstitial pages: meta refresh or canonical link to the publisher
+        const document = new JSDOM(decodeBody(response.data, response.headers['content-type'])).window.document;
+        const refresh = document.querySelector('meta[http-equiv="refresh" i]')?.getAttribute('content') || '';
+        const candidates = [
+            refresh.split(/url=/i)[1],
+            document.querySelector('link[rel="canonical"]')?.getAttribute('href')
+        ];
+        const publisher = candidates.find(c => c && /^https?:\/\//.test(c) && !AGGREGATOR_HOSTS.includes(new URL(c).hostname));
+        if (publisher) return publisher.replace(/^['"]|['"]$/g, '');
+    } catch (e) {
+        // Leave the aggregator link; the browser path can still follow it
+    }
+
+    return link;
+}
+
+/**
+ * Search the configured RSS/Atom feeds
+ * @param {string} query - Search query (fills {query} placeholders and drives term matching)
+ * @param {number} maxLinks - Number of items wanted
+ * @returns {Promise<Array>} - Search result records with feed metadata
+ */
+async function searchRSSFeeds(query, maxLinks) {
+    const links = [];
+    console.log(`\n🔍 Searching News RSS Feeds for: "${query}"...`);
+
+    const since = parseDateSetting(FEED_SINCE);
+    const until = parseDateSetting(FEED_UNTIL);
+    const wantedCategories = FEED_CATEGORIES.split(',').map(c => c.trim().toLowerCase()).filter(Boolean);
+
+    for (const feed of loadFeedList(query)) {
+        if (links.length >= maxLinks) break;
+
+        try {
+            console.log(`   Trying: ${feed.url.substring(0, 60)}...`);
+            const response = await axios.get(feed.url, {
+                headers: {
+                    'User-Agent': 'Mozilla/5.0 (compatible; ResearchBot/1.0)',
+                    'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml'
+                },
+                responseType: 'arraybuffer',
+                timeout: 15000
+            });
+
+            // Many feeds are Latin-1 or Windows-1252, declared only in the XML prolog
+            const { feedTitle, items } = parseFeed(decodeBody(response.data, response.headers['content-type']));
+
+            let count = 0;
+            let unresolved = 0;
+            for (const [idx, item] of items.entries()) {
+                if (links.length >= maxLinks) break;
+                if (!item.link.startsWith('http')) continue;
+
+                // Undated items pass the window; there's nothing to compare
+                if (item.pubDate && ((since && item.pubDate < since) || (until && item.pubDate > until))) continue;
+
+                if (wantedCategories.length) {
+                    const categories = [...item.categories, ...feed.categories].map(c => c.toLowerCase());
+                    if (!categories.some(c => wantedCategories.includes(c))) continue;
+                }
+
+                if (!feed.isSearchFeed && !matchesQuery(item, query)) continue;
+
+                const url = await resolvePublisherUrl(item.link);
+                if (!url) {
+                    unresolved++;
+                    continue;
+                }
+                if (links.some(l => l.url === url)) continue;
+
+                links.push(createSearchResult({
+                    url,
+                    title: item.title,
+                    snippet: item.description,
+                    provider: 'rss',
+                    query,
+                    rank: idx + 1,
+                    metadata: {
+                        feed: feed.url,
+                        feedTitle: feed.title || feedTitle,
+                        aggregatorUrl: url !== item.link ? item.link : null,
+                        pubDate: item.pubDate ? item.pubDate.toISOString() : null,
+                        description: item.description,
+                        categories: item.categories,
+                        publisher: item.source
+                    }
+                }));
+                count++;
+            }
+            console.log(`   Found ${count} links from feed`);
+            if (unresolved) console.log(`   ⏭️ Skipped ${unresolved} Google News link(s) that don't embed the publisher URL`);
+
+        } catch (e) {
+            console.log(`   Feed failed: ${e.message}`);
+        }
+    }
+
+    console.log(`   ✅ Total RSS links: ${links.length}`);
+    return links;
+}
+
+module.exports = {
+    parseOPML,
+    parseFeed,
+    matchesQuery,
+    resolvePublisherUrl,
+    searchRSSFeeds
+};
@@ -0,0 +1,129 @@
+/**
+ * PDF Fonts
+ * Registers Unicode TrueType fonts with pdfkit (DejaVu, installed from npm) plus
+ * fallback fonts for scripts and symbols DejaVu lacks (CJK, emoji), and picks a
+ * font that can draw each piece of text
+ */
+const fs = require('fs');
+const path = require('path');
+const fontkit = require('fontkit');
+
+// Comma-separated fallback font files, "path" or "path#PostScriptName" for .ttc collections
+const FALLBACK_FONTS = process.env.INPUT_FALLBACK_FONTS || '';
+
+// Fallbacks looked for when none are configured (the workflow installs the first and last)
+const SYSTEM_FALLBACKS = [
+    '/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc#NotoSansCJKsc-Regular',
+    '/usr/share/fonts/truetype/wqy/wqy-microhei.ttc#WenQuanYiMicroHei',
+    '/usr/share/fonts/truetype/droid/DroidSansFallbackFull.ttf',
+    '/usr/share/fonts/truetype/ancient-scripts/Symbola_hint.ttf'
+];
+
+// Style -> DejaVu file, and the built-in font used if DejaVu isn't installed
+const STYLES = {
+    sans: { file: 'DejaVuSans.ttf', standard: 'Helvetica' },
+    'sans-bold': { file: 'DejaVuSans-Bold.ttf', standard: 'Helvetica-Bold' },
+    'sans-oblique': { file: 'DejaVuSans-Oblique.ttf', standard: 'Helvetica-Oblique' },
+    serif: { file: 'DejaVuSerif.ttf', standard: 'Times-Roman' },
+    'serif-italic': { file: 'DejaVuSerif-Italic.ttf', standard: 'Times-Italic' },
+    mono: { file: 'DejaVuSansMono.ttf', standard: 'Courier' }
+};
+
+// Characters the built-in (WinAnsi) fonts can draw beyond Latin-1
+const WIN_ANSI_EXTRAS = new Set([...'€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ'].map(c => c.codePointAt(0)));
+
+let loadedFonts = null;
+
+function dejavuDir() {
+    try {
+        return path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+    } catch (e) {
+        return null;
+    }
+}
+
+function openFont(spec) {
+    const [file, postscriptName] = spec.split('#');
+    if (!fs.existsSync(file)) return null;
+    try {
+        return { file, family: postscriptName, font: fontkit.openSync(file, postscriptName) };
+    } catch (e) {
+        console.log(`   ⚠️ Could not load font ${spec}: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * Load the style fonts and fallbacks once per process
+ */
+function loadFonts() {
+    if (loadedFonts) return loadedFonts;
+
+    const dir = dejavuDir();
+    const styles = {};
+    for (const [name, { file }] of Object.entries(STYLES)) {
+        styles[name] = dir ? openFont(path.join(dir, file)) : null;
+    }
+    if (!dir) console.log(`   ⚠️ dejavu-fonts-ttf not installed, using built-in fonts (Latin-1 only)`);
+
+    const specs = FALLBACK_FONTS ? FALLBACK_FONTS.split(',').map(f => f.trim()).filter(Boolean) : SYSTEM_FALLBACKS;
+    const fallbacks = specs.map(openFont).filter(Boolean);
+
+    loadedFonts = { styles, fallbacks };
+    return loadedFonts;
+}
+
+/**
+ * Register the fonts on a document under the style names ("sans", "sans-bold",
+ * "sans-oblique", "serif", "serif-italic", "mono") and "fallback-N"
+ * @param {PDFDocument} doc
+ */
+function registerFonts(doc) {
+    const { styles, fallbacks } = loadFonts();
+
+    for (const [name, { standard }] of Object.entries(STYLES)) {
+        const loaded = styles[name];
+        doc.registerFont(name, loaded ? loaded.file : standard, loaded?.family);
+    }
+    fallbacks.forEach((fallback, i) => doc.registerFont(`fallback-${i}`, fallback.file, fallback.family));
+}
+
+function canDraw(loaded, codePoint) {
+    if (!loaded) return codePoint < 0x100 || WIN_ANSI_EXTRAS.has(codePoint);
+    return loaded.font.hasGlyphForCodePoint(codePoint);
+}
+
+/**
+ * Select a font that can draw the text and return the text to draw
+ * Uses the style's font if it covers every character, else the fallback covering
+ * the most; characters no font has are dropped rather than drawn as empty boxes
+ * @param {PDFDocument} doc
+ * @param {string} style - "sans", "sans-bold", "sans-oblique", "serif", "serif-italic" or "mono"
+ * @param {string} text
+ * @returns {string} - Text with undrawable characters removed
+ */
+function useFont(doc, style, text) {
+    const { styles, fallbacks } = loadFonts();
+    const codePoints = [...(text || '')].map(c => c.codePointAt(0)).filter(cp => cp > 0x20);
+
+    const candidates = [{ name: style, loaded: styles[style] }, ...fallbacks.map((loaded, i) => ({ name: `fallback-${i}`, loaded }))];
+    let best = candidates[0];
+    let bestMissing = Infinity;
+    for (const candidate of candidates) {
+        const missing = codePoints.filter(cp => !canDraw(candidate.loaded, cp)).length;
+        if (missing < bestMissing) {
+            best = candidate;
+            bestMissing = missing;
+        }
+        if (missing === 0) break;
+    }
+
+    doc.font(best.name);
+    if (bestMissing === 0) return text || '';
+    return [...text].filter(c => c.codePointAt(0) <= 0x20 || canDraw(best.loaded, c.codePointAt(0))).join('');
+}
+
+module.exports = {
+    registerFonts,
+    useFont
+};
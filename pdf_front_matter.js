@@ -0,0 +1,219 @@
+/**
+ * Scholarly PDF Front Matter
+ * Reads the first pages of a paper for what its embedded metadata usually lacks:
+ * the printed title (largest type near the top of page one), authors and
+ * affiliations under it, the abstract, keywords, and any DOI or arXiv ID
+ */
+const { extractDOI } = require('./doi_resolver');
+
+const MAX_ABSTRACT_LENGTH = 3000;
+const MAX_KEYWORDS = 12;
+const MAX_AUTHOR_LINES = 15;   // lines between title and abstract searched for authors/affiliations
+const TITLE_SIZE_RATIO = 1.2;  // title type must be at least this much larger than body text
+const TITLE_OVERLAP = 0.8;     // share of the printed title's words the embedded title must contain to be preferred
+
+// Embedded titles that are file names or editor placeholders, not the document title
+const JUNK_TITLES = [
+    /^(microsoft\s+)?(word|powerpoint|excel)\s*-/i,
+    /\.(docx?|pdf|tex|dvi|rtf|odt|indd|pptx?|qxd)$/i,
+    /^(untitled|no title|title|document|paper|manuscript|draft|slide|template|main|article)[\s\d_-]*$/i,
+    /^[\w-]+_[\w-]+$/,              // underscored file names: "paper_final_v2"
+    /^[\d\s._-]+$/,
+    /^(arxiv:|doi:|10\.\d{4,})/i
+];
+
+// Lines near the top of page one that are banners, not the title
+const NOT_TITLE = /^(arxiv|doi|https?:|www\.|vol\.|volume|journal|proceedings|preprint|issn|isbn|received|accepted|published|copyright|©|page\s+\d)/i;
+
+const AFFILIATION = /\b(universit|institut|department|dept\.|school|college|faculty|laborator|centre|center|hospital|academy|inc\.|ltd|gmbh|corporation|research|foundation|ministry)/i;
+const EMAIL = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+// Footnote markers on author names: digits, asterisks, daggers
+const FOOTNOTE_MARKS = /[\d*∗⋆†‡§¶#]+/g;
+const NAME = /^\p{Lu}[\p{L}'’.-]*(\s+(\p{Lu}[\p{L}'’.-]*|van|von|der|den|de|da|di|del|la|le|bin|dos|y))*$/u;
+
+const ABSTRACT_LABEL = /^(a\s?b\s?s\s?t\s?r\s?a\s?c\s?t|summary)\b[\s.:—–-]*/i;
+const KEYWORDS_LABEL = /\b(key\s?words|index terms)\s*[:—–.-]\s*/i;
+const BODY_START = /^(abstract|summary|key\s?words|index terms|(\d+|i)\.?\s*introduction|introduction)\b/i;
+const ARXIV_ID = /arXiv:\s*((?:\d{4}\.\d{4,5}|[a-z-]+(?:\.[a-z]{2})?\/\d{7})(?:v\d+)?)/i;
+
+/**
+ * Is an embedded PDF title unusable ("Microsoft Word - draft3.docx", "untitled", a file name)?
+ * @param {string} title
+ * @returns {boolean}
+ */
+function isJunkTitle(title) {
+    const trimmed = (title || '').trim();
+    if (trimmed.length < 4) return true;
+    return JUNK_TITLES.some(pattern => pattern.test(trimmed));
+}
+
+/**
+ * Share of the found title's words that the embedded title also has
+ */
+function titleOverlap(found, embedded) {
+    const words = (text) => new Set(text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+    const foundWords = words(found);
+    const embeddedWords = words(embedded);
+    if (!foundWords.size) return 0;
+    return [...foundWords].filter(word => embeddedWords.has(word)).length / foundWords.size;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+}
+
+/**
+ * Find the title lines on a page: the largest type in its upper part, before the abstract
+ * or the start of the body (so a large section heading isn't taken), with consecutive
+ * lines of the same size joined
+ * @returns {{title: string, end: number}|null} - end is the index of the line after the title
+ */
+function findTitle(page) {
+    const lines = page.lines;
+    const bodySize = median(lines.map(line => line.size));
+    const bodyStart = lines.findIndex(line => BODY_START.test(line.text));
+    const frontLines = bodyStart === -1 ? lines : lines.slice(0, bodyStart);
+    const isCandidate = line => line.y > page.height * 0.35 &&
+        line.text.length <= 300 &&
+        /\p{L}{2,}/u.test(line.text) &&
+        !NOT_TITLE.test(line.text);
+
+    const candidates = frontLines.filter(isCandidate);
+    if (!candidates.length) return null;
+    const titleSize = Math.max(...candidates.map(line => line.size));
+    if (titleSize < bodySize * TITLE_SIZE_RATIO) return null;
+
+    const start = frontLines.findIndex(line => isCandidate(line) && line.size >= titleSize - 0.5);
+    let end = start + 1;
+    while (end < frontLines.length &&
+        Math.abs(lines[end].size - titleSize) <= 0.5 &&
+        lines[end - 1].y - lines[end].y < titleSize * 2) {
+        end++;
+    }
+
+    const title = lines.slice(start, end).reduce((text, line) =>
+        /\p{L}-$/u.test(text) && /^\p{Ll}/u.test(line.text) ? text.slice(0, -1) + line.text : `${text} ${line.text}`, '').trim();
+    return title.length >= 4 ? { title, end } : null;
+}
+
+/**
+ * Split a byline into names; null when it doesn't read as a list of names
+ */
+function parseAuthorLine(text) {
+    const pieces = text
+        .replace(EMAIL, '')
+        .split(/\s*(?:,|;|&|\band\b|·|•)\s*/)
+        .map(piece => piece.replace(FOOTNOTE_MARKS, '').replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+    const names = pieces.filter(piece => {
+        const words = piece.split(' ').length;
+        return words >= 2 && words <= 5 && NAME.test(piece);
+    });
+    return names.length && names.length >= pieces.length * 0.6 ? names : null;
+}
+
+/**
+ * Authors and affiliations from the lines between the title and the abstract
+ */
+function findAuthors(lines) {
+    const authors = [];
+    const affiliations = [];
+
+    for (const line of lines.slice(0, MAX_AUTHOR_LINES)) {
+        if (BODY_START.test(line.text)) break;
+        const text = line.text.replace(EMAIL, '').replace(/^[\d*∗⋆†‡§¶\s]+/, '').trim();
+        if (!text) continue;
+
+        if (AFFILIATION.test(text)) {
+            if (!affiliations.includes(text)) affiliations.push(text);
+            continue;
+        }
+        const names = parseAuthorLine(text);
+        if (names) {
+            names.forEach(name => { if (!authors.includes(name)) authors.push(name); });
+        } else if (authors.length && text.split(' ').length > 15) {
+            // Body text: the byline is over
+            break;
+        }
+    }
+    return { authors, affiliations };
+}
+
+/**
+ * The paragraph labelled "Abstract" (or the one after a lone label), without the label
+ */
+function findAbstract(paragraphs) {
+    const index = paragraphs.findIndex(p => ABSTRACT_LABEL.test(p));
+    if (index === -1) return null;
+
+    let abstract = paragraphs[index].replace(ABSTRACT_LABEL, '').trim();
+    if (!abstract) abstract = paragraphs[index + 1] || '';
+    // Keywords set in the same type often run on without a gap
+    abstract = abstract.split(KEYWORDS_LABEL)[0].trim();
+
+    if (abstract.length > MAX_ABSTRACT_LENGTH) {
+        const cut = abstract.substring(0, MAX_ABSTRACT_LENGTH);
+        abstract = cut.substring(0, cut.lastIndexOf('. ') + 1) || `${cut}...`;
+    }
+    return abstract.length >= 50 ? abstract : null;
+}
+
+function findKeywords(paragraphs) {
+    const paragraph = paragraphs.find(p => KEYWORDS_LABEL.test(p));
+    if (!paragraph) return [];
+
+    const list = paragraph.split(KEYWORDS_LABEL).pop().substring(0, 400);
+    return list
+        .split(/\s*[,;·•]\s*/)
+        .map(keyword => keyword.replace(/\.$/, '').trim())
+        .filter(keyword => keyword.length > 1 && keyword.length <= 60)
+        .slice(0, MAX_KEYWORDS);
+}
+
+/**
+ * Parse a paper's front matter
+ * @param {Object} data - Output of extractPdfText (frontPages, pages, info)
+ * @returns {{title: string|null, authors: Array<string>, affiliations: Array<string>, abstract: string|null,
+ *            keywords: Array<string>, doi: string|null, arxivId: string|null}}
+ *          Missing fields are null or empty, ready for mergeMetadata
+ */
+function parseFrontMatter(data) {
+    const frontPages = data.frontPages || [];
+    const paragraphs = (data.pages || []).slice(0, frontPages.length || 1).join('\n\n').split(/\n\n+/);
+
+    // Title page first; a cover page without a clear title defers to the next page
+    let title = null;
+    let byline = { authors: [], affiliations: [] };
+    for (const page of frontPages) {
+        const found = findTitle(page);
+        if (!found) continue;
+        title = found.title;
+        byline = findAuthors(page.lines.slice(found.end));
+        break;
+    }
+    // The embedded title is cleaner (no line-break artefacts, full subtitle) when it's the same title
+    const embedded = isJunkTitle(data.info?.Title) ? null : data.info.Title.replace(/\s+/g, ' ').trim();
+    if (embedded && (!title || titleOverlap(title, embedded) >= TITLE_OVERLAP)) title = embedded;
+
+    // A labelled DOI beats one found elsewhere in the text (a cited work's, say)
+    const sideText = frontPages.map(page => page.sideText).join(' ');
+    const labelled = paragraphs.find(p => /\bdoi\b/i.test(p) && extractDOI(p));
+    const doi = extractDOI(labelled || '') || extractDOI(sideText) || extractDOI(paragraphs.join(' '));
+    const arxivMatch = `${sideText} ${paragraphs.join(' ')}`.match(ARXIV_ID);
+
+    return {
+        title,
+        authors: byline.authors,
+        affiliations: byline.affiliations,
+        abstract: findAbstract(paragraphs),
+        keywords: findKeywords(paragraphs),
+        doi,
+        arxivId: arxivMatch ? arxivMatch[1] : null
+    };
+}
+
+module.exports = {
+    isJunkTitle,
+    parseFrontMatter
+};
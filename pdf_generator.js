@@ -5,18 +5,36 @@
 const fs = require('fs');
 const path = require('path');
 const PDFDocument = require('pdfkit');
+const { formatPublishedDate } = require('./publication_date');
+const { registerFonts, useFont } = require('./pdf_fonts');
+const { listMarkers } = require('./html_blocks');
+const { EMBED_ORIGINAL, inspectOriginal, drawOriginalPages } = require('./pdf_originals');
+
+// TOC tag, header label and TOC colour for each source type
+const SOURCE_TYPES = {
+    PDF: { tag: 'PDF', label: 'PDF DOCUMENT', color: '#dc2626' },
+    WEB: { tag: 'WEB', label: 'WEB ARTICLE', color: '#2563eb' },
+    ARTICLE: { tag: 'ART', label: 'FULL-TEXT ARTICLE', color: '#059669' },
+    TEXT: { tag: 'TXT', label: 'TEXT DOCUMENT', color: '#4b5563' },
+    DOCX: { tag: 'DOC', label: 'WORD DOCUMENT', color: '#1d4ed8' },
+    PPTX: { tag: 'PPT', label: 'SLIDE DECK', color: '#c2410c' },
+    EPUB: { tag: 'EPUB', label: 'E-BOOK', color: '#7c3aed' }
+};
 
 /**
  * Generate a research compilation PDF with sidebar navigation
  * @param {number} volNum - Volume number
- * @param {Array} sources - Array of source objects with title, url, content, type, wordCount, date
+ * @param {Array} sources - Array of source objects with title, url, content, type, wordCount, date (retrieved),
+ *                          publishedDate, bibliography, provenance
+ *                          (and optional blocks: headings, paragraphs, lists, quotes, code, tables, figures;
+ *                          PDF sources: pageCount, pageOffsets, originalFile and ocr)
  * @param {string} query - Search query/topic
  * @param {string} outputDir - Output directory path
  * @returns {Promise<string>} - Filename of created PDF
  */
-function generateResearchPDF(volNum, sources, query, outputDir) {
+async function generateResearchPDF(volNum, sources, query, outputDir) {
     // New naming convention: (Topic)_Research_File_(number).pdf
-    const safeTopic = query.replace(/[^a-z0-9]/gi, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
+    const safeTopic = query.replace(/[^\p{L}\p{N}]/gu, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
     const filename = `${safeTopic}_Research_File_${volNum}.pdf`;
     const filePath = path.join(outputDir, filename);
 
@@ -39,9 +57,22 @@ function generateResearchPDF(volNum, sources, query, outputDir) {
     const stream = fs.createWriteStream(filePath);
     doc.pipe(stream);
 
+    // Unicode fonts under style names ("sans", "sans-bold", "sans-oblique", "serif")
+    registerFonts(doc);
+
     // Track page numbers for bookmarks
     const pageNumbers = { title: 0, toc: 0, sources: [] };
 
+    // INPUT_EMBED_ORIGINAL=pages: measure each kept original first, so its pages can be reserved in place
+    const originals = [];
+    if (EMBED_ORIGINAL === 'pages') {
+        for (const source of sources) {
+            originals.push(source.originalFile ? await inspectOriginal(source.originalFile) : null);
+        }
+    }
+    // Volume page indexes reserved for original pages, filled in once the volume is written
+    const placements = [];
+
     // ============================================
     // TITLE PAGE
     // ============================================
@@ -53,7 +84,7 @@ function generateResearchPDF(volNum, sources, query, outputDir) {
 
     // Title
     doc.moveDown(6);
-    doc.fontSize(28).font('Helvetica-Bold').fillColor('#1a1a1a');
+    doc.fontSize(28).font('sans-bold').fillColor('#1a1a1a');
     doc.text('RESEARCH COMPILATION', { align: 'center' });
 
     doc.moveDown(0.3);
@@ -68,15 +99,15 @@ function generateResearchPDF(volNum, sources, query, outputDir) {
 
     // Topic
     doc.moveDown(1.5);
-    doc.fontSize(14).font('Helvetica').fillColor('#666666');
+    doc.fontSize(14).font('sans').fillColor('#666666');
     doc.text('Research Topic:', { align: 'center' });
     doc.moveDown(0.3);
-    doc.fontSize(20).font('Helvetica-Bold').fillColor('#1a1a1a');
-    doc.text(`"${query}"`, { align: 'center' });
+    doc.fontSize(20).fillColor('#1a1a1a');
+    doc.text(useFont(doc, 'sans-bold', `"${query}"`), { align: 'center' });
 
     // Metadata
     doc.moveDown(4);
-    doc.fontSize(11).font('Helvetica').fillColor('#888888');
+    doc.fontSize(11).font('sans').fillColor('#888888');
     doc.text(`Generated: ${new Date().toLocaleDateString('en-US', {
         weekday: 'long',
         year: 'numeric',
@@ -94,7 +125,7 @@ function generateResearchPDF(volNum, sources, query, outputDir) {
     doc.addPage();
     pageNumbers.toc = 1;
 
-    doc.fontSize(22).font('Helvetica-Bold').fillColor('#1a1a1a');
+    doc.fontSize(22).font('sans-bold').fillColor('#1a1a1a');
     doc.text('TABLE OF CONTENTS', { align: 'center' });
 
     doc.moveDown(0.4);
@@ -102,24 +133,25 @@ function generateResearchPDF(volNum, sources, query, outputDir) {
     doc.moveTo(72, doc.y).lineTo(523, doc.y).stroke();
     doc.moveDown(1);
 
-    // List sources in TOC
+    // List sources in TOC; page numbers and links are added once the sources are laid out
+    const tocEntries = [];
     sources.forEach((source, idx) => {
         if (doc.y > 720) {
             doc.addPage();
         }
+        tocEntries.push({ page: doc._pageBuffer.length - 1, y: doc.y });
 
-        const truncTitle = source.title.length > 55
-            ? source.title.substring(0, 52) + '...'
+        const truncTitle = [...source.title].length > 55
+            ? [...source.title].slice(0, 52).join('') + '...'
             : source.title;
 
-        const typeColor = source.type === 'PDF' ? '#dc2626' : '#2563eb';
-        const typeLabel = source.type === 'PDF' ? 'PDF' : 'WEB';
+        const sourceType = SOURCE_TYPES[source.type] || SOURCE_TYPES.WEB;
 
-        doc.fontSize(10).font('Helvetica-Bold').fillColor(typeColor);
-        doc.text(`${idx + 1}. [${typeLabel}] `, 72, doc.y, { continued: true });
+        doc.fontSize(10).font('sans-bold').fillColor(sourceType.color);
+        doc.text(`${idx + 1}. [${sourceType.tag}] `, 72, doc.y, { width: 380, continued: true });
 
-        doc.font('Helvetica').fillColor('#333333');
-        doc.text(truncTitle);
+        doc.fillColor('#333333');
+        doc.text(useFont(doc, 'sans', truncTitle), { width: 380 });
 
         doc.moveDown(0.5);
     });
@@ -130,108 +162,73 @@ function generateResearchPDF(volNum, sources, query, outputDir) {
     sources.forEach((source, idx) => {
         doc.addPage();
         pageNumbers.sources.push(doc._pageBuffer.length - 1);
+        doc.addNamedDestination(`source-${idx + 1}`);
+        const original = originals[idx];
 
         // ---- HEADER BAR ----
         doc.rect(0, 0, doc.page.width, 70).fill('#1e3a5f');
 
-        doc.fontSize(11).font('Helvetica-Bold').fillColor('#ffffff');
+        doc.fontSize(11).font('sans-bold').fillColor('#ffffff');
         doc.text(`SOURCE ${idx + 1} of ${sources.length}`, 72, 22);
 
-        const typeLabel = source.type === 'PDF' ? 'PDF DOCUMENT' : 'WEB ARTICLE';
-        doc.fontSize(9).font('Helvetica').fillColor('#93c5fd');
-        doc.text(typeLabel, 72, 40);
+        const typeLabel = (SOURCE_TYPES[source.type] || SOURCE_TYPES.WEB).label;
+        doc.fontSize(9).font('sans').fillColor('#93c5fd');
+        doc.text(source.ocr ? `${typeLabel}  ·  OCR TEXT` : typeLabel, 72, 40);
 
         // ---- TITLE ----
         doc.y = 90;
-        doc.fontSize(16).font('Helvetica-Bold').fillColor('#1a1a1a');
-        doc.text(source.title, 72, doc.y, { width: 451 });
+        doc.fontSize(16).fillColor('#1a1a1a');
+        doc.text(useFont(doc, 'sans-bold', source.title), 72, doc.y, { width: 451 });
+
+        // ---- BIBLIOGRAPHIC HEADER (authors, venue, year) ----
+        if (source.bibliography) {
+            drawBibliographyHeader(doc, source.bibliography);
+        }
 
         doc.moveDown(0.6);
 
         // ---- METADATA BOX ----
-        const metaY = doc.y;
-        doc.rect(72, metaY, 451, 50).fill('#f5f5f5');
-
-        doc.fontSize(9).font('Helvetica').fillColor('#666666');
-        doc.text(`URL: ${source.url.substring(0, 70)}${source.url.length > 70 ? '...' : ''}`,
-            82, metaY + 8, { link: source.url });
-        doc.text(`Date: ${new Date(source.date).toLocaleDateString()}  |  Words: ${source.wordCount.toLocaleString()}`,
-            82, metaY + 28);
+        const metaLines = [
+            { text: `URL: ${source.url.substring(0, 70)}${source.url.length > 70 ? '...' : ''}`, options: { link: source.url } },
+            { text: `Published: ${source.publishedDate ? formatPublishedDate(source.publishedDate) : 'unknown'}  |  Retrieved: ${new Date(source.date).toLocaleDateString()}  |  Words: ${source.wordCount.toLocaleString()}` },
+            ...describeBibliography(source.bibliography),
+            ...describeOcr(source),
+            ...describeOriginal(source, idx, original),
+            ...describeProvenance(source.provenance)
+        ];
+        drawMetadataBox(doc, metaLines);
+
+        // ---- ORIGINAL FILE AS AN ATTACHMENT (paperclip in the header bar) ----
+        if (EMBED_ORIGINAL === 'attach' && source.originalFile) {
+            attachOriginal(doc, source, idx);
+        }
 
-        doc.y = metaY + 65;
+        // ---- ABSTRACT (PDF sources: from the provider or the paper's front matter) ----
+        if (source.type === 'PDF' && source.bibliography?.abstract) {
+            drawAbstract(doc, source.bibliography);
+        }
 
         // ---- CONTENT ----
-        doc.fontSize(10.5).font('Times-Roman').fillColor('#333333');
-
-        // Clean content while preserving structure
-        let content = source.content || '';
-        content = content
-            .replace(/\r\n/g, '\n')
-            .replace(/\n{3,}/g, '\n\n')  // Normalize paragraph breaks
-            .trim();
-
-        // Split into paragraphs (double newlines = paragraph break)
-        // Also handle single newlines as soft breaks within content
-        const paragraphs = content.split(/\n\n+/).filter(p => p.trim().length > 0);
-
-        for (const para of paragraphs) {
-            const cleanPara = para.trim();
-            if (!cleanPara) continue;
-
-            // Check if paragraph contains multiple lines (soft breaks)
-            // Preserve these as they may be intentional formatting (lists, poetry, etc.)
-            const lines = cleanPara.split('\n').filter(l => l.trim().length > 0);
-
-            // Calculate total height needed for this paragraph
-            let totalHeight = 0;
-            for (const line of lines) {
-                totalHeight += doc.heightOfString(line.trim(), {
-                    width: 451,
-                    lineGap: 2
-                });
-            }
-            totalHeight += (lines.length - 1) * 4; // Add spacing between lines
-
-            // Check for page break
-            if (doc.y + totalHeight > 750) {
-                doc.addPage();
-
-                // Running header
-                doc.fontSize(8).font('Helvetica-Oblique').fillColor('#999999');
-                doc.text(`Source ${idx + 1} (continued)`, 72, 40, { align: 'right', width: 451 });
-                doc.y = 60;
-                doc.fontSize(10.5).font('Times-Roman').fillColor('#333333');
+        if (original) {
+            // The original pages stand in for the re-typeset text; pages past the limit stay text
+            placements.push({ number: idx + 1, file: source.originalFile, pages: reserveOriginalPages(doc, original) });
+            if (original.pages.length < original.pageCount) {
+                renderRemainingPages(doc, source, idx, original);
             }
-
-            // Render each line in the paragraph
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i].trim();
-                if (!line) continue;
-
-                // Check for page break mid-paragraph
-                const lineHeight = doc.heightOfString(line, { width: 451, lineGap: 2 });
-                if (doc.y + lineHeight > 750) {
-                    doc.addPage();
-                    doc.fontSize(8).font('Helvetica-Oblique').fillColor('#999999');
-                    doc.text(`Source ${idx + 1} (continued)`, 72, 40, { align: 'right', width: 451 });
-                    doc.y = 60;
-                    doc.fontSize(10.5).font('Times-Roman').fillColor('#333333');
-                }
-
-                doc.text(line, 72, doc.y, {
-                    width: 451,
-                    align: 'justify',
-                    lineGap: 2
-                });
-
-                // Small gap between lines within same paragraph
-                if (i < lines.length - 1) {
-                    doc.moveDown(0.15);
-                }
-            }
-
-            // Paragraph spacing (larger gap between paragraphs)
-            doc.moveDown(0.7);
+            return;
+        } else if (source.blocks && source.blocks.length) {
+            renderBlocks(doc, source.blocks, idx);
+        } else {
+            // Clean content while preserving structure
+            let content = source.content || '';
+            content = content
+                .replace(/\r\n/g, '\n')
+                .replace(/\n{3,}/g, '\n\n')  // Normalize paragraph breaks
+                .trim();
+
+            // Split into paragraphs (double newlines = paragraph break)
+            // Also handle single newlines as soft breaks within content
+            renderParagraphs(doc, content.split(/\n\n+/), idx);
         }
 
         // ---- FOOTER ----
@@ -240,28 +237,49 @@ function generateResearchPDF(volNum, sources, query, outputDir) {
             doc.strokeColor('#e5e5e5').lineWidth(1);
             doc.moveTo(72, doc.y).lineTo(523, doc.y).stroke();
             doc.moveDown(0.3);
-            doc.fontSize(8).font('Helvetica-Oblique').fillColor('#aaaaaa');
+            doc.fontSize(8).font('sans-oblique').fillColor('#aaaaaa');
             doc.text(`— End of Source ${idx + 1} —`, { align: 'center' });
         }
     });
 
+    // ============================================
+    // TOC PAGE NUMBERS AND LINKS
+    // ============================================
+    tocEntries.forEach((entry, idx) => {
+        doc.switchToPage(entry.page);
+        doc.fontSize(10).font('sans').fillColor('#666666');
+        doc.text(String(pageNumbers.sources[idx] + 1), 463, entry.y, { width: 60, align: 'right', lineBreak: false });
+        doc.goTo(72, entry.y, 451, doc.currentLineHeight(), `source-${idx + 1}`);
+    });
+
     // ============================================
     // ADD PDF BOOKMARKS (Sidebar Navigation)
     // ============================================
-    // PDFKit supports outlines/bookmarks
+    // PDFKit points each bookmark at the current page, so switch to its page first
     try {
         if (doc.outline) {
             // Root level bookmarks
+            doc.switchToPage(pageNumbers.title);
             doc.outline.addItem('Title Page');
+            doc.switchToPage(pageNumbers.toc);
             doc.outline.addItem('Table of Contents');
 
             // Sources section with children
+            if (sources.length) doc.switchToPage(pageNumbers.sources[0]);
             const sourcesBookmark = doc.outline.addItem('Sources');
             sources.forEach((source, idx) => {
-                const shortTitle = source.title.length > 35
-                    ? source.title.substring(0, 32) + '...'
+                const shortTitle = [...source.title].length > 35
+                    ? [...source.title].slice(0, 32).join('') + '...'
                     : source.title;
-                sourcesBookmark.addItem(`${idx + 1}. ${shortTitle}`);
+                doc.switchToPage(pageNumbers.sources[idx]);
+                const sourceBookmark = sourcesBookmark.addItem(`${idx + 1}. ${shortTitle}`);
+
+                // Original pages by their own page numbers, for citing
+                const placement = placements.find(p => p.number === idx + 1);
+                placement?.pages.forEach((page, i) => {
+                    doc.switchToPage(page);
+                    sourceBookmark.addItem(`Original p. ${i + 1}`);
+                });
             });
         }
     } catch (e) {
@@ -270,16 +288,577 @@ function generateResearchPDF(volNum, sources, query, outputDir) {
 
     // Finalize
     doc.end();
+    await new Promise((resolve) => stream.on('finish', resolve));
+
+    // Original pages go onto their reserved pages once the volume exists
+    try {
+        await drawOriginalPages(filePath, placements);
+    } catch (e) {
+        console.log(`   ⚠️ Original pages not embedded: ${e.message.substring(0, 60)}`);
+    }
+
+    const stats = fs.statSync(filePath);
+    console.log(`\n    💾 Saved: ${filename}`);
+    console.log(`    📊 Size: ${Math.round(stats.size / 1024)} KB`);
+    console.log(`    📑 Contains ${sources.length} sources`);
+    return filename;
+}
+
+/**
+ * Start a new page for a long source, with a running header
+ */
+function continueOnNewPage(doc, idx) {
+    doc.addPage();
+    doc.fontSize(8).font('sans-oblique').fillColor('#999999');
+    doc.text(`Source ${idx + 1} (continued)`, 72, 40, { align: 'right', width: 451 });
+    doc.y = 60;
+    doc.fontSize(10.5).font('serif').fillColor('#333333');
+}
+
+/**
+ * Render body paragraphs, keeping short paragraphs together on one page
+ */
+function renderParagraphs(doc, paragraphs, idx) {
+    doc.fontSize(10.5).font('serif').fillColor('#333333');
+
+    for (const para of paragraphs) {
+        const cleanPara = para.trim();
+        if (!cleanPara) continue;
+
+        // Check if paragraph contains multiple lines (soft breaks)
+        // Preserve these as they may be intentional formatting (lists, poetry, etc.)
+        const lines = cleanPara.split('\n').filter(l => l.trim().length > 0);
+
+        // Calculate total height needed for this paragraph
+        let totalHeight = 0;
+        for (const line of lines) {
+            totalHeight += doc.heightOfString(useFont(doc, 'serif', line.trim()), {
+                width: 451,
+                lineGap: 2
+            });
+        }
+        totalHeight += (lines.length - 1) * 4; // Add spacing between lines
+
+        // Check for page break
+        if (doc.y + totalHeight > 750) {
+            continueOnNewPage(doc, idx);
+        }
+
+        // Render each line in the paragraph
+        for (let i = 0; i < lines.length; i++) {
+            const line = useFont(doc, 'serif', lines[i].trim());
+            if (!line) continue;
+
+            // Check for page break mid-paragraph
+            const lineHeight = doc.heightOfString(line, { width: 451, lineGap: 2 });
+            if (doc.y + lineHeight > 750) {
+                continueOnNewPage(doc, idx);
+                useFont(doc, 'serif', line);
+            }
+
+            doc.text(line, 72, doc.y, {
+                width: 451,
+                align: 'justify',
+                lineGap: 2
+            });
+
+            // Small gap between lines within same paragraph
+            if (i < lines.length - 1) {
+                doc.moveDown(0.15);
+            }
+        }
+
+        // Paragraph spacing (larger gap between paragraphs)
+        doc.moveDown(0.7);
+    }
+}
+
+// Heading font size by level (h1-h6)
+const HEADING_SIZES = [15, 13.5, 12, 11, 10.5, 10.5];
+
+const TABLE_MAX_COLUMNS = 6;    // wider tables are split into column groups, each repeating the first column
+const TABLE_MIN_COLUMN = 45;    // points
+const TABLE_CELL_PADDING = 4;
+const TABLE_MAX_CELL_LENGTH = 400;
+
+const FIGURE_MAX_HEIGHT = 300;  // points
+
+/**
+ * Render structured content (web pages, sectioned full text) block by block:
+ * headings sized by level, paragraphs, bullet/numbered lists, indented quotes and code
+ */
+function renderBlocks(doc, blocks, idx) {
+    for (const block of blocks) {
+        switch (block.type) {
+            case 'heading':
+                renderHeading(doc, block, idx);
+                break;
+            case 'list':
+                renderList(doc, block, idx);
+                break;
+            case 'quote':
+                renderQuote(doc, block, idx);
+                break;
+            case 'code':
+                renderCode(doc, block, idx);
+                break;
+            case 'table':
+                renderTable(doc, block, idx);
+                break;
+            case 'figure':
+                renderFigure(doc, block, idx);
+                break;
+            default:
+                renderParagraphs(doc, [block.text], idx);
+        }
+    }
+}
+
+function renderHeading(doc, block, idx) {
+    const size = HEADING_SIZES[block.level - 1] || 11;
+    doc.fontSize(size);
+    const heading = useFont(doc, 'sans-bold', block.text);
+    // Keep a heading on the same page as the start of its section
+    if (doc.y + doc.heightOfString(heading, { width: 451 }) + 40 > 750) {
+        continueOnNewPage(doc, idx);
+    }
+    doc.moveDown(block.level <= 2 ? 0.4 : 0.2);
+    doc.fontSize(size).fillColor(block.level <= 2 ? '#1e3a5f' : '#1a1a1a');
+    useFont(doc, 'sans-bold', heading);
+    doc.text(heading, 72, doc.y, { width: 451 });
+    doc.moveDown(0.4);
+}
+
+/**
+ * Bullet or numbered list; nested items are indented one step per level
+ */
+function renderList(doc, block, idx) {
+    const markers = listMarkers(block);
+
+    block.items.forEach((item, i) => {
+        const indent = 72 + 12 + item.depth * 16;
+        const width = 523 - indent - 16;
+        doc.fontSize(10.5);
+        const text = useFont(doc, 'serif', item.text);
+        if (doc.y + doc.heightOfString(text, { width, lineGap: 2 }) > 750) {
+            continueOnNewPage(doc, idx);
+        }
+
+        const y = doc.y;
+        doc.fontSize(10.5).fillColor('#333333');
+        doc.text(useFont(doc, 'serif', markers[i]), indent, y, { width: 16, lineBreak: false });
+        useFont(doc, 'serif', text);
+        doc.text(text, indent + 16, y, { width, lineGap: 2 });
+        doc.moveDown(0.2);
+    });
+    doc.moveDown(0.5);
+}
+
+/**
+ * Blockquote: indented italic text with a rule down its left side
+ */
+function renderQuote(doc, block, idx) {
+    doc.fontSize(10.5);
+    const text = useFont(doc, 'serif-italic', block.text);
+    const height = doc.heightOfString(text, { width: 411, lineGap: 2 });
+    if (doc.y + Math.min(height, 200) > 750) {
+        continueOnNewPage(doc, idx);
+    }
+
+    const startY = doc.y;
+    const startPage = doc.page;
+    doc.fontSize(10.5).fillColor('#555555');
+    useFont(doc, 'serif-italic', text);
+    doc.text(text, 100, startY, { width: 411, lineGap: 2 });
+
+    // No rule when a long quote ran onto the next page
+    if (doc.page === startPage) {
+        doc.strokeColor('#cbd5e1').lineWidth(2);
+        doc.moveTo(88, startY).lineTo(88, doc.y).stroke();
+    }
+    doc.moveDown(0.7);
+}
+
+/**
+ * Data table: caption, shaded header row, wrapped cells with grid lines
+ * Tables wider than TABLE_MAX_COLUMNS are drawn as several tables of column groups;
+ * rows that run past the page continue on the next one under a repeated header
+ */
+function renderTable(doc, block, idx) {
+    const columns = Math.max(block.header?.length || 0, ...block.rows.map(row => row.length));
+    const clip = (cell) => cell && cell.length > TABLE_MAX_CELL_LENGTH ? `${cell.substring(0, TABLE_MAX_CELL_LENGTH - 3)}...` : (cell || '');
+
+    // Column groups: all columns, or the first column plus up to TABLE_MAX_COLUMNS - 1 others at a time
+    const groups = [];
+    if (columns <= TABLE_MAX_COLUMNS) {
+        groups.push([...Array(columns).keys()]);
+    } else {
+        for (let c = 1; c < columns; c += TABLE_MAX_COLUMNS - 1) {
+            groups.push([0, ...Array.from({ length: Math.min(TABLE_MAX_COLUMNS - 1, columns - c) }, (_, k) => c + k)]);
+        }
+    }
+
+    groups.forEach((group, g) => {
+        const part = groups.length > 1 ? ` (columns ${group[1] + 1}-${group[group.length - 1] + 1} of ${columns})` : '';
+        const caption = `${block.caption || 'Table'}${part}`;
+        const header = block.header ? group.map(c => clip(block.header[c])) : null;
+        const rows = block.rows.map(row => group.map(c => clip(row[c])));
+        const widths = tableColumnWidths(doc, header, rows);
+
+        // Caption plus header and a first row fit, or start on a new page
+        if (doc.y + 60 > 750) continueOnNewPage(doc, idx);
+        doc.moveDown(g === 0 ? 0.3 : 0.6);
+        doc.fontSize(9).fillColor('#1e3a5f');
+        doc.text(useFont(doc, 'sans-bold', caption), 72, doc.y, { width: 451 });
+        doc.moveDown(0.2);
+
+        if (header) drawTableRow(doc, header, widths, true);
+        for (const row of rows) {
+            if (doc.y + tableRowHeight(doc, row, widths, false) > 750) {
+                continueOnNewPage(doc, idx);
+                if (header) drawTableRow(doc, header, widths, true);
+            }
+            drawTableRow(doc, row, widths, false);
+        }
+        doc.moveDown(0.8);
+    });
+    doc.fontSize(10.5).font('serif').fillColor('#333333');
+}
+
+/**
+ * Share the 451pt text width between columns in proportion to their longest cell,
+ * with a minimum so short columns stay readable
+ */
+function tableColumnWidths(doc, header, rows) {
+    const count = (header || rows[0]).length;
+    const longest = Array.from({ length: count }, (_, c) => {
+        const lengths = [header?.[c], ...rows.map(row => row[c])].map(cell => Math.min((cell || '').length, 60));
+        return Math.max(4, ...lengths);
+    });
+    const total = longest.reduce((a, b) => a + b, 0);
+    const widths = longest.map(length => Math.max(TABLE_MIN_COLUMN, (length / total) * 451));
+    // Minimums can overshoot the page; scale back to fit
+    const scale = 451 / widths.reduce((a, b) => a + b, 0);
+    return widths.map(width => width * scale);
+}
+
+function tableRowHeight(doc, cells, widths, isHeader) {
+    doc.fontSize(8);
+    const heights = cells.map((cell, c) => doc.heightOfString(useFont(doc, isHeader ? 'sans-bold' : 'sans', cell) || ' ', {
+        width: widths[c] - TABLE_CELL_PADDING * 2
+    }));
+    return Math.max(...heights) + TABLE_CELL_PADDING * 2;
+}
+
+function drawTableRow(doc, cells, widths, isHeader) {
+    const y = doc.y;
+    const height = tableRowHeight(doc, cells, widths, isHeader);
+
+    if (isHeader) doc.rect(72, y, 451, height).fill('#e5e7eb');
+
+    let x = 72;
+    cells.forEach((cell, c) => {
+        doc.fontSize(8).fillColor(isHeader ? '#1a1a1a' : '#333333');
+        const text = useFont(doc, isHeader ? 'sans-bold' : 'sans', cell);
+        doc.text(text, x + TABLE_CELL_PADDING, y + TABLE_CELL_PADDING, { width: widths[c] - TABLE_CELL_PADDING * 2 });
+        x += widths[c];
+    });
 
-    return new Promise((resolve) => {
-        stream.on('finish', () => {
-            const stats = fs.statSync(filePath);
-            console.log(`\n    💾 Saved: ${filename}`);
-            console.log(`    📊 Size: ${Math.round(stats.size / 1024)} KB`);
-            console.log(`    📑 Contains ${sources.length} sources`);
-            resolve(filename);
+    doc.strokeColor('#d1d5db').lineWidth(0.5);
+    doc.rect(72, y, 451, height).stroke();
+    x = 72;
+    widths.slice(0, -1).forEach(width => {
+        x += width;
+        doc.moveTo(x, y).lineTo(x, y + height).stroke();
+    });
+    doc.y = y + height;
+}
+
+/**
+ * Captured image, centred and scaled to fit (never enlarged), with its caption or alt text below
+ */
+function renderFigure(doc, block, idx) {
+    const scale = Math.min(451 / block.width, FIGURE_MAX_HEIGHT / block.height, 1);
+    const width = block.width * scale;
+    const height = block.height * scale;
+    const label = block.caption || block.alt;
+
+    doc.fontSize(8.5);
+    const caption = label ? useFont(doc, 'sans-oblique', label) : '';
+    const captionHeight = caption ? doc.heightOfString(caption, { width: 451, align: 'center' }) + 4 : 0;
+    if (doc.y + height + captionHeight > 750) {
+        continueOnNewPage(doc, idx);
+    }
+
+    try {
+        const y = doc.y + 4;
+        doc.image(block.file, 72 + (451 - width) / 2, y, { width, height });
+        doc.y = y + height + 4;
+    } catch (e) {
+        console.log(`   ⚠️ Could not embed image ${block.file}: ${e.message}`);
+        if (!caption) return;
+    }
+
+    if (caption) {
+        doc.fontSize(8.5).fillColor('#555555');
+        useFont(doc, 'sans-oblique', caption);
+        doc.text(caption, 72, doc.y, { width: 451, align: 'center' });
+    }
+    doc.moveDown(0.8);
+}
+
+/**
+ * Code: monospace on a grey background, line breaks and indentation kept
+ */
+function renderCode(doc, block, idx) {
+    doc.moveDown(0.2);
+    for (const rawLine of block.text.split('\n')) {
+        doc.fontSize(8.5);
+        const line = useFont(doc, 'mono', rawLine.replace(/\t/g, '    ')) || ' ';
+        const height = doc.heightOfString(line, { width: 431 });
+        if (doc.y + height > 750) {
+            continueOnNewPage(doc, idx);
+        }
+
+        const y = doc.y;
+        doc.rect(72, y - 1, 451, height + 2).fill('#f3f4f6');
+        doc.fontSize(8.5).fillColor('#1f2937');
+        useFont(doc, 'mono', line);
+        doc.text(line, 82, y, { width: 431 });
+    }
+    doc.moveDown(0.7);
+}
+
+/**
+ * Authors line, affiliations, then "Venue (Year)" line under a source title
+ */
+function drawBibliographyHeader(doc, bibliography) {
+    const { authors, affiliations = [], venue, year } = bibliography;
+
+    doc.moveDown(0.3);
+    if (authors.length) {
+        const authorList = authors.length > 6
+            ? `${authors.slice(0, 6).join(', ')}, et al.`
+            : authors.join(', ');
+        doc.fontSize(10).fillColor('#333333');
+        doc.text(useFont(doc, 'sans', authorList), 72, doc.y, { width: 451 });
+    }
+
+    if (affiliations.length) {
+        const affiliationList = affiliations.length > 3
+            ? `${affiliations.slice(0, 3).join('; ')}; et al.`
+            : affiliations.join('; ');
+        doc.fontSize(8.5).fillColor('#777777');
+        doc.text(useFont(doc, 'sans', affiliationList), 72, doc.y, { width: 451 });
+    }
+
+    const published = [venue, year ? `(${year})` : ''].filter(Boolean).join(' ');
+    if (published) {
+        doc.fontSize(10).fillColor('#555555');
+        doc.text(useFont(doc, 'sans-oblique', published), 72, doc.y, { width: 451 });
+    }
+}
+
+/**
+ * Metadata lines for identifiers and impact (DOI, citation count, fields of study)
+ */
+function describeBibliography(bibliography) {
+    if (!bibliography) return [];
+
+    const lines = [];
+    if (bibliography.doi) {
+        lines.push({ text: `DOI: ${bibliography.doi}`, options: { link: `https://doi.org/${bibliography.doi}` } });
+    }
+    if (bibliography.arxivId) {
+        lines.push({ text: `arXiv: ${bibliography.arxivId}`, options: { link: `https://arxiv.org/abs/${bibliography.arxivId}` } });
+    }
+
+    const details = [];
+    if (bibliography.citationCount !== null) details.push(`Citations: ${bibliography.citationCount.toLocaleString()}`);
+    if (bibliography.fieldsOfStudy.length) details.push(`Fields: ${bibliography.fieldsOfStudy.join(', ')}`);
+    if (details.length) lines.push({ text: details.join('  |  ') });
+
+    return lines;
+}
+
+/**
+ * Abstract block with a left rule, followed by the keywords, and move below it
+ */
+function drawAbstract(doc, bibliography) {
+    const startY = doc.y;
+    const startPage = doc.page;
+
+    doc.fontSize(9).fillColor('#1e3a5f');
+    doc.text(useFont(doc, 'sans-bold', 'ABSTRACT'), 82, doc.y, { width: 441 });
+    doc.moveDown(0.2);
+
+    doc.fontSize(9.5).fillColor('#333333');
+    doc.text(useFont(doc, 'serif', bibliography.abstract), 82, doc.y, { width: 441, align: 'justify', lineGap: 1.5 });
+
+    if (bibliography.keywords?.length) {
+        doc.moveDown(0.3);
+        doc.fontSize(8.5).fillColor('#555555');
+        doc.text(useFont(doc, 'sans-oblique', `Keywords: ${bibliography.keywords.join(', ')}`), 82, doc.y, { width: 441 });
+    }
+
+    // No rule when a long abstract ran onto the next page
+    if (doc.page === startPage) {
+        doc.strokeColor('#93c5fd').lineWidth(2);
+        doc.moveTo(74, startY).lineTo(74, doc.y).stroke();
+    }
+    doc.moveDown(1);
+}
+
+/**
+ * Metadata line warning that a source's text was read with OCR, and how reliably
+ * @returns {Array<{text: string, options?: Object}>}
+ */
+function describeOcr(source) {
+    if (!source.ocr) return [];
+
+    const { pages, confidence, engine } = source.ocr;
+    const of = source.pageCount ? ` of ${source.pageCount}` : '';
+    const reliability = confidence >= 90 ? 'high' : confidence >= 75 ? 'fair' : 'low';
+    return [{
+        text: `Text: OCR (${engine}) of ${pages.length}${of} page(s), mean word confidence ${confidence}% (${reliability}) - check quotations and figures against the original`,
+        options: { oblique: true }
+    }];
+}
+
+/**
+ * Metadata line saying where a source's original PDF is in the volume
+ * @param {Object} source
+ * @param {number} idx
+ * @param {Object|null} original - Pages mode: inspectOriginal's page sizes for the kept file
+ * @returns {Array<{text: string}>}
+ */
+function describeOriginal(source, idx, original) {
+    if (original) {
+        const shown = original.pages.length;
+        const rest = shown < original.pageCount ? `; ${pageRange(shown + 1, original.pageCount)} follow as extracted text` : '';
+        return [{ text: `Original PDF: ${pageRange(1, shown)} of ${original.pageCount} follow this page, labelled S${idx + 1} p.1-${shown}${rest}` }];
+    }
+    if (EMBED_ORIGINAL === 'attach' && source.originalFile) {
+        return [{ text: `Original PDF: attached as ${originalName(idx)} (paperclip above, or the viewer's attachments panel)` }];
+    }
+    return [];
+}
+
+function pageRange(first, last) {
+    return first === last ? `page ${first}` : `pages ${first}-${last}`;
+}
+
+function originalName(idx) {
+    return `source_${idx + 1}_original.pdf`;
+}
+
+/**
+ * Attach the original PDF, with a file attachment icon in the header bar
+ */
+function attachOriginal(doc, source, idx) {
+    try {
+        doc.fileAnnotation(doc.page.width - 96, 24, 20, 24, {
+            src: source.originalFile,
+            name: originalName(idx),
+            description: `${source.title} (${source.url})`,
+            type: 'application/pdf',
+            relationship: 'Source',
+            hidden: false
         });
+    } catch (e) {
+        console.log(`   ⚠️ Original not attached: ${e.message.substring(0, 60)}`);
+    }
+}
+
+/**
+ * Add one blank page per original page, sized to match, for drawOriginalPages to fill
+ * @returns {Array<number>} - Volume page indexes reserved
+ */
+function reserveOriginalPages(doc, original) {
+    return original.pages.map(({ width, height }) => {
+        doc.addPage({ size: [width, height], margin: 0 });
+        return doc._pageBuffer.length - 1;
     });
 }
 
+/**
+ * Extracted text of the original pages past the embedding limit
+ */
+function renderRemainingPages(doc, source, idx, original) {
+    const start = source.pageOffsets?.[original.pages.length];
+    if (start === undefined) return;
+
+    continueOnNewPage(doc, idx);
+    doc.fontSize(9).fillColor('#888888');
+    doc.text(useFont(doc, 'sans-oblique', `Original ${pageRange(original.pages.length + 1, original.pageCount)}, as extracted text`), 72, doc.y, { width: 451 });
+    doc.moveDown(0.8);
+    renderParagraphs(doc, source.content.substring(start).split(/\n\n+/), idx);
+}
+
+/**
+ * Metadata lines explaining why a source was included (search provider, rank, query, snippet)
+ * @param {Object|null} provenance - Search result details attached by formatOutput
+ * @returns {Array<{text: string}>}
+ */
+function describeProvenance(provenance) {
+    if (!provenance) return [];
+
+    const lines = [];
+    const rank = provenance.rank ? ` (rank #${provenance.rank})` : '';
+    lines.push({ text: `Found via: ${provenance.provider}${rank} for "${provenance.query}"` });
+
+    if (provenance.snippet) {
+        const snippet = provenance.snippet.length > 220
+            ? provenance.snippet.substring(0, 217) + '...'
+            : provenance.snippet;
+        lines.push({ text: `Snippet: ${snippet}`, options: { oblique: true } });
+    }
+
+    const reachedVia = provenance.metadata?.reachedVia;
+    if (reachedVia) {
+        const score = provenance.metadata.snowballScore ? ` (cited ${provenance.metadata.snowballScore}x within the set)` : '';
+        lines.push({ text: `Reached via: ${reachedVia}${score}` });
+    }
+
+    // Links returned by several providers/sub-queries ranked higher after fusion
+    const others = (provenance.matches || []).slice(1);
+    if (others.length) {
+        const described = others.slice(0, 4).map(m => `${m.provider} #${m.rank} for "${m.query}"`);
+        const more = others.length > 4 ? ` and ${others.length - 4} more` : '';
+        lines.push({ text: `Also found by: ${described.join('; ')}${more}` });
+    }
+
+    return lines;
+}
+
+/**
+ * Draw the grey metadata box, sized to fit its lines, and move below it
+ */
+function drawMetadataBox(doc, lines) {
+    const metaY = doc.y;
+    const textWidth = 431;
+
+    doc.fontSize(9);
+    // Each line gets the font that can draw it, so measure with that font
+    const fitted = lines.map(line => {
+        const { oblique, ...options } = line.options || {};
+        const style = oblique ? 'sans-oblique' : 'sans';
+        const text = useFont(doc, style, line.text);
+        return { style, text, options, height: doc.heightOfString(text, { width: textWidth }) };
+    });
+    const boxHeight = fitted.reduce((sum, line) => sum + line.height + 6, 0) + 10;
+
+    doc.rect(72, metaY, 451, boxHeight).fill('#f5f5f5');
+
+    let y = metaY + 8;
+    fitted.forEach(line => {
+        useFont(doc, line.style, line.text);
+        doc.fillColor('#666666');
+        doc.text(line.text, 82, y, { width: textWidth, ...line.options });
+        y += line.height + 6;
+    });
+
+    doc.y = metaY + boxHeight + 15;
+}
+
 module.exports = { generateResearchPDF };
@@ -0,0 +1,168 @@
+/**
+ * PDF OCR Fallback
+ * Scanned and image-only PDFs have no usable text layer, so their pages are
+ * rasterised (poppler's pdftoppm) and read with Tesseract, offline and on the CPU.
+ * Pages and time are capped per document and per run, and one document is read at a time
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { symbolRatio } = require('./unicode_text');
+
+const OCR_ENABLED = process.env.INPUT_OCR !== 'false';                                   // needs pdftoppm and tesseract on the PATH
+const OCR_LANGUAGES = process.env.INPUT_OCR_LANGUAGES || "eng";                          // Tesseract language packs, e.g. "eng+deu"
+const OCR_MAX_PAGES = parseInt(process.env.INPUT_OCR_MAX_PAGES || "20");                 // per document
+const OCR_TIME_BUDGET = parseInt(process.env.INPUT_OCR_TIME_BUDGET || "180") * 1000;     // seconds per document
+const OCR_TOTAL_BUDGET = parseInt(process.env.INPUT_OCR_TOTAL_BUDGET || "900") * 1000;   // seconds for the whole run
+const OCR_DPI = parseInt(process.env.INPUT_OCR_DPI || "200");
+
+const MIN_PAGE_WORDS = 25;        // a text layer with fewer words on a page is treated as missing
+const MAX_SYMBOL_RATIO = 0.3;     // ... and one with more symbols than this as garbage
+const MIN_WORD_CONFIDENCE = 30;   // lower-confidence words made only of symbols are scan specks
+
+let totalSpent = 0;
+let queue = Promise.resolve();
+let toolCheck = null;
+
+function run(command, args, timeout) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, {
+            timeout,
+            maxBuffer: 20 * 1024 * 1024,
+            env: { ...process.env, OMP_THREAD_LIMIT: '1' }
+        }, (error, stdout) => error ? reject(error) : resolve(stdout));
+    });
+}
+
+/**
+ * Are pdftoppm and tesseract installed? Checked once per run
+ */
+function hasOcrTools() {
+    if (!toolCheck) {
+        toolCheck = run('pdftoppm', ['-v'], 10000)
+            .then(() => run('tesseract', ['--version'], 10000))
+            .then(() => true, (e) => {
+                console.log(`      ⚠️ OCR unavailable (install poppler-utils and tesseract-ocr): ${e.message.substring(0, 50)}`);
+                return false;
+            });
+    }
+    return toolCheck;
+}
+
+/**
+ * Pages whose text layer is missing or garbage (broken font encodings come out as symbol soup)
+ * @param {Array<string>} pages - Per-page text from extractPdfText
+ * @returns {Array<number>} - Page indexes
+ */
+function pagesNeedingOcr(pages) {
+    return pages.reduce((poor, text, index) => {
+        const words = text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+        if (words < MIN_PAGE_WORDS || symbolRatio(text.replace(/\s+/g, '')) > MAX_SYMBOL_RATIO) poor.push(index);
+        return poor;
+    }, []);
+}
+
+/**
+ * Page text from Tesseract's TSV output: words joined into lines, lines into paragraphs,
+ * with end-of-line hyphenation undone
+ * @returns {{text: string, confidences: Array<number>}}
+ */
+function parseTsv(tsv) {
+    const paragraphs = new Map();
+    const confidences = [];
+
+    for (const row of tsv.split('\n').slice(1)) {
+        const [level, , block, par, line, , , , , , conf, ...rest] = row.split('\t');
+        const word = rest.join('\t').trim();
+        const confidence = parseFloat(conf);
+        if (level !== '5' || !word || confidence < 0) continue;
+        if (confidence < MIN_WORD_CONFIDENCE && !/[\p{L}\p{N}]/u.test(word)) continue;
+
+        confidences.push(confidence);
+        const key = `${block}.${par}`;
+        if (!paragraphs.has(key)) paragraphs.set(key, new Map());
+        const lines = paragraphs.get(key);
+        lines.set(line, [...(lines.get(line) || []), word]);
+    }
+
+    const text = [...paragraphs.values()]
+        .map(lines => [...lines.values()].map(words => words.join(' ')).reduce((joined, line) =>
+            /\p{L}-$/u.test(joined) && /^\p{Ll}/u.test(line) ? joined.slice(0, -1) + line : `${joined} ${line}`, '').trim())
+        .filter(Boolean)
+        .join('\n\n');
+    return { text, confidences };
+}
+
+async function ocrPages(bytes, pageIndexes) {
+    const started = Date.now();
+    const budget = Math.min(OCR_TIME_BUDGET, OCR_TOTAL_BUDGET - totalSpent);
+    if (budget <= 0) {
+        console.log(`      ⏱️ OCR time budget for this run used up`);
+        return null;
+    }
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'research-ocr-'));
+    const input = path.join(dir, 'document.pdf');
+    fs.writeFileSync(input, bytes);
+
+    const pages = {};
+    const confidences = [];
+    try {
+        for (const index of pageIndexes.slice(0, OCR_MAX_PAGES)) {
+            const remaining = budget - (Date.now() - started);
+            if (remaining <= 0) {
+                console.log(`      ⏱️ OCR stopped at the time budget (${Object.keys(pages).length} page(s) read)`);
+                break;
+            }
+
+            const image = path.join(dir, `page-${index + 1}`);
+            try {
+                await run('pdftoppm', ['-f', String(index + 1), '-l', String(index + 1), '-r', String(OCR_DPI), '-gray', '-singlefile', '-png', input, image], remaining);
+                const tsv = await run('tesseract', [`${image}.png`, 'stdout', '-l', OCR_LANGUAGES, 'tsv'], Math.max(budget - (Date.now() - started), 1000));
+                const page = parseTsv(tsv);
+                pages[index] = page.text;
+                confidences.push(...page.confidences);
+            } catch (e) {
+                console.log(`      ⚠️ OCR failed on page ${index + 1}: ${e.message.substring(0, 50)}`);
+            } finally {
+                fs.rmSync(`${image}.png`, { force: true });
+            }
+        }
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+        totalSpent += Date.now() - started;
+    }
+
+    const pageNumbers = Object.keys(pages).map(index => Number(index) + 1);
+    if (!pageNumbers.length) return null;
+    return {
+        pages,
+        pageNumbers,
+        confidence: confidences.length ? Math.round(confidences.reduce((sum, c) => sum + c, 0) / confidences.length) : 0,
+        seconds: Math.round((Date.now() - started) / 1000)
+    };
+}
+
+/**
+ * Read a PDF's pages with OCR
+ * Documents queue up, so only one OCR job runs at a time
+ * @param {Buffer} bytes - PDF bytes
+ * @param {Array<number>} pageIndexes - Pages to read (see pagesNeedingOcr), first INPUT_OCR_MAX_PAGES used
+ * @returns {Promise<{pages: Object<number, string>, pageNumbers: Array<number>, confidence: number, seconds: number}|null>}
+ *          pages maps page index to text; pageNumbers are the 1-based pages read; confidence is Tesseract's
+ *          mean word confidence (0-100). null when OCR is off or unavailable, or nothing was read
+ */
+async function ocrPdf(bytes, pageIndexes) {
+    if (!OCR_ENABLED || !pageIndexes.length || !(await hasOcrTools())) return null;
+
+    const job = queue.then(() => ocrPages(bytes, pageIndexes));
+    queue = job.catch(() => {});
+    return job;
+}
+
+module.exports = {
+    pagesNeedingOcr,
+    parseTsv,
+    ocrPdf
+};
@@ -0,0 +1,125 @@
+/**
+ * Original PDFs
+ * Keeps the downloaded file of each PDF source so a volume can carry the original
+ * alongside (or instead of) the re-typeset text: either its pages, drawn onto
+ * placeholder pages reserved while the volume is laid out (so the title page, TOC
+ * links and bookmarks keep pointing at the right pages), or the file as an attachment
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { PDFDocument, PDFName, PDFString, StandardFonts, rgb, degrees } = require('pdf-lib');
+
+const EMBED_ORIGINAL = ['pages', 'attach'].includes(process.env.INPUT_EMBED_ORIGINAL) ? process.env.INPUT_EMBED_ORIGINAL : 'off'; // off, pages (original pages after the source's header page) or attach (the PDF file)
+const MAX_ORIGINAL_PAGES = parseInt(process.env.INPUT_MAX_ORIGINAL_PAGES || "60");                 // pages mode: later pages stay re-typeset text
+const ORIGINALS_DIR = process.env.INPUT_ORIGINALS_DIR || path.join(os.tmpdir(), 'research-originals'); // outside research_text, which is uploaded
+
+/**
+ * Keep a downloaded PDF for embedding (when INPUT_EMBED_ORIGINAL is on)
+ * @param {string} url - Where it came from (names the cached file)
+ * @param {Buffer} bytes
+ * @returns {string|null} - Path of the kept file; null when embedding is off or the write failed
+ */
+function saveOriginal(url, bytes) {
+    if (EMBED_ORIGINAL === 'off') return null;
+    try {
+        fs.mkdirSync(ORIGINALS_DIR, { recursive: true });
+        const file = path.join(ORIGINALS_DIR, crypto.createHash('sha1').update(url).digest('hex') + '.pdf');
+        fs.writeFileSync(file, bytes);
+        return file;
+    } catch (e) {
+        console.log(`      ⚠️ Original not kept: ${e.message.substring(0, 60)}`);
+        return null;
+    }
+}
+
+/**
+ * Visible area of a page: its crop box, which defaults to the media box
+ */
+function visibleBox(page) {
+    const box = page.getCropBox();
+    return { left: box.x, bottom: box.y, right: box.x + box.width, top: box.y + box.height };
+}
+
+/**
+ * Page sizes of a kept original, for reserving placeholder pages
+ * Encrypted and unreadable files give null, and their sources stay re-typeset text
+ * @param {string} file
+ * @returns {Promise<{pageCount: number, pages: Array<{width: number, height: number}>}|null>}
+ *          pages covers the first MAX_ORIGINAL_PAGES pages
+ */
+async function inspectOriginal(file) {
+    try {
+        const original = await PDFDocument.load(fs.readFileSync(file), { updateMetadata: false });
+        const pages = original.getPages().slice(0, MAX_ORIGINAL_PAGES).map(page => {
+            const box = visibleBox(page);
+            return { width: box.right - box.left, height: box.top - box.bottom };
+        });
+        return pages.length ? { pageCount: original.getPageCount(), pages } : null;
+    } catch (e) {
+        console.log(`   ⚠️ Original not embeddable (${e.message.substring(0, 50)}): ${path.basename(file)}`);
+        return null;
+    }
+}
+
+/**
+ * Page labels for a volume: plain page numbers, with each source's original pages
+ * labelled by their own numbers ("S3 p.14") so viewers show the page to cite
+ */
+function pageLabels(volume, placements) {
+    const nums = [0, { S: 'D' }];
+    for (const { number, pages } of [...placements].sort((a, b) => a.pages[0] - b.pages[0])) {
+        const start = pages[0];
+        const end = pages[pages.length - 1] + 1;
+        nums.push(start, { S: 'D', P: PDFString.of(`S${number} p.`), St: 1 });
+        if (end < volume.getPageCount()) nums.push(end, { S: 'D', St: end + 1 });
+    }
+    return volume.context.obj({ Nums: nums });
+}
+
+/**
+ * Draw the original pages onto the placeholder pages of a finished volume
+ * Original pages go in as vector content (text stays selectable); their links and form fields don't
+ * @param {string} filePath - The volume
+ * @param {Array<{number: number, file: string, pages: Array<number>}>} placements -
+ *        Source number, kept original and the volume page index reserved for each of its pages
+ * @returns {Promise<void>}
+ */
+async function drawOriginalPages(filePath, placements) {
+    if (!placements.length) return;
+
+    const volume = await PDFDocument.load(fs.readFileSync(filePath), { updateMetadata: false });
+    const font = await volume.embedFont(StandardFonts.Helvetica);
+
+    for (const { number, file, pages } of placements) {
+        try {
+            const original = await PDFDocument.load(fs.readFileSync(file), { updateMetadata: false });
+            const sourcePages = original.getPages().slice(0, pages.length);
+            const embedded = await volume.embedPages(sourcePages, sourcePages.map(visibleBox));
+            embedded.forEach((page, i) => {
+                const target = volume.getPage(pages[i]);
+                target.drawPage(page, { x: 0, y: 0 });
+                target.setRotation(degrees(sourcePages[i].getRotation().angle));
+            });
+        } catch (e) {
+            console.log(`   ⚠️ Original pages of source ${number} not drawn: ${e.message.substring(0, 50)}`);
+            pages.forEach(index => {
+                const target = volume.getPage(index);
+                target.drawText(`Source ${number}: the original page could not be embedded.`, {
+                    x: 72, y: target.getHeight() / 2, size: 11, font, color: rgb(0.6, 0.6, 0.6)
+                });
+            });
+        }
+    }
+
+    volume.catalog.set(PDFName.of('PageLabels'), pageLabels(volume, placements));
+    fs.writeFileSync(filePath, await volume.save());
+}
+
+module.exports = {
+    EMBED_ORIGINAL,
+    saveOriginal,
+    inspectOriginal,
+    drawOriginalPages
+};
@@ -0,0 +1,289 @@
+/**
+ * Layout-Aware PDF Text Extraction
+ * Reads positioned text items page by page (pdf-parse's pagerender hook) and
+ * rebuilds reading order: two-column pages are read column by column, running
+ * headers/footers and page numbers are dropped, hyphenated line breaks are
+ * rejoined and paragraph breaks are kept
+ */
+const pdf = require('pdf-parse');
+
+const EDGE_ZONE = 0.1;          // top/bottom share of the page where headers and footers live
+const REPEAT_SHARE = 0.5;       // a line on at least this share of pages is a running header/footer
+const MIN_REPEAT_PAGES = 3;
+const MIN_ROMAN_PAGES = 2;      // pages with a roman numeral at the edge before those lines count as page numbers
+const MIN_GUTTER_WIDTH = 8;     // points of empty space needed between two columns
+const PARAGRAPH_GAP = 1.4;      // line gap, relative to the usual gap, that starts a new paragraph
+const FRONT_MATTER_PAGES = 2;   // pages whose line layout is kept for front-matter parsing
+
+const isRotated = item => Math.abs(item.transform[1]) >= 0.01 || Math.abs(item.transform[2]) >= 0.01;
+
+/**
+ * Collect a page's text items with positions
+ * @returns {Promise<{width: number, height: number, items: Array<{str: string, x: number, y: number, width: number, size: number}>, sideText: string}>}
+ */
+async function readPageItems(pageData) {
+    const viewport = pageData.getViewport(1);
+    const content = await pageData.getTextContent({ normalizeWhitespace: true, disableCombineTextItems: false });
+
+    const items = content.items
+        // Rotated text (margin stamps, axis labels) isn't part of the reading flow
+        .filter(item => !isRotated(item))
+        .map(item => ({
+            str: item.str,
+            x: item.transform[4],
+            y: item.transform[5],
+            width: item.width,
+            size: Math.abs(item.transform[3]) || item.height || 10
+        }))
+        .filter(item => item.str.length > 0);
+
+    // Kept apart for front matter: arXiv and repository stamps run up the margin
+    const sideText = content.items.filter(isRotated).map(item => item.str).join(' ').replace(/\s+/g, ' ').trim();
+
+    return { width: viewport.width, height: viewport.height, items, sideText };
+}
+
+/**
+ * Group items into lines: same baseline (within a fraction of the font size), left to right
+ */
+function groupLines(items) {
+    const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+    const lines = [];
+
+    for (const item of sorted) {
+        const line = lines.find(l => Math.abs(l.y - item.y) < Math.min(l.size, item.size) * 0.4);
+        if (line) {
+            line.items.push(item);
+            line.size = Math.max(line.size, item.size);
+        } else {
+            lines.push({ y: item.y, size: item.size, items: [item] });
+        }
+    }
+
+    lines.forEach(line => line.items.sort((a, b) => a.x - b.x));
+    return lines.sort((a, b) => b.y - a.y);
+}
+
+/**
+ * Join a line's items, adding a space where there's a visible gap between them
+ */
+function lineText(items) {
+    let text = '';
+    let lastEnd = null;
+    for (const item of items) {
+        const gap = lastEnd === null ? 0 : item.x - lastEnd;
+        if (text && gap > item.size * 0.2 && !/\s$/.test(text) && !/^\s/.test(item.str)) text += ' ';
+        text += item.str;
+        lastEnd = item.x + item.width;
+    }
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Find the gutter of a two-column page: an x position in the middle of the page
+ * that most lines leave empty, with text on both sides
+ * @returns {number|null} - Gutter x, or null for single-column pages
+ */
+function findGutter(page, lines) {
+    const from = page.width * 0.3;
+    const to = page.width * 0.7;
+    const binWidth = 2;
+    const bins = new Array(Math.ceil((to - from) / binWidth)).fill(0);
+
+    for (const line of lines) {
+        for (const item of line.items) {
+            const start = Math.max(0, Math.floor((item.x - from) / binWidth));
+            const end = Math.min(bins.length - 1, Math.floor((item.x + item.width - from) / binWidth));
+            for (let b = start; b <= end; b++) bins[b]++;
+        }
+    }
+
+    // Widest run of bins crossed by almost no items (full-width titles may cross)
+    const allowed = Math.max(1, Math.floor(lines.length * 0.1));
+    let best = null;
+    let runStart = null;
+    for (let b = 0; b <= bins.length; b++) {
+        if (b < bins.length && bins[b] <= allowed) {
+            if (runStart === null) runStart = b;
+        } else if (runStart !== null) {
+            if (!best || b - runStart > best.end - best.start) best = { start: runStart, end: b };
+            runStart = null;
+        }
+    }
+    if (!best || (best.end - best.start) * binWidth < MIN_GUTTER_WIDTH) return null;
+
+    const gutter = from + ((best.start + best.end) / 2) * binWidth;
+    const left = lines.filter(l => l.items.some(i => i.x + i.width <= gutter)).length;
+    const right = lines.filter(l => l.items.some(i => i.x >= gutter)).length;
+    // Both columns need real text, not a lone page number or figure label
+    return left >= lines.length * 0.25 && right >= lines.length * 0.25 ? gutter : null;
+}
+
+/**
+ * Put a page's lines in reading order
+ * On two-column pages, full-width lines (titles, abstracts spanning the gutter) stay
+ * in place and each run of column lines is read left column first, then right
+ * @returns {Array<{text: string, y: number, size: number, column: number}>}
+ */
+function orderLines(page, lines) {
+    const gutter = findGutter(page, lines);
+    const toLine = (items, line, column) => ({ text: lineText(items), y: line.y, size: line.size, column });
+    if (gutter === null) return lines.map(line => toLine(line.items, line, 0));
+
+    const ordered = [];
+    let left = [];
+    let right = [];
+    const flush = () => {
+        ordered.push(...left, ...right);
+        left = [];
+        right = [];
+    };
+
+    for (const line of lines) {
+        const spans = line.items.some(i => i.x < gutter && i.x + i.width > gutter);
+        if (spans) {
+            flush();
+            ordered.push(toLine(line.items, line, 0));
+            continue;
+        }
+        const leftItems = line.items.filter(i => i.x < gutter);
+        const rightItems = line.items.filter(i => i.x >= gutter);
+        if (leftItems.length) left.push(toLine(leftItems, line, 1));
+        if (rightItems.length) right.push(toLine(rightItems, line, 2));
+    }
+    flush();
+
+    return ordered.filter(line => line.text);
+}
+
+/**
+ * Key for spotting repeated header/footer lines: standalone numbers (page, volume) ignored
+ */
+function repeatKey(text) {
+    return text.toLowerCase().replace(/\b\d+\b/g, '#').replace(/\s+/g, ' ').trim();
+}
+
+// A valid roman numeral (i to mmmcmxcix), matched in lower case
+const ROMAN_NUMERAL = /^(?=[ivxlcdm])m{0,3}(cm|cd|d?c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})$/;
+
+/**
+ * Is a line a page number ("12", "- 12 -", "Page 3 of 40", "xiv")?
+ * @returns {string|null} - "arabic", "roman" (one case throughout, so "Xi" or "civil" don't count), or null
+ */
+function pageNumberKind(text) {
+    const number = text.trim().match(/^(?:page\s*)?[-–]?\s*([^\s/–-]+)\s*[-–]?(?:\s*(?:of|\/)\s*\d+)?$/i)?.[1];
+    if (!number) return null;
+    if (/^\d+$/.test(number)) return 'arabic';
+    const oneCase = number === number.toLowerCase() || number === number.toUpperCase();
+    return oneCase && ROMAN_NUMERAL.test(number.toLowerCase()) ? 'roman' : null;
+}
+
+/**
+ * Remove running headers/footers (lines near the top or bottom repeated across pages)
+ * and page numbers
+ */
+function removeRunningLines(pages) {
+    const inEdge = (page, line) => line.y > page.height * (1 - EDGE_ZONE) || line.y < page.height * EDGE_ZONE;
+
+    // A lone "xi" or "mix" could be a word: roman page numbers need to run across pages
+    const romanPages = pages.filter(page => page.lines.some(line => inEdge(page, line) && pageNumberKind(line.text) === 'roman')).length;
+    const isPageNumber = (text) => {
+        const kind = pageNumberKind(text);
+        return kind === 'arabic' || (kind === 'roman' && romanPages >= MIN_ROMAN_PAGES);
+    };
+
+    const counts = new Map();
+    for (const page of pages) {
+        const keys = new Set(page.lines.filter(line => inEdge(page, line)).map(line => repeatKey(line.text)));
+        keys.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+    }
+    const threshold = Math.max(MIN_REPEAT_PAGES, pages.length * REPEAT_SHARE);
+
+    for (const page of pages) {
+        page.lines = page.lines.filter(line => {
+            if (!inEdge(page, line)) return true;
+            if (isPageNumber(line.text)) return false;
+            return (counts.get(repeatKey(line.text)) || 0) < threshold;
+        });
+    }
+}
+
+/**
+ * Join a page's lines into paragraphs
+ * A paragraph ends at a larger-than-usual vertical gap, a column change or a font size change;
+ * a word hyphenated across a line break is rejoined
+ */
+function buildParagraphs(lines) {
+    const gaps = [];
+    for (let i = 1; i < lines.length; i++) {
+        const gap = lines[i - 1].y - lines[i].y;
+        if (gap > 0 && lines[i].column === lines[i - 1].column) gaps.push(gap);
+    }
+    gaps.sort((a, b) => a - b);
+    const usualGap = gaps.length ? gaps[Math.floor(gaps.length / 2)] : 0;
+
+    const paragraphs = [];
+    let current = '';
+    lines.forEach((line, i) => {
+        const prev = lines[i - 1];
+        const gap = prev ? prev.y - line.y : 0;
+        const breaks = !prev ||
+            line.column !== prev.column ||
+            gap <= 0 ||
+            (usualGap && gap > usualGap * PARAGRAPH_GAP) ||
+            Math.abs(line.size - prev.size) > 1;
+
+        if (breaks) {
+            if (current) paragraphs.push(current);
+            current = line.text;
+        } else if (/\p{L}[-\u00AD]$/u.test(current) && /^\p{Ll}/u.test(line.text)) {
+            // "informa-" + "tion" -> "information"
+            current = current.slice(0, -1) + line.text;
+        } else {
+            current += ` ${line.text}`;
+        }
+    });
+    if (current) paragraphs.push(current);
+
+    return paragraphs;
+}
+
+/**
+ * Extract a PDF's text in reading order
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<{text: string, pages: Array<string>, pageCount: number, frontPages: Array<Object>, info: Object, metadata: Object}>}
+ *          text has paragraphs separated by blank lines; pages holds each page's text;
+ *          frontPages keeps the first pages' lines (text, y, size, column) and sideText
+ */
+async function extractPdfText(buffer) {
+    const pages = [];
+    const data = await pdf(buffer, {
+        pagerender: async (pageData) => {
+            const page = await readPageItems(pageData);
+            page.lines = orderLines(page, groupLines(page.items));
+            pages[pageData.pageIndex] = page;
+            return '';
+        }
+    });
+
+    const rendered = pages.filter(Boolean);
+    removeRunningLines(rendered);
+    const pageTexts = rendered.map(page => buildParagraphs(page.lines).join('\n\n'));
+
+    return {
+        text: pageTexts.filter(Boolean).join('\n\n'),
+        pages: pageTexts,
+        pageCount: data.numpages,
+        frontPages: rendered.slice(0, FRONT_MATTER_PAGES).map(({ width, height, lines, sideText }) => ({ width, height, lines, sideText })),
+        info: data.info,
+        metadata: data.metadata
+    };
+}
+
+module.exports = {
+    groupLines,
+    orderLines,
+    buildParagraphs,
+    removeRunningLines,
+    extractPdfText
+};
@@ -0,0 +1,193 @@
+/**
+ * Publication Date Extraction
+ * Finds when a source was published: provider metadata (Semantic Scholar, arXiv,
+ * RSS, DOI lookups), HTML meta tags and JSON-LD, or PDF XMP/info dates.
+ * Dates are kept at the precision the source gives: "2021", "2021-05" or "2021-05-03".
+ */
+
+// HTML meta tags carrying a publication date, most specific first
+const META_SELECTORS = [
+    'meta[name="citation_publication_date"]',
+    'meta[name="citation_date"]',
+    'meta[name="citation_online_date"]',
+    'meta[property="article:published_time"]',
+    'meta[name="article:published_time"]',
+    'meta[itemprop="datePublished"]',
+    'meta[name="dc.date.issued" i]',
+    'meta[name="dcterms.issued" i]',
+    'meta[name="dc.date" i]',
+    'meta[name="parsely-pub-date"]',
+    'meta[name="sailthru.date"]',
+    'meta[name="pubdate"]',
+    'meta[name="date"]',
+    'meta[property="og:published_time"]'
+];
+
+// Provider metadata fields, in order of trust
+const METADATA_FIELDS = ['publicationDate', 'published', 'pubDate', 'documentDate'];
+
+/**
+ * Normalize a date value to "YYYY", "YYYY-MM" or "YYYY-MM-DD"
+ * Accepts ISO strings, "2021/05/03", PDF dates ("D:20210503120000+01'00'"), years and Dates
+ * @returns {string|null} - null when unparseable or implausible
+ */
+function normalizeDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    let normalized = null;
+    if (value instanceof Date) {
+        normalized = isNaN(value) ? null : value.toISOString().substring(0, 10);
+    } else if (typeof value === 'number') {
+        normalized = String(value);
+    } else {
+        const text = String(value).trim();
+        const pdfDate = text.match(/^D:(\d{4})(\d{2})?(\d{2})?/);
+        const isoLike = text.match(/^(\d{4})(?:[-/.](\d{1,2}))?(?:[-/.](\d{1,2}))?(?:$|[T\s])/);
+        const parts = pdfDate || isoLike;
+
+        if (parts) {
+            normalized = [parts[1], parts[2], parts[3]]
+                .filter(Boolean)
+                .map((part, idx) => idx === 0 ? part : part.padStart(2, '0'))
+                .join('-');
+        } else {
+            // Free-form dates ("May 3, 2021", RFC 822 pubDates)
+            const date = new Date(text);
+            normalized = isNaN(date) ? null : date.toISOString().substring(0, 10);
+        }
+    }
+
+    if (!normalized) return null;
+    const year = parseInt(normalized);
+    const month = parseInt(normalized.split('-')[1] || '1');
+    const day = parseInt(normalized.split('-')[2] || '1');
+    if (year < 1900 || year > new Date().getUTCFullYear() + 1 || month < 1 || month > 12) return null;
+    // Day 0 of the next month is the last day of this one
+    if (day < 1 || day > new Date(Date.UTC(year, month, 0)).getUTCDate()) return null;
+    return normalized;
+}
+
+/**
+ * First and last moment a partial date covers ("2021" spans the whole year)
+ * @returns {{start: Date, end: Date}}
+ */
+function dateRange(normalized) {
+    const [year, month, day] = normalized.split('-').map(n => parseInt(n));
+    const start = new Date(Date.UTC(year, month ? month - 1 : 0, day || 1));
+    const end = day ? new Date(Date.UTC(year, month - 1, day + 1))
+        : month ? new Date(Date.UTC(year, month, 1))
+        : new Date(Date.UTC(year + 1, 0, 1));
+    return { start, end: new Date(end - 1) };
+}
+
+/**
+ * Find datePublished (or dateCreated) in JSON-LD, walking arrays and @graph
+ */
+function findJsonLdDate(node) {
+    if (!node || typeof node !== 'object') return null;
+    if (Array.isArray(node)) {
+        for (const item of node) {
+            const found = findJsonLdDate(item);
+            if (found) return found;
+        }
+        return null;
+    }
+    return node.datePublished || node.dateCreated || findJsonLdDate(node['@graph']);
+}
+
+/**
+ * Publication date from an HTML document's meta tags, JSON-LD or <time> elements
+ * @param {Document} document - Parsed HTML document
+ * @returns {{date: string, source: string}|null}
+ */
+function dateFromHtml(document) {
+    for (const selector of META_SELECTORS) {
+        const date = normalizeDate(document.querySelector(selector)?.getAttribute('content'));
+        if (date) return { date, source: selector.match(/"([^"]+)"/)[1] };
+    }
+
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+        try {
+            const date = normalizeDate(findJsonLdDate(JSON.parse(script.textContent)));
+            if (date) return { date, source: 'JSON-LD datePublished' };
+        } catch (e) {
+            // Malformed JSON-LD is common, skip it
+        }
+    }
+
+    const time = document.querySelector('time[itemprop="datePublished"], time[pubdate]');
+    const date = normalizeDate(time?.getAttribute('datetime'));
+    return date ? { date, source: '<time> element' } : null;
+}
+
+/**
+ * Publication date from pdf-parse output: XMP metadata, then the info dictionary
+ * @param {Object} data - Result of pdf-parse (info, metadata)
+ * @returns {{date: string, source: string}|null}
+ */
+function dateFromPdf(data) {
+    const xmp = data?.metadata;
+    for (const field of ['prism:publicationdate', 'prism:coverdate', 'dc:date', 'xmp:createdate']) {
+        const date = normalizeDate(xmp?.get?.(field));
+        if (date) return { date, source: `XMP ${field}` };
+    }
+
+    const date = normalizeDate(data?.info?.CreationDate);
+    return date ? { date, source: 'PDF CreationDate' } : null;
+}
+
+/**
+ * Pick a source's publication date from its metadata
+ * Provider dates win over dates found in the document; a bare year is the last resort
+ * @param {Object} metadata - Search result metadata (publicationDate, published, pubDate, documentDate, year)
+ * @returns {{date: string, source: string}|null}
+ */
+function resolvePublishedDate(metadata) {
+    if (!metadata) return null;
+
+    for (const field of METADATA_FIELDS) {
+        const value = metadata[field];
+        // documentDate carries its own source label
+        const date = normalizeDate(value?.date ?? value);
+        if (date) return { date, source: value?.source || field };
+    }
+
+    const year = normalizeDate(metadata.year);
+    return year ? { date: year, source: 'year' } : null;
+}
+
+/**
+ * Is a publication date inside an after/before window?
+ * Partial dates pass if any part of the period they cover overlaps the window
+ * @param {string|null} published - Normalized date
+ * @param {Date|null} after
+ * @param {Date|null} before
+ * @param {boolean} keepUndated - Result for sources without a date
+ */
+function isPublishedWithin(published, after, before, keepUndated = true) {
+    if (!published) return keepUndated;
+    const { start, end } = dateRange(published);
+    if (after && end < after) return false;
+    if (before && start > before) return false;
+    return true;
+}
+
+/**
+ * Human-readable form of a normalized date ("2021", "May 2021", "3 May 2021")
+ */
+function formatPublishedDate(published) {
+    if (!published) return '';
+    const [year, month, day] = published.split('-').map(n => parseInt(n));
+    if (!month) return String(year);
+    const monthName = new Date(Date.UTC(year, month - 1, 1)).toLocaleString('en-US', { month: 'short', timeZone: 'UTC' });
+    return day ? `${day} ${monthName} ${year}` : `${monthName} ${year}`;
+}
+
+module.exports = {
+    normalizeDate,
+    dateFromHtml,
+    dateFromPdf,
+    resolvePublishedDate,
+    isPublishedWithin,
+    formatPublishedDate
+};
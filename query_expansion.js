@@ -0,0 +1,177 @@
+/**
+ * Query Expansion
+ * Builds the list of sub-queries a run harvests with: explicit sub-queries,
+ * a quoted-phrase variant, acronyms defined in the query itself ("levelized cost
+ * of energy (LCOE)"), and synonym/acronym substitutions from a synonyms file.
+ * A bare acronym ("LCOE tidal") only expands through the synonyms file.
+ */
+const fs = require('fs');
+
+const SUBQUERIES = process.env.INPUT_SUBQUERIES || '';            // extra queries, separated by "|"
+const QUERY_EXPANSION = process.env.INPUT_QUERY_EXPANSION || 'off'; // off | auto
+const SYNONYMS_FILE = process.env.INPUT_SYNONYMS_FILE || '';
+const MAX_SUBQUERIES = parseInt(process.env.INPUT_MAX_SUBQUERIES || "5");
+
+/**
+ * Parse a synonyms file
+ * One group per line, "term = synonym, synonym"; every entry in a group is
+ * interchangeable (so acronyms expand and expansions contract). "#" starts a comment.
+ *   A2AD = anti-access/area denial, anti-access area-denial
+ * @param {string} text - File contents
+ * @returns {Array<Array<string>>} - Synonym groups
+ */
+function parseSynonyms(text) {
+    return (text || '').split('\n')
+        .map(line => line.replace(/#.*$/, '').trim())
+        .filter(line => line.includes('='))
+        .map(line => {
+            const [term, synonyms] = line.split('=');
+            return [term, ...synonyms.split(',')].map(s => s.trim()).filter(Boolean);
+        })
+        .filter(group => group.length > 1);
+}
+
+function loadSynonyms(file = SYNONYMS_FILE) {
+    if (!file) return [];
+    try {
+        return parseSynonyms(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        console.log(`   ⚠️ Could not read synonyms file ${file}: ${e.message}`);
+        return [];
+    }
+}
+
+// Words acronyms usually skip ("cost of energy" -> COE or CE)
+const MINOR_WORDS = new Set(['a', 'an', 'and', 'for', 'in', 'of', 'on', 'the', 'to']);
+
+// A short token with at least two capitals ("LCOE", "A2AD", "CoE")
+const ACRONYM = /^(?=[^a-z]*[A-Z][^a-z]*[A-Z]|[A-Z][a-z]?[A-Z])[A-Za-z][A-Za-z0-9&]{1,9}$/;
+
+/**
+ * Letters an acronym stands for, with digits repeating the letter before them
+ * ("A2AD" -> "aaad", "C4ISR" -> "ccccisr")
+ */
+function acronymLetters(acronym) {
+    return acronym.toLowerCase().replace(/([a-z])(\d)/g, (_, letter, count) => letter.repeat(Number(count)))
+        .replace(/[^a-z]/g, '');
+}
+
+/**
+ * Is a word list's initials the acronym's letters, with or without its minor words?
+ * Hyphenated and slashed words count as separate words ("anti-access/area denial")
+ */
+function spellsAcronym(words, letters) {
+    const parts = words.flatMap(word => word.split(/[-/]/)).filter(Boolean);
+    const initials = (list) => list.map(part => part[0].toLowerCase()).join('');
+    return initials(parts) === letters || initials(parts.filter(part => !MINOR_WORDS.has(part.toLowerCase()))) === letters;
+}
+
+/**
+ * Acronyms defined in a query, either way round: "expansion (ACR)" or "ACR (expansion)"
+ * The expansion's initials must spell the acronym
+ * @param {string} query
+ * @returns {Array<{definition: string, acronym: string, expansion: string}>} - definition is
+ *          the matched text, acronym and parentheses included
+ */
+function findAcronymDefinitions(query) {
+    const definitions = [];
+
+    for (const match of query.matchAll(/\(([^()]+)\)/g)) {
+        const inside = match[1].trim();
+        const words = [...query.substring(0, match.index).matchAll(/\S+/g)];
+        const end = match.index + match[0].length;
+
+        if (ACRONYM.test(inside)) {
+            // expansion (ACR): the shortest run of preceding words that spells it
+            const letters = acronymLetters(inside);
+            for (let count = 2; count <= Math.min(words.length, letters.length * 2); count++) {
+                const tail = words.slice(-count);
+                if (!spellsAcronym(tail.map(w => w[0]), letters)) continue;
+                definitions.push({
+                    definition: query.substring(tail[0].index, end),
+                    acronym: inside,
+                    expansion: tail.map(w => w[0]).join(' ')
+                });
+                break;
+            }
+        } else if (words.length && ACRONYM.test(words[words.length - 1][0])) {
+            // ACR (expansion)
+            const acronym = words[words.length - 1];
+            const expansion = inside.split(/\s+/);
+            if (expansion.length > 1 && spellsAcronym(expansion, acronymLetters(acronym[0]))) {
+                definitions.push({ definition: query.substring(acronym.index, end), acronym: acronym[0], expansion: expansion.join(' ') });
+            }
+        }
+    }
+
+    return definitions;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Generate query variants
+ * @param {string} query - Main query
+ * @param {Object} options
+ * @param {Array<Array<string>>} [options.synonyms] - Synonym groups
+ * @param {boolean} [options.quotePhrase] - Add the whole query as a quoted phrase
+ * @returns {Array<string>} - Variants (not including the query itself)
+ */
+function generateVariants(query, { synonyms = [], quotePhrase = true } = {}) {
+    const variants = [];
+
+    if (quotePhrase && /\s/.test(query.trim()) && !query.includes('"')) {
+        variants.push(`"${query.trim()}"`);
+    }
+
+    // A defined acronym gives one variant with the expansion alone and one with the acronym alone
+    for (const { definition, acronym, expansion } of findAcronymDefinitions(query)) {
+        variants.push(query.replace(definition, expansion), query.replace(definition, acronym));
+    }
+
+    for (const group of synonyms) {
+        for (const term of group) {
+            const pattern = new RegExp(`(^|[^\\w])${escapeRegExp(term)}(?=$|[^\\w])`, 'i');
+            if (!pattern.test(query)) continue;
+
+            group.filter(alt => alt.toLowerCase() !== term.toLowerCase())
+                .forEach(alt => variants.push(query.replace(pattern, `$1${alt}`)));
+        }
+    }
+
+    return variants;
+}
+
+/**
+ * The sub-queries to harvest with, main query first, de-duplicated and capped
+ * @param {string} query - Main query
+ * @returns {Array<string>}
+ */
+function buildSubQueries(query) {
+    const queries = [query];
+
+    SUBQUERIES.split('|').map(q => q.trim()).filter(Boolean).forEach(q => queries.push(q));
+
+    if (QUERY_EXPANSION === 'auto') {
+        generateVariants(query, { synonyms: loadSynonyms() }).forEach(q => queries.push(q));
+    }
+
+    const seen = new Set();
+    return queries
+        .filter(q => {
+            const key = q.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, Math.max(1, MAX_SUBQUERIES));
+}
+
+module.exports = {
+    parseSynonyms,
+    findAcronymDefinitions,
+    generateVariants,
+    buildSubQueries
+};
@@ -0,0 +1,260 @@
+/**
+ * Search Provider Registry
+ * Lets search sources register themselves by name so the harvest chain
+ * can be enabled, disabled and reordered per run without editing index.js
+ */
+const path = require('path');
+const { toSearchResult, mergeResults } = require('./search_result');
+
+// Capability tags a provider can declare
+const CAPABILITIES = {
+    PDF: 'pdf',           // returns links that resolve to PDF documents
+    WEB: 'web',           // returns links to regular web pages
+    ACADEMIC: 'academic'  // scholarly index (papers, preprints)
+};
+
+// Default chains, matching the original hard-coded harvest order
+const DEFAULT_CHAINS = {
+    pdfs: 'semantic_scholar:50%,arxiv,google_scholar,google_pdf,web_search',
+    both: 'wikipedia:50%,rss,web_search'
+};
+
+const RRF_K = 60; // reciprocal-rank fusion damping constant
+
+const providers = new Map();
+
+/**
+ * Register a search provider
+ * @param {string} name - Unique provider name used in the run config (e.g. "arxiv")
+ * @param {Object} definition
+ * @param {Function} definition.search - async (query, maxLinks, context) => Array of search result records (or URL strings)
+ * @param {Array<string>} definition.capabilities - Any of CAPABILITIES
+ * @param {number|string} [definition.quota] - Default max links per run (number or "N%" of target)
+ * @param {string} [definition.label] - Human readable name for logs
+ * @param {Function} [definition.fetch] - async (result, context) => { type, title, content, sections or blocks } to fetch
+ *                                        a result's content directly; return null to fall back to the URL
+ * @param {boolean} [definition.perQuery] - false for providers whose results don't depend on the query, or that
+ *                                          are too expensive to repeat: they run once, for the main query (default true)
+ */
+function registerProvider(name, definition) {
+    if (!name || typeof definition?.search !== 'function') {
+        throw new Error(`Invalid search provider "${name}": a search function is required`);
+    }
+    if (providers.has(name)) {
+        console.log(`   ⚠️ Search provider "${name}" re-registered, replacing previous definition`);
+    }
+
+    providers.set(name, {
+        name,
+        label: definition.label || name,
+        capabilities: definition.capabilities || [],
+        quota: definition.quota ?? null,
+        search: definition.search,
+        fetch: definition.fetch || null,
+        perQuery: definition.perQuery !== false
+    });
+}
+
+function getProvider(name) {
+    return providers.get(name) || null;
+}
+
+function listProviders() {
+    return [...providers.values()];
+}
+
+/**
+ * Load third-party provider modules
+ * Each module exports either a function or an object with a register() method,
+ * which is called with this registry
+ * @param {string} modulePaths - Comma-separated module paths (relative to the working directory)
+ */
+function loadProviderModules(modulePaths) {
+    const registry = module.exports;
+
+    for (const modulePath of splitList(modulePaths)) {
+        try {
+            const mod = require(path.resolve(process.cwd(), modulePath));
+            const register = typeof mod === 'function' ? mod : mod?.register;
+            if (typeof register !== 'function') {
+                console.log(`   ⚠️ Provider module ${modulePath} has no register function, skipping`);
+                continue;
+            }
+            register(registry);
+            console.log(`   🔌 Loaded provider module: ${modulePath}`);
+        } catch (e) {
+            console.log(`   ❌ Failed to load provider module ${modulePath}: ${e.message}`);
+        }
+    }
+}
+
+function splitList(value) {
+    return (value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Turn a quota ("25", "50%") into a link count for the given target
+ */
+function resolveQuota(quota, target) {
+    if (quota === null || quota === undefined || quota === '') return target;
+
+    const str = String(quota).trim();
+    if (str.endsWith('%')) {
+        const pct = parseFloat(str);
+        return isNaN(pct) ? target : Math.ceil(target * pct / 100);
+    }
+
+    const count = parseInt(str);
+    return isNaN(count) ? target : count;
+}
+
+/**
+ * Build the ordered provider chain for a run
+ * @param {string} spec - Comma-separated "name[:quota]" entries, empty for the default chain
+ * @param {string} contentType - "pdfs" or "both"
+ * @returns {Array<{provider: Object, quota: (number|string|null)}>}
+ */
+function resolveProviderChain(spec, contentType) {
+    const entries = splitList(spec || DEFAULT_CHAINS[contentType] || DEFAULT_CHAINS.both);
+    const chain = [];
+
+    for (const entry of entries) {
+        const [name, quota] = entry.split(':').map(s => s.trim());
+        const provider = getProvider(name);
+
+        if (!provider) {
+            console.log(`   ⚠️ Unknown search provider "${name}" (available: ${[...providers.keys()].join(', ')})`);
+            continue;
+        }
+
+        // PDF-only runs can't use providers that only return web pages
+        if (contentType === 'pdfs' && !provider.capabilities.includes(CAPABILITIES.PDF)) {
+            console.log(`   ⏭️ Skipping provider "${name}": it does not return PDFs`);
+            continue;
+        }
+
+        chain.push({ provider, quota: quota || provider.quota });
+    }
+
+    return chain;
+}
+
+/**
+ * Merge ranked result lists with reciprocal-rank fusion
+ * Each list adds 1 / (k + rank) to a URL's score, so links found by several
+ * providers and queries rise above a single provider's long tail
+ * @param {Array<Array<Object>>} rankedLists - Result records, best first, one list per provider/query run
+ * @param {Object} [options]
+ * @param {number} [options.k] - Damping constant (60 is the usual choice)
+ * @param {boolean} [options.rank] - false keeps first-seen (chain) order instead of sorting by fused score
+ * @returns {Array<Object>} - Unique records sorted by fused score, each with `fusionScore` and `matches`
+ */
+function fuseResults(rankedLists, { k = RRF_K, rank = true } = {}) {
+    const fused = new Map();
+
+    for (const list of rankedLists) {
+        list.forEach((result, idx) => {
+            const position = idx + 1;
+            let entry = fused.get(result.url);
+            if (!entry) {
+                // Keep the first record seen for title/snippet/metadata
+                entry = { ...result, fusionScore: 0, matches: [] };
+                fused.set(result.url, entry);
+            }
+            entry.fusionScore += 1 / (k + position);
+            entry.matches.push({ provider: result.provider, query: result.query, rank: position });
+        });
+    }
+
+    // Stable sort: ties keep chain/query order
+    const results = [...fused.values()];
+    return rank ? results.sort((a, b) => b.fusionScore - a.fusionScore) : results;
+}
+
+/**
+ * Run the provider chain for one query until the target number of unique results is found
+ * @returns {Promise<Array<{provider: Object, records: Array<Object>}>>} - One ranked list per provider
+ */
+async function runChain(chain, query, target, context) {
+    const lists = [];
+    const seen = new Set();
+
+    for (const { provider, quota } of chain) {
+        const remaining = target - seen.size;
+        if (remaining <= 0) break;
+
+        const maxLinks = Math.min(resolveQuota(quota, target), remaining);
+        if (maxLinks <= 0) continue;
+
+        try {
+            const results = await provider.search(query, maxLinks, context);
+            const records = [];
+            mergeResults(records, (results || []).map((item, idx) =>
+                toSearchResult(item, { provider: provider.name, query, rank: idx + 1 })));
+
+            records.forEach(r => seen.add(r.url));
+            lists.push({ provider, records });
+        } catch (e) {
+            console.log(`   ❌ ${provider.label} failed: ${e.message}`);
+        }
+    }
+
+    return lists;
+}
+
+/**
+ * Harvest every sub-query across the provider chain and fuse the rankings
+ * With a single query the chain order is the ranking. With sub-queries, providers that
+ * run once (perQuery: false) only see the main query, and their results follow the
+ * fused ranking of the per-query lists instead of being fused with them
+ * @param {Array} chain - Output of resolveProviderChain
+ * @param {Array<string>|string} queries - Sub-queries (main query first)
+ * @param {number} target - Number of results wanted per sub-query
+ * @param {Object} context - Passed through to each provider (browser, contentType)
+ * @returns {Promise<Array<Object>>} - Unique search result records, best fused rank first
+ */
+async function harvestResults(chain, queries, target, context) {
+    const [mainQuery, ...subQueries] = [].concat(queries);
+    if (!subQueries.length) {
+        const lists = await runChain(chain, mainQuery, target, context);
+        return fuseResults(lists.map(list => list.records), { rank: false });
+    }
+
+    const once = chain.filter(({ provider }) => !provider.perQuery);
+    if (once.length) {
+        console.log(`   ℹ️ Run once, for the main query: ${once.map(({ provider }) => provider.name).join(', ')}`);
+    }
+
+    const rankedLists = [];
+    const onceLists = [];
+    for (const [idx, query] of [mainQuery, ...subQueries].entries()) {
+        console.log(`\n🧭 Sub-query: "${query}"`);
+        const lists = await runChain(idx === 0 ? chain : chain.filter(({ provider }) => provider.perQuery), query, target, context);
+        for (const { provider, records } of lists) {
+            (provider.perQuery ? rankedLists : onceLists).push(records);
+        }
+    }
+
+    // Links a once-run provider shares with the fused ranking keep their fused place
+    const fused = fuseResults(rankedLists);
+    const byUrl = new Map(fused.map(result => [result.url, result]));
+    for (const result of fuseResults(onceLists, { rank: false })) {
+        const existing = byUrl.get(result.url);
+        if (existing) existing.matches.push(...result.matches);
+        else fused.push(result);
+    }
+    return fused;
+}
+
+module.exports = {
+    CAPABILITIES,
+    DEFAULT_CHAINS,
+    registerProvider,
+    getProvider,
+    listProviders,
+    loadProviderModules,
+    resolveProviderChain,
+    resolveQuota,
+    fuseResults,
+    harvestResults
+};
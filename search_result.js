@@ -0,0 +1,83 @@
+/**
+ * Search Result Records
+ * Shared shape for links returned by every search provider, so the title,
+ * snippet, rank and query that produced a link travel with it into the compiled sources
+ */
+
+/**
+ * Create a search result record
+ * @param {Object} fields
+ * @param {string} fields.url - Link to fetch
+ * @param {string} [fields.title] - Result title as shown by the provider
+ * @param {string} [fields.snippet] - Result snippet/abstract as shown by the provider
+ * @param {string} [fields.provider] - Provider or engine that returned the link
+ * @param {string} [fields.query] - Query that produced the link
+ * @param {number} [fields.rank] - 1-based position in the provider's result list
+ * @param {Object} [fields.metadata] - Provider-specific extras (DOI, authors, ...)
+ * @returns {Object} - Search result record
+ */
+function createSearchResult({ url, title = '', snippet = '', provider = 'unknown', query = '', rank = null, metadata = {} }) {
+    return {
+        url,
+        title: collapseWhitespace(title),
+        snippet: collapseWhitespace(snippet),
+        provider,
+        query,
+        rank,
+        retrievedAt: new Date().toISOString(),
+        metadata
+    };
+}
+
+/**
+ * Accept either a record or a bare URL string (e.g. from older third-party providers)
+ */
+function toSearchResult(item, defaults = {}) {
+    if (typeof item === 'string') {
+        return createSearchResult({ ...defaults, url: item });
+    }
+
+    const result = createSearchResult({ ...defaults, ...item });
+    if (item.retrievedAt) result.retrievedAt = item.retrievedAt;
+    return result;
+}
+
+/**
+ * Append results whose URL isn't already present
+ * @param {Array} target - Records collected so far (modified in place)
+ * @param {Array} results - New records
+ * @param {number} [limit] - Stop once target reaches this size
+ * @returns {number} - Number of records added
+ */
+function mergeResults(target, results, limit = Infinity) {
+    let added = 0;
+    for (const result of results) {
+        if (target.length >= limit) break;
+        if (!result?.url || target.some(r => r.url === result.url)) continue;
+        target.push(result);
+        added++;
+    }
+    return added;
+}
+
+/**
+ * Fill gaps in a result's metadata from another source (DOI lookup, PDF front matter, ...)
+ * Fields the provider already supplied win; empty strings, nulls and empty arrays are gaps
+ * @returns {Object} - New result record with merged metadata
+ */
+function mergeMetadata(result, extra) {
+    const metadata = { ...(result.metadata || {}) };
+    const isEmpty = (v) => v === undefined || v === null || v === '' || (Array.isArray(v) && v.length === 0);
+
+    for (const [key, value] of Object.entries(extra || {})) {
+        if (isEmpty(metadata[key]) && !isEmpty(value)) metadata[key] = value;
+    }
+
+    return { ...result, metadata };
+}
+
+function collapseWhitespace(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = { createSearchResult, toSearchResult, mergeResults, mergeMetadata };
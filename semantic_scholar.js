@@ -0,0 +1,257 @@
+/**
+ * Semantic Scholar API Client
+ * Free Graph API search with pagination and bibliographic metadata (no auth required)
+ */
+const axios = require('axios');
+const { createSearchResult } = require('./search_result');
+
+const S2_API_URL = process.env.INPUT_S2_API_URL || 'https://api.semanticscholar.org/graph/v1';
+const S2_API_KEY = process.env.INPUT_S2_API_KEY || ''; // optional, raises rate limits
+
+// Fields requested for every paper
+const PAPER_FIELDS = [
+    'title', 'url', 'externalIds', 'openAccessPdf', 'authors', 'year', 'venue',
+    'abstract', 'citationCount', 'fieldsOfStudy', 'publicationDate'
+].join(',');
+
+// Citation snowballing
+const SNOWBALL_SEEDS = parseInt(process.env.INPUT_SNOWBALL_SEEDS || "10");      // top search hits to start from
+const SNOWBALL_DEPTH = parseInt(process.env.INPUT_SNOWBALL_DEPTH || "1");       // hops from the seeds
+const SNOWBALL_FANOUT = parseInt(process.env.INPUT_SNOWBALL_FANOUT || "100");   // references/citations read per paper
+const SNOWBALL_DIRECTION = process.env.INPUT_SNOWBALL_DIRECTION || 'both';     // both | references | citations
+
+const PAGE_SIZE = 100;          // API maximum per request
+const MAX_SEARCH_OFFSET = 1000; // relevance search can't page past this
+const PAGE_DELAY_MS = 1100;     // stay under the unauthenticated rate limit
+const MAX_RETRIES = 3;          // per request, on HTTP 429
+const MAX_RETRY_DELAY_MS = 60000;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * GET a Graph API endpoint
+ * Rate-limited requests (HTTP 429) are retried after the Retry-After delay, or an
+ * exponential back-off when the header is missing
+ * @param {string} endpoint - Path below the Graph API root (e.g. "/paper/search")
+ * @param {Object} params - Query parameters
+ */
+async function s2Get(endpoint, params) {
+    const headers = { 'User-Agent': 'ResearchBot/1.0 (Educational)' };
+    if (S2_API_KEY) headers['x-api-key'] = S2_API_KEY;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await axios.get(`${S2_API_URL}${endpoint}`, {
+                params,
+                headers,
+                timeout: 20000
+            });
+            return response.data;
+        } catch (e) {
+            if (e.response?.status !== 429 || attempt >= MAX_RETRIES) throw e;
+            const retryAfter = parseInt(e.response.headers?.['retry-after']) * 1000;
+            const wait = Math.min(retryAfter || PAGE_DELAY_MS * 2 ** (attempt + 1), MAX_RETRY_DELAY_MS);
+            console.log(`   ⏳ Semantic Scholar rate limit, retrying in ${Math.round(wait / 1000)}s...`);
+            await sleep(wait);
+        }
+    }
+}
+
+/**
+ * Best PDF link for a paper: the open access PDF, else the arXiv copy
+ */
+function paperPdfUrl(paper) {
+    if (paper.openAccessPdf?.url) return paper.openAccessPdf.url;
+    if (paper.externalIds?.ArXiv) return `https://arxiv.org/pdf/${paper.externalIds.ArXiv}.pdf`;
+    return null;
+}
+
+/**
+ * Normalize a Graph API paper into the bibliographic metadata carried on search results
+ */
+function paperToMetadata(paper) {
+    return {
+        paperId: paper.paperId,
+        title: paper.title || '',
+        authors: (paper.authors || []).map(a => a.name).filter(Boolean),
+        year: paper.year || null,
+        venue: paper.venue || '',
+        abstract: paper.abstract || '',
+        citationCount: paper.citationCount ?? null,
+        doi: paper.externalIds?.DOI || null,
+        arxivId: paper.externalIds?.ArXiv || null,
+        fieldsOfStudy: paper.fieldsOfStudy || [],
+        publicationDate: paper.publicationDate || null,
+        landingPage: paper.url || null
+    };
+}
+
+/**
+ * Turn a paper into a search result record (null if it has no PDF)
+ */
+function paperToResult(paper, query, rank) {
+    const url = paperPdfUrl(paper);
+    if (!url) return null;
+
+    const metadata = paperToMetadata(paper);
+    return createSearchResult({
+        url,
+        title: metadata.title,
+        snippet: metadata.abstract,
+        provider: 'semantic_scholar',
+        query,
+        rank,
+        metadata
+    });
+}
+
+/**
+ * Search Semantic Scholar, paging with offset until enough PDF links are found
+ * @param {string} query - Search query
+ * @param {number} maxLinks - Number of PDF results wanted
+ * @returns {Promise<Array>} - Search result records with bibliographic metadata
+ */
+async function searchSemanticScholar(query, maxLinks) {
+    const links = [];
+    console.log(`\n🔍 Searching Semantic Scholar for: "${query}"...`);
+
+    let offset = 0;
+    let papersSeen = 0;
+
+    try {
+        while (links.length < maxLinks && offset < MAX_SEARCH_OFFSET) {
+            const data = await s2Get('/paper/search', {
+                query,
+                offset,
+                limit: Math.min(PAGE_SIZE, MAX_SEARCH_OFFSET - offset),
+                fields: PAPER_FIELDS
+            });
+
+            const papers = data?.data || [];
+            if (offset === 0) console.log(`   Found ${data?.total ?? papers.length} papers`);
+
+            for (const paper of papers) {
+                papersSeen++;
+                const result = paperToResult(paper, query, papersSeen);
+                if (result && links.length < maxLinks) links.push(result);
+            }
+
+            // `next` is omitted on the last page
+            if (!papers.length || data.next === undefined) break;
+            offset = data.next;
+
+            console.log(`   📜 Page ${Math.ceil(offset / PAGE_SIZE)}: ${links.length}/${maxLinks} PDF links`);
+            await sleep(PAGE_DELAY_MS);
+        }
+
+        console.log(`   ✅ Extracted ${links.length} PDF links from ${papersSeen} Semantic Scholar papers`);
+    } catch (e) {
+        console.log(`   ❌ Semantic Scholar failed: ${e.message}`);
+    }
+
+    return links;
+}
+
+/**
+ * Follow references and citations outward from the top search hits
+ * Every paper reached is scored by how many papers in the set cite it;
+ * only open-access papers (with a PDF link) are returned
+ * @param {string} query - Search query used to pick the seed papers
+ * @param {number} maxLinks - Number of PDF results wanted
+ * @returns {Promise<Array>} - Search result records, most-cited-within-set first,
+ *                             with metadata.reachedVia ("seed", "cited by X", "references Y")
+ */
+async function snowballSemanticScholar(query, maxLinks) {
+    console.log(`\n❄️ Citation snowball from Semantic Scholar hits for: "${query}"...`);
+
+    // paperId -> { paper, score, reachedVia, depth }
+    const papers = new Map();
+    const cite = (citedPaper, citingPaper, reachedVia, depth) => {
+        if (!citedPaper?.paperId) return;
+        let entry = papers.get(citedPaper.paperId);
+        if (!entry) {
+            entry = { paper: citedPaper, score: 0, reachedVia, depth };
+            papers.set(citedPaper.paperId, entry);
+        }
+        if (citingPaper) entry.score++;
+    };
+
+    try {
+        const seedData = await s2Get('/paper/search', { query, limit: SNOWBALL_SEEDS, fields: PAPER_FIELDS });
+        const seeds = seedData?.data || [];
+        seeds.forEach(paper => cite(paper, null, 'seed', 0));
+        console.log(`   🌱 ${seeds.length} seed papers`);
+
+        let frontier = seeds;
+        for (let depth = 1; depth <= SNOWBALL_DEPTH && frontier.length; depth++) {
+            const before = papers.size;
+
+            for (const paper of frontier) {
+                const label = `"${(paper.title || paper.paperId).substring(0, 60)}"`;
+
+                // One failed lookup (after rate-limit retries) skips that list, not the snowball
+                const related = async (kind) => {
+                    await sleep(PAGE_DELAY_MS);
+                    try {
+                        const data = await s2Get(`/paper/${paper.paperId}/${kind}`, { limit: SNOWBALL_FANOUT, fields: PAPER_FIELDS });
+                        return data?.data || [];
+                    } catch (e) {
+                        console.log(`   ⚠️ ${kind} of ${label} unavailable: ${e.message}`);
+                        return [];
+                    }
+                };
+
+                if (SNOWBALL_DIRECTION !== 'citations') {
+                    // Papers this one references are "cited by" it
+                    (await related('references')).forEach(r => cite(r.citedPaper, paper, `cited by ${label}`, depth));
+                }
+
+                if (SNOWBALL_DIRECTION !== 'references') {
+                    // Papers citing this one join the set, and count as a citation of it
+                    (await related('citations')).forEach(c => {
+                        if (!c.citingPaper?.paperId) return;
+                        cite(c.citingPaper, null, `references ${label}`, depth);
+                        papers.get(paper.paperId).score++;
+                    });
+                }
+            }
+
+            // Expand only the most-cited new papers at the next level
+            frontier = [...papers.values()]
+                .filter(e => e.depth === depth)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, SNOWBALL_SEEDS)
+                .map(e => e.paper);
+
+            console.log(`   🔗 Depth ${depth}: ${papers.size - before} new papers (${papers.size} total)`);
+        }
+    } catch (e) {
+        console.log(`   ❌ Citation snowball stopped early: ${e.message}`);
+    }
+
+    const ranked = [...papers.values()]
+        .filter(e => paperPdfUrl(e.paper))
+        .sort((a, b) => b.score - a.score || (b.paper.citationCount || 0) - (a.paper.citationCount || 0))
+        .slice(0, maxLinks);
+
+    const links = ranked.map((entry, idx) => {
+        const result = paperToResult(entry.paper, query, idx + 1);
+        result.provider = 'citation_snowball';
+        result.metadata.reachedVia = entry.reachedVia;
+        result.metadata.snowballScore = entry.score;
+        return result;
+    });
+
+    console.log(`   ✅ ${links.length} open-access papers from ${papers.size} reached`);
+    return links;
+}
+
+module.exports = {
+    PAPER_FIELDS,
+    s2Get,
+    paperPdfUrl,
+    paperToMetadata,
+    paperToResult,
+    searchSemanticScholar,
+    snowballSemanticScholar
+};
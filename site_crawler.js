@@ -0,0 +1,236 @@
+/**
+ * Seeded Site Crawler
+ * Discovers documents on known sites (report libraries, publication pages)
+ * through sitemap.xml, sitemap indexes and in-page links, within depth,
+ * page-count and path-prefix limits
+ */
+const axios = require('axios');
+const { JSDOM } = require('jsdom');
+const { createSearchResult } = require('./search_result');
+const { scheduleFetch, getRobots } = require('./fetch_scheduler');
+const { decodeBody } = require('./text_encoding');
+
+const CRAWL_SEEDS = process.env.INPUT_CRAWL_SEEDS || '';               // comma-separated URLs or bare domains
+const CRAWL_DEPTH = parseInt(process.env.INPUT_CRAWL_DEPTH || "2");      // link hops from each seed
+const CRAWL_MAX_PAGES = parseInt(process.env.INPUT_CRAWL_MAX_PAGES || "200"); // pages fetched per run
+const CRAWL_PATH_PREFIX = process.env.INPUT_CRAWL_PATH_PREFIX || '';     // only follow paths starting with one of these
+const CRAWL_SITEMAPS = process.env.INPUT_CRAWL_SITEMAPS !== 'false';
+
+const MAX_SITEMAPS = 20; // sitemap files read per seed (indexes can list hundreds)
+
+// Extensions that are never documents or pages worth following
+const SKIPPED_EXTENSIONS = /\.(jpe?g|png|gif|svg|webp|ico|css|js|mjs|json|xml|zip|gz|tar|mp3|mp4|avi|mov|woff2?|ttf|eot)(\?|$)/i;
+
+/**
+ * Normalize a seed ("example.org", "https://example.org/reports/") to a URL
+ */
+function normalizeSeed(seed) {
+    const withScheme = /^https?:\/\//i.test(seed) ? seed : `https://${seed}`;
+    try {
+        return new URL(withScheme);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Strip fragments so the same page isn't crawled twice
+ */
+function canonicalize(href, base) {
+    try {
+        const url = new URL(href, base);
+        url.hash = '';
+        return url.protocol.startsWith('http') ? url.toString() : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Is a URL inside the crawl scope: same host as the seed and under an allowed path prefix
+ */
+function inScope(url, seed, prefixes) {
+    const parsed = new URL(url);
+    if (parsed.hostname !== seed.hostname) return false;
+    if (!prefixes.length) return true;
+    return prefixes.some(prefix => parsed.pathname.startsWith(prefix));
+}
+
+function isDocumentUrl(url) {
+    return /\.(pdf|docx?|pptx?|epub)(\?|$)/i.test(url);
+}
+
+async function fetchText(url) {
+    const response = await scheduleFetch(url, () => axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: 15000,
+        maxRedirects: 5,
+        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; ResearchBot/1.0)' }
+    }));
+    const contentType = response.headers['content-type'] || '';
+    return { body: decodeBody(response.data, contentType), contentType };
+}
+
+/**
+ * Parse a sitemap or sitemap index
+ * @param {string} xml - Sitemap XML
+ * @returns {{sitemaps: Array<string>, urls: Array<{url: string, lastmod: string|null}>}}
+ */
+function parseSitemap(xml) {
+    const document = new JSDOM(xml, { contentType: 'text/xml' }).window.document;
+    const locs = (selector) => [...document.querySelectorAll(selector)];
+
+    return {
+        sitemaps: locs('sitemap > loc').map(l => l.textContent.trim()).filter(Boolean),
+        urls: locs('url').map(u => ({
+            url: u.querySelector('loc')?.textContent?.trim() || '',
+            lastmod: u.querySelector('lastmod')?.textContent?.trim() || null
+        })).filter(u => u.url)
+    };
+}
+
+/**
+ * Collect URLs from a seed's sitemaps (robots.txt Sitemap: lines, then /sitemap.xml)
+ */
+async function readSitemaps(seed) {
+    // robots.txt is already cached by the fetch scheduler
+    const queue = [...(await getRobots(seed.origin)).sitemaps];
+    if (!queue.length) queue.push(new URL('/sitemap.xml', seed).toString());
+
+    const urls = [];
+    const read = new Set();
+    while (queue.length && read.size < MAX_SITEMAPS) {
+        const sitemapUrl = queue.shift();
+        if (read.has(sitemapUrl)) continue;
+        read.add(sitemapUrl);
+
+        try {
+            const { body } = await fetchText(sitemapUrl);
+            const parsed = parseSitemap(body);
+            queue.push(...parsed.sitemaps);
+            urls.push(...parsed.urls);
+        } catch (e) {
+            console.log(`   ⚠️ Sitemap unavailable: ${sitemapUrl.substring(0, 60)} (${e.message})`);
+        }
+    }
+
+    return urls;
+}
+
+/**
+ * Links on an HTML page, with their anchor text
+ */
+function extractPageLinks(html, pageUrl) {
+    const document = new JSDOM(html).window.document;
+    return [...document.querySelectorAll('a[href]')]
+        .map(a => ({ url: canonicalize(a.getAttribute('href'), pageUrl), text: a.textContent.replace(/\s+/g, ' ').trim() }))
+        .filter(l => l.url);
+}
+
+/**
+ * Crawl the configured seeds for documents
+ * Documents (PDF/Office/EPUB) are returned first, then the HTML pages visited
+ * @param {string} query - Query the crawl was run for (recorded on each result)
+ * @param {number} maxLinks - Number of results wanted
+ * @param {Object} [options] - Overrides for the INPUT_CRAWL_* settings
+ * @returns {Promise<Array>} - Search result records
+ */
+async function crawlSites(query, maxLinks, options = {}) {
+    const seeds = (options.seeds || CRAWL_SEEDS.split(',')).map(s => s.trim()).filter(Boolean);
+    const maxDepth = options.depth ?? CRAWL_DEPTH;
+    const maxPages = options.maxPages ?? CRAWL_MAX_PAGES;
+    const prefixes = (options.pathPrefix ?? CRAWL_PATH_PREFIX).split(',').map(p => p.trim()).filter(Boolean);
+
+    const documents = [];
+    const pages = [];
+    const seen = new Set();
+    let fetched = 0;
+
+    console.log(`\n🕸️ Crawling ${seeds.length} seed sites...`);
+
+    const addResult = (list, url, title, seed, via) => {
+        if (seen.has(url)) return;
+        seen.add(url);
+        list.push({ url, title, seed: seed.toString(), via });
+    };
+
+    for (const seedValue of seeds) {
+        const seed = normalizeSeed(seedValue);
+        if (!seed) {
+            console.log(`   ⚠️ Invalid crawl seed: ${seedValue}`);
+            continue;
+        }
+
+        // The seed's directory acts as the prefix when none is configured
+        const seedDir = seed.pathname.replace(/[^/]*$/, '');
+        const seedPrefixes = prefixes.length ? prefixes : (seedDir !== '/' ? [seedDir] : []);
+        const queue = [{ url: canonicalize(seed.toString()), depth: 0 }];
+
+        if (CRAWL_SITEMAPS) {
+            const sitemapUrls = await readSitemaps(seed);
+            console.log(`   🗺️ ${seed.hostname}: ${sitemapUrls.length} URLs in sitemaps`);
+            for (const { url } of sitemapUrls) {
+                const canonical = canonicalize(url);
+                if (!canonical || !inScope(canonical, seed, seedPrefixes)) continue;
+                if (isDocumentUrl(canonical)) {
+                    addResult(documents, canonical, '', seed, 'sitemap');
+                } else if (!SKIPPED_EXTENSIONS.test(canonical)) {
+                    // Sitemap pages are one hop in: they can still link to documents
+                    queue.push({ url: canonical, depth: Math.min(1, maxDepth) });
+                }
+            }
+        }
+
+        const visited = new Set();
+        while (queue.length && fetched < maxPages) {
+            const { url, depth } = queue.shift();
+            if (visited.has(url)) continue;
+            visited.add(url);
+
+            let page;
+            try {
+                page = await fetchText(url);
+                fetched++;
+            } catch (e) {
+                console.log(`   ⚠️ Crawl fetch failed: ${url.substring(0, 60)} (${e.message})`);
+                continue;
+            }
+
+            if (page.contentType.includes('pdf')) {
+                addResult(documents, url, '', seed, 'link');
+                continue;
+            }
+            if (!page.contentType.includes('html')) continue;
+
+            const title = (page.body.match(/<title[^>]*>([^<]*)<\/title>/i)?.[1] || '').trim();
+            if (depth > 0) addResult(pages, url, title, seed, 'page');
+
+            for (const link of extractPageLinks(page.body, url)) {
+                if (!inScope(link.url, seed, seedPrefixes) || SKIPPED_EXTENSIONS.test(link.url)) continue;
+                if (isDocumentUrl(link.url)) {
+                    addResult(documents, link.url, link.text, seed, `linked from ${url}`);
+                } else if (depth < maxDepth && !visited.has(link.url)) {
+                    queue.push({ url: link.url, depth: depth + 1 });
+                }
+            }
+        }
+    }
+
+    const links = [...documents, ...pages].slice(0, maxLinks).map((entry, idx) => createSearchResult({
+        url: entry.url,
+        title: entry.title,
+        provider: 'site_crawl',
+        query,
+        rank: idx + 1,
+        metadata: { seed: entry.seed, discoveredVia: entry.via }
+    }));
+
+    console.log(`   ✅ Crawl found ${documents.length} documents and ${pages.length} pages (${fetched} fetched)`);
+    return links;
+}
+
+module.exports = {
+    parseSitemap,
+    extractPageLinks,
+    crawlSites
+};
@@ -4,6 +4,7 @@
  * for bypassing bot detection on DuckDuckGo, Google, and Bing
  */
 const { chromium } = require('playwright');
+const { createSearchResult } = require('./search_result');
 
 // Stealth configuration to evade bot detection
 const STEALTH_CONFIG = {
@@ -34,6 +35,18 @@ function getRandomItem(arr) {
     return arr[Math.floor(Math.random() * arr.length)];
 }
 
+/**
+ * Add scraped {url, title, snippet} entries to an engine's result list as search result records
+ * Rank is the position at which the engine first showed the link
+ */
+function addResults(links, scraped, engine, query) {
+    scraped.forEach(r => {
+        if (!links.some(l => l.url === r.url)) {
+            links.push(createSearchResult({ ...r, provider: engine, query, rank: links.length + 1 }));
+        }
+    });
+}
+
 /**
  * Create a stealth browser context with anti-detection measures
  */
@@ -207,15 +220,20 @@ async function searchDuckDuckGoLite(query, maxLinks, context) {
                 rows.forEach(row => {
                     const link = row.querySelector('a.result-link');
                     if (link && link.href && link.href.startsWith('http')) {
-                        results.push(link.href);
+                        // Snippet sits in the row after the title row
+                        results.push({
+                            url: link.href,
+                            title: link.textContent,
+                            snippet: row.nextElementSibling?.querySelector('.result-snippet')?.textContent || ''
+                        });
                     }
                 });
 
                 // Also try standard link selectors
                 document.querySelectorAll('a[href^="http"]').forEach(a => {
                     const href = a.href;
-                    if (href && !href.includes('duckduckgo.com') && !results.includes(href)) {
-                        results.push(href);
+                    if (href && !href.includes('duckduckgo.com') && !results.some(r => r.url === href)) {
+                        results.push({ url: href, title: a.textContent, snippet: '' });
                     }
                 });
 
@@ -225,9 +243,7 @@ async function searchDuckDuckGoLite(query, maxLinks, context) {
 
         // Get initial results
         let ddgLinks = await extractLinks();
-        ddgLinks.forEach(l => {
-            if (!links.includes(l)) links.push(l);
-        });
+        addResults(links, ddgLinks, 'ddg_lite', query);
 
         // DDG Lite uses form submission for pagination - try to get more pages
         let pageNum = 1;
@@ -247,9 +263,7 @@ async function searchDuckDuckGoLite(query, maxLinks, context) {
             await page.waitForTimeout(1000 + Math.random() * 500);
 
             const newLinks = await extractLinks();
-            newLinks.forEach(l => {
-                if (!links.includes(l)) links.push(l);
-            });
+            addResults(links, newLinks, 'ddg_lite', query);
 
             pageNum++;
             console.log(`   📜 Page ${pageNum}: Total ${links.length} links`);
@@ -290,7 +304,12 @@ async function searchDuckDuckGoHTML(query, maxLinks, context) {
                 document.querySelectorAll('.result__a, .result__url, a.result-link').forEach(a => {
                     const href = a.href;
                     if (href && href.startsWith('http') && !href.includes('duckduckgo.com')) {
-                        results.push(href);
+                        const block = a.closest('.result');
+                        results.push({
+                            url: href,
+                            title: block?.querySelector('.result__a')?.textContent || a.textContent,
+                            snippet: block?.querySelector('.result__snippet')?.textContent || ''
+                        });
                     }
                 });
 
@@ -298,8 +317,8 @@ async function searchDuckDuckGoHTML(query, maxLinks, context) {
                 if (results.length === 0) {
                     document.querySelectorAll('a[href^="http"]').forEach(a => {
                         const href = a.href;
-                        if (href && !href.includes('duckduckgo.com') && !results.includes(href)) {
-                            results.push(href);
+                        if (href && !href.includes('duckduckgo.com') && !results.some(r => r.url === href)) {
+                            results.push({ url: href, title: a.textContent, snippet: '' });
                         }
                     });
                 }
@@ -310,9 +329,7 @@ async function searchDuckDuckGoHTML(query, maxLinks, context) {
 
         // Get initial results
         let ddgLinks = await extractLinks();
-        ddgLinks.forEach(l => {
-            if (!links.includes(l)) links.push(l);
-        });
+        addResults(links, ddgLinks, 'ddg_html', query);
 
         // DDG HTML version uses form-based pagination with "Next" button
         let pageNum = 1;
@@ -332,9 +349,7 @@ async function searchDuckDuckGoHTML(query, maxLinks, context) {
             await page.waitForTimeout(1000 + Math.random() * 500);
 
             const newLinks = await extractLinks();
-            newLinks.forEach(l => {
-                if (!links.includes(l)) links.push(l);
-            });
+            addResults(links, newLinks, 'ddg_html', query);
 
             pageNum++;
             console.log(`   📜 Page ${pageNum}: Total ${links.length} links`);
@@ -374,7 +389,12 @@ async function searchStartpage(query, maxLinks, context) {
                 document.querySelectorAll('.w-gl__result a.w-gl__result-title, .result a').forEach(a => {
                     const href = a.href;
                     if (href && href.startsWith('http') && !href.includes('startpage.com')) {
-                        results.push(href);
+                        const block = a.closest('.w-gl__result, .result');
+                        results.push({
+                            url: href,
+                            title: a.textContent,
+                            snippet: block?.querySelector('.w-gl__description, .description')?.textContent || ''
+                        });
                     }
                 });
                 return results;
@@ -383,18 +403,14 @@ async function searchStartpage(query, maxLinks, context) {
 
         // Get initial results
         let spLinks = await extractLinks();
-        spLinks.forEach(l => {
-            if (!links.includes(l)) links.push(l);
-        });
+        addResults(links, spLinks, 'startpage', query);
 
         // Scroll to load more results and try pagination
         await scrollForMoreResults(page, 3, 1500);
 
         // Extract links after scrolling
         spLinks = await extractLinks();
-        spLinks.forEach(l => {
-            if (!links.includes(l)) links.push(l);
-        });
+        addResults(links, spLinks, 'startpage', query);
 
         // Try to click "Next" page if available
         let pageNum = 1;
@@ -411,9 +427,7 @@ async function searchStartpage(query, maxLinks, context) {
             await page.waitForSelector('.w-gl__result', { timeout: 10000 }).catch(() => null);
 
             const newLinks = await extractLinks();
-            newLinks.forEach(l => {
-                if (!links.includes(l)) links.push(l);
-            });
+            addResults(links, newLinks, 'startpage', query);
 
             pageNum++;
             console.log(`   📜 Page ${pageNum}: Total ${links.length} links`);
@@ -455,27 +469,28 @@ async function searchBrave(query, maxLinks, context) {
                     if (href && href.startsWith('http') &&
                         !href.includes('brave.com') &&
                         !href.includes('search.brave')) {
-                        results.push(href);
+                        const block = a.closest('.snippet, .result');
+                        results.push({
+                            url: href,
+                            title: block?.querySelector('.title, .snippet-title')?.textContent || a.textContent,
+                            snippet: block?.querySelector('.snippet-description, .description')?.textContent || ''
+                        });
                     }
                 });
-                return [...new Set(results)];
+                return results;
             });
         };
 
         // Get initial results
         let braveLinks = await extractLinks();
-        braveLinks.forEach(l => {
-            if (!links.includes(l)) links.push(l);
-        });
+        addResults(links, braveLinks, 'brave', query);
 
         // Brave uses infinite scroll - scroll to load more
         await scrollForMoreResults(page, 5, 1500);
 
         // Extract links after scrolling
         braveLinks = await extractLinks();
-        braveLinks.forEach(l => {
-            if (!links.includes(l)) links.push(l);
-        });
+        addResults(links, braveLinks, 'brave', query);
 
         // Also try pagination buttons if they exist
         let pageNum = 1;
@@ -491,9 +506,7 @@ async function searchBrave(query, maxLinks, context) {
             await page.waitForTimeout(1500 + Math.random() * 500);
 
             const newLinks = await extractLinks();
-            newLinks.forEach(l => {
-                if (!links.includes(l)) links.push(l);
-            });
+            addResults(links, newLinks, 'brave', query);
 
             pageNum++;
             console.log(`   📜 Page ${pageNum}: Total ${links.length} links`);
@@ -533,27 +546,28 @@ async function searchYandex(query, maxLinks, context) {
                 document.querySelectorAll('.serp-item a, .organic__url, .link').forEach(a => {
                     const href = a.href;
                     if (href && href.startsWith('http') && !href.includes('yandex')) {
-                        results.push(href);
+                        const block = a.closest('.serp-item');
+                        results.push({
+                            url: href,
+                            title: block?.querySelector('.organic__title, h2')?.textContent || a.textContent,
+                            snippet: block?.querySelector('.organic__content-wrapper, .text-container')?.textContent || ''
+                        });
                     }
                 });
-                return [...new Set(results)];
+                return results;
             });
         };
 
         // Get initial results
         let yandexLinks = await extractLinks();
-        yandexLinks.forEach(l => {
-            if (!links.includes(l)) links.push(l);
-        });
+        addResults(links, yandexLinks, 'yandex', query);
 
         // Yandex uses "Load more" or pagination - scroll and try both
         await scrollForMoreResults(page, 4, 1500);
 
         // Extract links after scrolling
         yandexLinks = await extractLinks();
-        yandexLinks.forEach(l => {
-            if (!links.includes(l)) links.push(l);
-        });
+        addResults(links, yandexLinks, 'yandex', query);
 
         // Try pagination
         let pageNum = 1;
@@ -570,9 +584,7 @@ async function searchYandex(query, maxLinks, context) {
             await page.waitForSelector('.serp-item', { timeout: 10000 }).catch(() => null);
 
             const newLinks = await extractLinks();
-            newLinks.forEach(l => {
-                if (!links.includes(l)) links.push(l);
-            });
+            addResults(links, newLinks, 'yandex', query);
 
             pageNum++;
             console.log(`   📜 Page ${pageNum}: Total ${links.length} links`);
@@ -612,27 +624,28 @@ async function searchMojeek(query, maxLinks, context) {
                 document.querySelectorAll('.results-standard a, li.result a, a[href^="http"]').forEach(a => {
                     const href = a.href;
                     if (href && href.startsWith('http') && !href.includes('mojeek.com')) {
-                        results.push(href);
+                        const block = a.closest('li');
+                        results.push({
+                            url: href,
+                            title: block?.querySelector('h2')?.textContent || a.textContent,
+                            snippet: block?.querySelector('p.s')?.textContent || ''
+                        });
                     }
                 });
-                return [...new Set(results)];
+                return results;
             });
         };
 
         // Get initial results
         let mojeekLinks = await extractLinks();
-        mojeekLinks.forEach(l => {
-            if (!links.includes(l)) links.push(l);
-        });
+        addResults(links, mojeekLinks, 'mojeek', query);
 
         // Scroll to load more results
         await scrollForMoreResults(page, 3, 1000);
 
         // Extract links after scrolling
         mojeekLinks = await extractLinks();
-        mojeekLinks.forEach(l => {
-            if (!links.includes(l)) links.push(l);
-        });
+        addResults(links, mojeekLinks, 'mojeek', query);
 
         // Mojeek uses traditional pagination
         let pageNum = 1;
@@ -649,9 +662,7 @@ async function searchMojeek(query, maxLinks, context) {
             await page.waitForSelector('.results-standard', { timeout: 10000 }).catch(() => null);
 
             const newLinks = await extractLinks();
-            newLinks.forEach(l => {
-                if (!links.includes(l)) links.push(l);
-            });
+            addResults(links, newLinks, 'mojeek', query);
 
             pageNum++;
             console.log(`   📜 Page ${pageNum}: Total ${links.length} links`);
@@ -691,8 +702,8 @@ async function stealthSearch(query, maxLinks, browser) {
 
         try {
             const results = await fn(query, maxLinks - links.length, context);
-            results.forEach(l => {
-                if (!links.includes(l)) links.push(l);
+            results.forEach(r => {
+                if (!links.some(l => l.url === r.url)) links.push(r);
             });
         } catch (e) {
             console.log(`   ⚠️ ${name} error: ${e.message}`);
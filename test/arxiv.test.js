@@ -0,0 +1,30 @@
+/**
+ * arXiv query building and the "last-run" window
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildArXivQuery, resolveSince } = require('../arxiv');
+
+test('keeps field prefixes and quoted phrases', () => {
+    const query = buildArXivQuery('ti:"red teaming" safety', { categories: ['cs.AI', 'cs.CR'] });
+    assert.strictEqual(query, 'ti:"red teaming" AND all:safety AND (cat:cs.AI OR cat:cs.CR)');
+});
+
+test('last-run reads the recorded start time', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'arxiv-state-')), 'last');
+    fs.writeFileSync(file, '2024-05-01T06:00:00.000Z');
+    assert.strictEqual(resolveSince('last-run', file).toISOString(), '2024-05-01T06:00:00.000Z');
+});
+
+test('last-run falls back to the default window for a missing or unparseable file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'arxiv-state-'));
+    fs.writeFileSync(path.join(dir, 'bad'), 'not a date');
+    for (const file of [path.join(dir, 'bad'), path.join(dir, 'missing')]) {
+        const since = resolveSince('last-run', file);
+        assert.ok(since instanceof Date && !isNaN(since));
+        assert.ok(Date.now() - since.getTime() > 6 * 24 * 3600 * 1000);
+    }
+});
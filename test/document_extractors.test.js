@@ -0,0 +1,163 @@
+/**
+ * Document extractors: plain text paragraphs, and Word, PowerPoint and EPUB files
+ * built with JSZip
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const { extractPlainText, extractDocument } = require('../document_extractors');
+
+async function zipOf(entries) {
+    const zip = new JSZip();
+    for (const [name, content] of Object.entries(entries)) zip.file(name, content);
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+const P = 'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"';
+const CORE = (title) => `<?xml version="1.0"?><cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>${title}</dc:title></cp:coreProperties>`;
+
+const paragraph = (text, properties = '') => `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+const listItem = (text, numId, level = 0) => paragraph(text, `<w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="${numId}"/></w:numPr>`);
+const cell = (text) => `<w:tc>${paragraph(text)}</w:tc>`;
+
+test('plain text rejoins hard-wrapped paragraphs and keeps ragged lines', () => {
+    const text = [
+        '# Tidal Energy Notes',
+        '',
+        'Tidal stream turbines convert the kinetic energy of moving water',
+        'into electricity, much as wind turbines do with moving air, and',
+        'the tides make their output predictable.',
+        '',
+        'Harbour Office',
+        'Pier Road',
+        'Kirkwall',
+        '',
+        '- predictable',
+        '- renewable',
+        '',
+        '1. Survey',
+        '2) Install'
+    ].join('\r\n');
+
+    const { title, blocks } = extractPlainText(Buffer.from(text), 'text/plain; charset=utf-8');
+    assert.strictEqual(title, 'Tidal Energy Notes');
+    assert.deepStrictEqual(blocks, [
+        { type: 'heading', level: 1, text: 'Tidal Energy Notes' },
+        { type: 'paragraph', text: 'Tidal stream turbines convert the kinetic energy of moving water into electricity, much as wind turbines do with moving air, and the tides make their output predictable.' },
+        { type: 'paragraph', text: 'Harbour Office\nPier Road\nKirkwall' },
+        { type: 'list', ordered: false, items: [{ text: 'predictable', depth: 0 }, { text: 'renewable', depth: 0 }] },
+        { type: 'list', ordered: true, items: [{ text: 'Survey', depth: 0 }, { text: 'Install', depth: 0 }] }
+    ]);
+});
+
+test('plain text with a long first line has no title', () => {
+    const { title } = extractPlainText(Buffer.from(`${'word '.repeat(30)}\n\nMore.`));
+    assert.strictEqual(title, '');
+});
+
+test('Word documents keep headings, lists and tables, and drop deleted text', async () => {
+    const documentXml = `<?xml version="1.0"?><w:document ${W}><w:body>
+        ${paragraph('Tidal Survey 2024', '<w:pStyle w:val="Title"/>')}
+        ${paragraph('Methods', '<w:pStyle w:val="Heading1"/>')}
+        <w:p><w:r><w:t>Flow was </w:t></w:r><w:del><w:r><w:delText>never</w:delText></w:r></w:del><w:r><w:t>measured</w:t><w:tab/><w:t>hourly.</w:t></w:r></w:p>
+        ${listItem('Deploy the ADCP', 1)}
+        ${listItem('Check the mooring', 1, 1)}
+        ${listItem('Recover data', 1)}
+        ${listItem('Calm days only', 2)}
+        <w:sdt><w:sdtContent>${paragraph('Inside a content control.')}</w:sdtContent></w:sdt>
+        <w:tbl>
+            <w:tr><w:trPr><w:tblHeader/></w:trPr>${cell('Site')}${cell('Speed')}</w:tr>
+            <w:tr>${cell('Inner Sound')}${cell('4.5')}</w:tr>
+            <w:tr>${cell('Fall of Warness')}</w:tr>
+        </w:tbl>
+        ${paragraph('')}
+    </w:body></w:document>`;
+    const numberingXml = `<?xml version="1.0"?><w:numbering ${W}>
+        <w:abstractNum w:abstractNumId="10"><w:lvl w:ilvl="0"><w:numFmt w:val="decimal"/></w:lvl><w:lvl w:ilvl="1"><w:numFmt w:val="bullet"/></w:lvl></w:abstractNum>
+        <w:abstractNum w:abstractNumId="20"><w:lvl w:ilvl="0"><w:numFmt w:val="bullet"/></w:lvl></w:abstractNum>
+        <w:num w:numId="1"><w:abstractNumId w:val="10"/></w:num>
+        <w:num w:numId="2"><w:abstractNumId w:val="20"/></w:num>
+    </w:numbering>`;
+    const bytes = await zipOf({
+        'word/document.xml': documentXml,
+        'word/numbering.xml': numberingXml,
+        'docProps/core.xml': CORE('Microsoft Word - Document1')
+    });
+
+    const { type, title, blocks } = await extractDocument('docx', bytes);
+    assert.strictEqual(type, 'DOCX');
+    // The core title is a placeholder, so the Title-styled paragraph is used
+    assert.strictEqual(title, 'Tidal Survey 2024');
+    assert.deepStrictEqual(blocks, [
+        { type: 'heading', level: 1, text: 'Tidal Survey 2024' },
+        { type: 'heading', level: 1, text: 'Methods' },
+        { type: 'paragraph', text: 'Flow was measured hourly.' },
+        { type: 'list', ordered: true, items: [{ text: 'Deploy the ADCP', depth: 0 }] },
+        { type: 'list', ordered: false, items: [{ text: 'Check the mooring', depth: 1 }] },
+        { type: 'list', ordered: true, items: [{ text: 'Recover data', depth: 0 }] },
+        { type: 'list', ordered: false, items: [{ text: 'Calm days only', depth: 0 }] },
+        { type: 'paragraph', text: 'Inside a content control.' },
+        { type: 'table', caption: '', header: ['Site', 'Speed'], rows: [['Inner Sound', '4.5'], ['Fall of Warness', '']] }
+    ]);
+});
+
+test('slide decks get a heading per slide, in slide order', async () => {
+    const shape = (paragraphs, placeholder = '') => `<p:sp><p:nvSpPr><p:nvPr>${placeholder ? `<p:ph type="${placeholder}"/>` : ''}</p:nvPr></p:nvSpPr><p:txBody>${paragraphs.map(([text, lvl]) =>
+        `<a:p>${lvl ? `<a:pPr lvl="${lvl}"/>` : ''}<a:r><a:t>${text}</a:t></a:r></a:p>`).join('')}</p:txBody></p:sp>`;
+    const slide = (content) => `<?xml version="1.0"?><p:sld ${P}><p:cSld><p:spTree>${content}</p:spTree></p:cSld></p:sld>`;
+    const tableCell = (text) => `<a:tc><a:txBody><a:p><a:r><a:t>${text}</a:t></a:r></a:p></a:txBody></a:tc>`;
+
+    const bytes = await zipOf({
+        'ppt/presentation.xml': `<p:presentation ${P}/>`,
+        'ppt/slides/slide1.xml': slide(shape([['Tidal Power Update']], 'ctrTitle') + shape([['Orkney trials, spring 2024']])),
+        'ppt/slides/slide2.xml': slide(shape([['Results']], 'title') + shape([['Output up 12%'], ['Peak at springs', 1]]) +
+            `<p:graphicFrame><a:graphic><a:graphicData><a:tbl><a:tr>${tableCell('Month')}${tableCell('MWh')}</a:tr><a:tr>${tableCell('March')}${tableCell('310')}</a:tr></a:tbl></a:graphicData></a:graphic></p:graphicFrame>`),
+        'ppt/slides/slide10.xml': slide(shape([['Questions?']])),
+        'docProps/core.xml': CORE('Slide1.pptx')
+    });
+
+    const { type, title, blocks } = await extractDocument('pptx', bytes);
+    assert.strictEqual(type, 'PPTX');
+    assert.strictEqual(title, 'Tidal Power Update');
+    assert.deepStrictEqual(blocks, [
+        { type: 'heading', level: 2, text: 'Slide 1: Tidal Power Update' },
+        { type: 'paragraph', text: 'Orkney trials, spring 2024' },
+        { type: 'heading', level: 2, text: 'Slide 2: Results' },
+        { type: 'list', ordered: false, items: [{ text: 'Output up 12%', depth: 0 }, { text: 'Peak at springs', depth: 1 }] },
+        { type: 'table', caption: '', header: ['Month', 'MWh'], rows: [['March', '310']] },
+        { type: 'heading', level: 2, text: 'Slide 3' },
+        { type: 'paragraph', text: 'Questions?' }
+    ]);
+});
+
+test('e-books are read in spine order, skipping the navigation document', async () => {
+    const chapter = (body) => `<?xml version="1.0"?><html xmlns="http://www.w3.org/1999/xhtml"><head><title>x</title></head><body>${body}</body></html>`;
+    const bytes = await zipOf({
+        mimetype: 'application/epub+zip',
+        'META-INF/container.xml': '<?xml version="1.0"?><container xmlns="urn:oasis:names:tc:opendocument:xmlns:container"><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>',
+        'OEBPS/content.opf': `<?xml version="1.0"?><package xmlns="http://www.idpf.org/2007/opf" xmlns:dc="http://purl.org/dc/elements/1.1/">
+            <metadata><dc:title> Tides and Power </dc:title></metadata>
+            <manifest>
+                <item id="nav" href="nav.xhtml" properties="nav"/>
+                <item id="c1" href="text/chapter%201.xhtml"/>
+                <item id="c2" href="text/chapter2.xhtml"/>
+                <item id="gone" href="text/missing.xhtml"/>
+            </manifest>
+            <spine><itemref idref="nav"/><itemref idref="c2"/><itemref idref="c1"/><itemref idref="gone"/></spine>
+        </package>`,
+        'OEBPS/nav.xhtml': chapter('<nav><ol><li>Contents</li></ol></nav>'),
+        'OEBPS/text/chapter 1.xhtml': chapter('<h2>Neap Tides</h2><p>Weaker flows.</p>'),
+        'OEBPS/text/chapter2.xhtml': chapter('<h2>Spring Tides</h2><p>Stronger flows.</p>')
+    });
+
+    const { type, title, blocks } = await extractDocument('epub', bytes);
+    assert.strictEqual(type, 'EPUB');
+    assert.strictEqual(title, 'Tides and Power');
+    assert.deepStrictEqual(blocks.map(b => b.text), ['Spring Tides', 'Stronger flows.', 'Neap Tides', 'Weaker flows.']);
+    assert.deepStrictEqual(blocks.map(b => b.type), ['heading', 'paragraph', 'heading', 'paragraph']);
+});
+
+test('types without an extractor give null', async () => {
+    assert.strictEqual(await extractDocument('pdf', Buffer.from('%PDF-1.7')), null);
+});
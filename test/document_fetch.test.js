@@ -0,0 +1,51 @@
+/**
+ * Document sniffing: magic bytes and zip entries win over the Content-Type header
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const { sniffDocumentType } = require('../document_fetch');
+
+async function zipOf(entries) {
+    const zip = new JSZip();
+    for (const [name, content] of Object.entries(entries)) zip.file(name, content);
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+test('a PDF sent as application/octet-stream is a PDF', async () => {
+    const bytes = Buffer.from('%PDF-1.7\n%\xE2\xE3\xCF\xD3\n1 0 obj\n<<>>\nendobj\n', 'latin1');
+    assert.strictEqual(await sniffDocumentType(bytes, 'application/octet-stream'), 'pdf');
+    // Some servers put junk before the header; readers look for it in the first kilobyte
+    assert.strictEqual(await sniffDocumentType(Buffer.concat([Buffer.from('\r\n\r\n'), bytes]), ''), 'pdf');
+});
+
+test('zip containers are told apart by their entries, not the header', async () => {
+    const docx = await zipOf({ '[Content_Types].xml': '<Types/>', 'word/document.xml': '<w:document/>' });
+    const pptx = await zipOf({ '[Content_Types].xml': '<Types/>', 'ppt/presentation.xml': '<p:presentation/>' });
+    const epub = await zipOf({ mimetype: 'application/epub+zip', 'META-INF/container.xml': '<container/>' });
+    const other = await zipOf({ 'data.csv': 'a,b\n1,2\n' });
+
+    assert.strictEqual(await sniffDocumentType(docx, 'application/zip'), 'docx');
+    assert.strictEqual(await sniffDocumentType(pptx, 'application/octet-stream'), 'pptx');
+    assert.strictEqual(await sniffDocumentType(epub, 'application/zip'), 'epub');
+    assert.strictEqual(await sniffDocumentType(other, 'application/zip'), null);
+    // A truncated download still starts with the zip signature
+    assert.strictEqual(await sniffDocumentType(docx.subarray(0, 40), 'application/zip'), null);
+});
+
+test('binary data labelled text/html is not a document', async () => {
+    const bytes = Buffer.from([0x1F, 0x8B, 0x08, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x03, 0x3C, 0x68, 0x74, 0x6D, 0x6C]);
+    assert.strictEqual(await sniffDocumentType(bytes, 'text/html; charset=utf-8'), null);
+});
+
+test('HTML is recognised by its markup, text by its Content-Type', async () => {
+    const html = Buffer.from('\xEF\xBB\xBF<!-- cached -->\n<!DOCTYPE html><html><body>Report</body></html>', 'latin1');
+    assert.strictEqual(await sniffDocumentType(html, 'text/plain'), 'html');
+    assert.strictEqual(await sniffDocumentType(Buffer.from('<HTML><p>Report</p>'), ''), 'html');
+
+    const notes = Buffer.from('# Field notes\n\nTide tables for March.\n');
+    assert.strictEqual(await sniffDocumentType(notes, 'text/markdown; charset=utf-8'), 'txt');
+    assert.strictEqual(await sniffDocumentType(notes, 'text/plain'), 'txt');
+    assert.strictEqual(await sniffDocumentType(notes, 'application/json'), null);
+    assert.strictEqual(await sniffDocumentType(Buffer.from('<p>fragment</p>'), 'text/html'), 'html');
+});
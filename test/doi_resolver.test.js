@@ -0,0 +1,146 @@
+/**
+ * DOI resolver: Unpaywall and OpenAlex lookups against a local stand-in, the contact email
+ * requirement, and the per-run cache
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const unpaywall = {
+    doi: '10.1016/J.RENENE.2020.01.001',
+    doi_url: 'https://doi.org/10.1016/j.renene.2020.01.001',
+    is_oa: true,
+    title: 'Tidal stream resources of the Pentland Firth',
+    year: 2020,
+    journal_name: 'Renewable Energy',
+    publisher: 'Elsevier',
+    published_date: '2020-01-15',
+    z_authors: [{ given: 'Ada', family: 'Marsh' }, { raw_author_name: 'B. Quay' }],
+    best_oa_location: { url_for_pdf: null, url_for_landing_page: 'https://repo.test/123', license: 'cc-by' },
+    oa_locations: [{ url_for_pdf: null }, { url_for_pdf: 'https://repo.test/123.pdf' }]
+};
+
+const openalex = {
+    doi: 'https://doi.org/10.1016/j.renene.2020.01.001',
+    title: 'Tidal stream resources of the Pentland Firth',
+    publication_year: 2020,
+    publication_date: '2020-01-15',
+    cited_by_count: 42,
+    open_access: { is_oa: true },
+    authorships: [{ author: { display_name: 'Ada Marsh' } }, { author: {} }],
+    primary_location: { landing_page_url: 'https://publisher.test/abs', source: { display_name: 'Renewable Energy' } },
+    best_oa_location: { pdf_url: 'https://repo.test/123.pdf', landing_page_url: 'https://repo.test/123', license: 'cc-by' },
+    abstract_inverted_index: { Tidal: [0], streams: [1], are: [2], predictable: [3] }
+};
+
+const requests = [];
+const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const { pathname } = new URL(req.url, 'http://stand-in');
+    const body = pathname === '/10.1016%2Fj.renene.2020.01.001' ? unpaywall
+        : pathname === '/works/doi:10.1016/j.renene.2020.01.001' ? openalex
+        : null;
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body || { error: 'not found' }));
+});
+
+// Settings are read when the module loads, so each configuration gets a fresh copy
+function load(env) {
+    Object.assign(process.env, { INPUT_DOI_RESOLVER_URL: `http://127.0.0.1:${server.address().port}` }, env);
+    delete require.cache[require.resolve('../doi_resolver')];
+    return require('../doi_resolver');
+}
+
+async function captureLog(fn) {
+    const lines = [];
+    const log = console.log;
+    console.log = (...args) => lines.push(args.join(' '));
+    try {
+        await fn();
+    } finally {
+        console.log = log;
+    }
+    return lines;
+}
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)));
+test.after(() => server.close());
+
+test('extracts and lower-cases DOIs from links and citations', () => {
+    const { extractDOI } = load({});
+    assert.strictEqual(extractDOI('https://doi.org/10.1016/J.RENENE.2020.01.001'), '10.1016/j.renene.2020.01.001');
+    assert.strictEqual(extractDOI('doi:10.1016/j.renene.2020.01.001).'), '10.1016/j.renene.2020.01.001');
+    assert.strictEqual(extractDOI('https://publisher.test/pdf/10.1016%2Fj.renene.2020.01.001.pdf'), '10.1016/j.renene.2020.01.001');
+    assert.strictEqual(extractDOI('https://example.org/no-doi-here'), null);
+});
+
+test('resolves through Unpaywall and caches the lookup', async () => {
+    const { resolveDOI } = load({ INPUT_DOI_RESOLVER: 'unpaywall', INPUT_DOI_EMAIL: 'librarian@university.test' });
+    requests.length = 0;
+
+    const resolved = await resolveDOI('https://doi.org/10.1016/J.RENENE.2020.01.001');
+    assert.strictEqual(resolved.doi, '10.1016/j.renene.2020.01.001');
+    assert.strictEqual(resolved.isOpenAccess, true);
+    // The best location has no PDF, so the first location that does is used
+    assert.strictEqual(resolved.pdfUrl, 'https://repo.test/123.pdf');
+    assert.strictEqual(resolved.landingUrl, 'https://repo.test/123');
+    assert.deepStrictEqual(resolved.metadata.authors, ['Ada Marsh', 'B. Quay']);
+    assert.strictEqual(resolved.metadata.venue, 'Renewable Energy');
+    assert.strictEqual(resolved.metadata.license, 'cc-by');
+    assert.match(requests[0], /email=librarian%40university\.test/);
+
+    assert.strictEqual(await resolveDOI('doi:10.1016/j.renene.2020.01.001'), resolved);
+    assert.strictEqual(requests.length, 1);
+});
+
+test('a failed lookup resolves to null and is cached too', async () => {
+    const { resolveDOI } = load({ INPUT_DOI_RESOLVER: 'unpaywall', INPUT_DOI_EMAIL: 'librarian@university.test' });
+    requests.length = 0;
+
+    const lines = await captureLog(async () => {
+        assert.strictEqual(await resolveDOI('10.9999/missing'), null);
+        assert.strictEqual(await resolveDOI('10.9999/missing'), null);
+    });
+    assert.strictEqual(requests.length, 1);
+    assert.match(lines[0], /DOI lookup failed for 10\.9999\/missing/);
+});
+
+test('skips Unpaywall with one warning when no real contact email is set', async () => {
+    for (const email of ['', 'contact@example.com']) {
+        const { resolveDOI } = load({ INPUT_DOI_RESOLVER: 'unpaywall', INPUT_DOI_EMAIL: email });
+        requests.length = 0;
+
+        const lines = await captureLog(async () => {
+            assert.strictEqual(await resolveDOI('10.1016/j.renene.2020.01.001'), null);
+            assert.strictEqual(await resolveDOI('10.1000/other'), null);
+        });
+        assert.strictEqual(requests.length, 0);
+        assert.strictEqual(lines.length, 1);
+        assert.match(lines[0], /Unpaywall skipped: set INPUT_DOI_EMAIL/);
+    }
+});
+
+test('resolves through OpenAlex, with or without a contact email', async () => {
+    const { resolveDOI } = load({ INPUT_DOI_RESOLVER: 'openalex', INPUT_DOI_EMAIL: '' });
+    requests.length = 0;
+
+    const resolved = await resolveDOI('10.1016/j.renene.2020.01.001');
+    assert.strictEqual(resolved.doi, '10.1016/j.renene.2020.01.001');
+    assert.strictEqual(resolved.pdfUrl, 'https://repo.test/123.pdf');
+    assert.strictEqual(resolved.metadata.abstract, 'Tidal streams are predictable');
+    assert.deepStrictEqual(resolved.metadata.authors, ['Ada Marsh']);
+    assert.strictEqual(resolved.metadata.citationCount, 42);
+    assert.strictEqual(resolved.metadata.venue, 'Renewable Energy');
+    assert.doesNotMatch(requests[0], /mailto/);
+
+    const withEmail = load({ INPUT_DOI_RESOLVER: 'openalex', INPUT_DOI_EMAIL: 'librarian@university.test' });
+    await withEmail.resolveDOI('10.1016/j.renene.2020.01.001');
+    assert.match(requests[1], /mailto=librarian%40university\.test/);
+});
+
+test('resolves nothing when the resolver is off', async () => {
+    const { resolveDOI } = load({ INPUT_DOI_RESOLVER: 'off', INPUT_DOI_EMAIL: 'librarian@university.test' });
+    requests.length = 0;
+    assert.strictEqual(await resolveDOI('10.1016/j.renene.2020.01.001'), null);
+    assert.strictEqual(requests.length, 0);
+});
@@ -0,0 +1,57 @@
+/**
+ * Europe PMC full text: JATS parsing of a recorded article, and the fetch against a local stand-in
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const xml = fs.readFileSync(path.join(__dirname, 'fixtures', 'europe_pmc', 'PMC7000001.xml'), 'utf8');
+
+const server = http.createServer((req, res) => {
+    if (req.url.startsWith('/PMC7000001/fullTextXML')) {
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        res.end(xml);
+    } else {
+        res.writeHead(404);
+        res.end();
+    }
+});
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    process.env.INPUT_EUROPE_PMC_URL = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+})));
+test.after(() => server.close());
+
+test('parses title, abstract and nested sections', () => {
+    const { parseJATS } = require('../europe_pmc');
+    const { title, abstract, sections } = parseJATS(xml);
+
+    assert.strictEqual(title, 'Tidal stream resources of the Pentland Firth');
+    assert.strictEqual(abstract, 'Tidal streams are a predictable renewable resource.\n\nWe estimate a mean extractable power of 1.9 GW.');
+    assert.deepStrictEqual(sections, [
+        { heading: '', level: 1, paragraphs: ['Loose introductory paragraph before the first section.'] },
+        { heading: 'Introduction', level: 1, paragraphs: ['Marine energy has drawn interest [1] since the 1960s.'] },
+        { heading: 'Study site', level: 2, paragraphs: ['The channel is 20 km long.'] },
+        { heading: 'Methods', level: 1, paragraphs: ['We ran a depth-averaged model.'] }
+    ]);
+});
+
+test('fetches full text and puts the abstract first', async () => {
+    const { fetchEuropePMCFullText } = require('../europe_pmc');
+    const fetched = await fetchEuropePMCFullText({ url: 'https://europepmc.org/article/PMC/PMC7000001', metadata: { pmcid: 'PMC7000001', title: 'Fallback' } });
+
+    assert.strictEqual(fetched.type, 'ARTICLE');
+    assert.strictEqual(fetched.title, 'Tidal stream resources of the Pentland Firth');
+    assert.strictEqual(fetched.sections[0].heading, 'Abstract');
+    assert.match(fetched.content, /^Abstract\n\nTidal streams/);
+    assert.doesNotMatch(fetched.content, /harbour authority|Map of the study site|Depth/);
+});
+
+test('missing full text falls back to the URL', async () => {
+    const { fetchEuropePMCFullText } = require('../europe_pmc');
+    assert.strictEqual(await fetchEuropePMCFullText({ metadata: { pmcid: 'PMC0000000' } }), null);
+    assert.strictEqual(await fetchEuropePMCFullText({ metadata: {} }), null);
+});
@@ -0,0 +1,123 @@
+/**
+ * Fetch scheduler: robots.txt parsing, group selection and rule precedence, and the
+ * per-host queue against local stand-in hosts
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+process.env.INPUT_DOMAIN_INTERVAL_MS = '20';
+process.env.INPUT_MAX_CRAWL_DELAY = '5';
+const { parseRobots, selectGroup, checkRules, scheduleFetch, getSkippedFetches } = require('../fetch_scheduler');
+
+const ROBOTS = `# Stand-in robots.txt
+User-agent: bot
+Disallow: /
+
+User-agent: ResearchBot/2.0
+User-agent: OtherBot
+Disallow: /private/
+Allow: /private/reports/
+Crawl-delay: 0.2
+
+User-agent: *
+Disallow: /search
+Disallow: /*.php$
+
+Sitemap: https://site.test/sitemap.xml
+`;
+
+function standIn(robots, status = 200) {
+    return http.createServer((req, res) => {
+        res.writeHead(req.url === '/robots.txt' ? status : 404, { 'Content-Type': 'text/plain' });
+        res.end(req.url === '/robots.txt' ? robots : '');
+    });
+}
+
+const slowHost = standIn(ROBOTS);
+const otherHost = standIn('User-agent: *\nDisallow:\n');
+const brokenHost = standIn('', 503);
+const origin = server => `http://127.0.0.1:${server.address().port}`;
+
+test.before(() => Promise.all([slowHost, otherHost, brokenHost].map(server =>
+    new Promise(resolve => server.listen(0, '127.0.0.1', resolve)))));
+test.after(() => [slowHost, otherHost, brokenHost].forEach(server => server.close()));
+
+test('parses groups, shared user-agent lines, crawl delays and sitemaps', () => {
+    const { groups, sitemaps } = parseRobots(ROBOTS);
+
+    assert.strictEqual(groups.length, 3);
+    assert.deepStrictEqual(groups[1].agents, ['researchbot/2.0', 'otherbot']);
+    assert.deepStrictEqual(groups[1].rules, [
+        { allow: false, path: '/private/' },
+        { allow: true, path: '/private/reports/' }
+    ]);
+    assert.strictEqual(groups[1].crawlDelay, 0.2);
+    assert.deepStrictEqual(groups[2].rules.map(r => r.path), ['/search', '/*.php$']);
+    assert.deepStrictEqual(sitemaps, ['https://site.test/sitemap.xml']);
+});
+
+test('selects groups by whole product token, not by substring', () => {
+    const { groups } = parseRobots(ROBOTS);
+
+    assert.strictEqual(selectGroup(groups, 'ResearchBot'), groups[1]);
+    assert.strictEqual(selectGroup(groups, 'researchbot/1.0'), groups[1]);
+    assert.strictEqual(selectGroup(groups, 'Bot'), groups[0]);
+    assert.strictEqual(selectGroup(groups, 'SearchBot'), groups[2]);
+    assert.strictEqual(selectGroup(parseRobots('User-agent: bot\nDisallow: /').groups, 'ResearchBot'), null);
+});
+
+test('combines every group that names the agent', () => {
+    const { groups } = parseRobots('User-agent: ResearchBot\nDisallow: /a\n\nUser-agent: *\nDisallow: /b\n\nUser-agent: researchbot\nDisallow: /c\nCrawl-delay: 2\n');
+    const group = selectGroup(groups, 'ResearchBot');
+
+    assert.deepStrictEqual(group.rules.map(r => r.path), ['/a', '/c']);
+    assert.strictEqual(group.crawlDelay, 2);
+});
+
+test('the longest matching rule wins, and Allow wins a tie', () => {
+    const { groups } = parseRobots(ROBOTS);
+
+    assert.strictEqual(checkRules(groups[1], '/private/notes.html').allowed, false);
+    assert.strictEqual(checkRules(groups[1], '/private/reports/2024.pdf').allowed, true);
+    assert.strictEqual(checkRules(groups[2], '/search?q=tides').allowed, false);
+    assert.strictEqual(checkRules(groups[2], '/index.php').allowed, false);
+    assert.strictEqual(checkRules(groups[2], '/index.php?page=2').allowed, true);
+    assert.strictEqual(checkRules(null, '/anything').allowed, true);
+
+    const tie = parseRobots('User-agent: *\nDisallow: /docs\nAllow: /docs\n').groups[0];
+    assert.strictEqual(checkRules(tie, '/docs/a.pdf').allowed, true);
+});
+
+test('runs a host\'s fetches in call order, spaced by its Crawl-delay', async () => {
+    const started = [];
+    const fetch = (url, label) => scheduleFetch(url, async () => {
+        started.push({ label, at: Date.now() });
+        return label;
+    });
+
+    const results = await Promise.all([
+        fetch(`${origin(slowHost)}/a.pdf`, 'a'),
+        fetch(`${origin(slowHost)}/b.pdf`, 'b'),
+        fetch(`${origin(slowHost)}/c.pdf`, 'c')
+    ]);
+
+    assert.deepStrictEqual(results, ['a', 'b', 'c']);
+    assert.deepStrictEqual(started.map(s => s.label), ['a', 'b', 'c']);
+    // Crawl-delay 0.2s outweighs the 20ms default interval (timers may fire a millisecond early)
+    assert.ok(started[1].at - started[0].at >= 195, `gap ${started[1].at - started[0].at}ms`);
+    assert.ok(started[2].at - started[1].at >= 195, `gap ${started[2].at - started[1].at}ms`);
+});
+
+test('rejects and records disallowed URLs, and hosts whose robots.txt fails', async () => {
+    const disallowed = `${origin(slowHost)}/private/notes.html`;
+    const broken = `${origin(brokenHost)}/paper.pdf`;
+    let ran = false;
+
+    await assert.rejects(scheduleFetch(disallowed, async () => { ran = true; }), /Disallow: \/private\/ \(User-agent: researchbot\/2\.0, otherbot\)/);
+    await assert.rejects(scheduleFetch(broken, async () => { ran = true; }), /robots\.txt returned HTTP 503/);
+    assert.strictEqual(ran, false);
+
+    assert.deepStrictEqual(getSkippedFetches().map(s => s.url), [disallowed, broken]);
+    assert.strictEqual(await scheduleFetch(`${origin(otherHost)}/paper.pdf`, async () => 'ok'), 'ok');
+});
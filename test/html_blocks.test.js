@@ -0,0 +1,24 @@
+/**
+ * Block extraction and table export
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractBlocks, tableToCSV } = require('../html_blocks');
+
+test('reads data tables with a header row', () => {
+    const [table] = extractBlocks('<table><caption>Output</caption><tr><th>Year</th><th>GW</th></tr><tr><td>2020</td><td>12</td></tr></table>');
+    assert.deepStrictEqual(table, { type: 'table', caption: 'Output', header: ['Year', 'GW'], rows: [['2020', '12']] });
+});
+
+test('CSV quotes cells with separators and neutralizes formulas', () => {
+    const csv = tableToCSV({
+        header: ['Name', 'Value'],
+        rows: [['=HYPERLINK("http://x.test")', '-3.5'], ['+1 555', '@SUM(A1)'], ['a, b', '-cmd|calc']]
+    });
+    assert.strictEqual(csv, [
+        'Name,Value',
+        `"'=HYPERLINK(""http://x.test"")",-3.5`,
+        `'+1 555,'@SUM(A1)`,
+        `"a, b",'-cmd|calc`
+    ].join('\r\n') + '\r\n');
+});
@@ -0,0 +1,89 @@
+/**
+ * Figure capture and the asset cache, against the images in fixtures/images
+ * served by a local stand-in
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const ASSET_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'research-assets-'));
+process.env.INPUT_ASSET_DIR = ASSET_DIR;
+process.env.INPUT_CAPTURE_IMAGES = 'true';
+process.env.INPUT_MAX_IMAGES = '2';
+process.env.INPUT_DOMAIN_INTERVAL_MS = '0';
+const { sniffImageType, imageSize, findCachedAsset, loadImage, captureImages } = require('../image_assets');
+
+const IMAGES = path.join(__dirname, 'fixtures', 'images');
+const read = (name) => fs.readFileSync(path.join(IMAGES, name));
+const requests = [];
+let origin;
+
+// Every image is served as application/octet-stream: the type comes from the bytes
+const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const file = path.join(IMAGES, path.basename(req.url));
+    if (!fs.existsSync(file)) {
+        res.writeHead(404);
+        return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+    res.end(fs.readFileSync(file));
+});
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    origin = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+})));
+test.after(() => {
+    server.close();
+    fs.rmSync(ASSET_DIR, { recursive: true, force: true });
+});
+
+test('sniffs JPEG and PNG and reads their size', () => {
+    assert.strictEqual(sniffImageType(read('photo.jpg')), 'jpeg');
+    assert.strictEqual(sniffImageType(read('chart.png')), 'png');
+    assert.strictEqual(sniffImageType(read('animation.gif')), null);
+    assert.deepStrictEqual(imageSize(read('photo.jpg'), 'jpeg'), { width: 200, height: 150 });
+    assert.deepStrictEqual(imageSize(read('chart.png'), 'png'), { width: 240, height: 160 });
+});
+
+test('downloads into the cache once, then reads the cached file', async () => {
+    const url = `${origin}/photo.jpg`;
+    const first = await loadImage(url);
+    assert.deepStrictEqual(first, { file: findCachedAsset(url), width: 200, height: 150 });
+    assert.strictEqual(path.extname(first.file), '.jpg');
+
+    const fetches = requests.length;
+    assert.deepStrictEqual(await loadImage(url), first);
+    assert.strictEqual(requests.length, fetches);
+});
+
+test('serves dropped-in fixtures without fetching', async () => {
+    const url = 'https://figures.example.org/offline/chart.png';
+    const file = path.join(ASSET_DIR, crypto.createHash('sha1').update(url).digest('hex') + '.png');
+    fs.copyFileSync(path.join(IMAGES, 'chart.png'), file);
+    assert.deepStrictEqual(await loadImage(url), { file, width: 240, height: 160 });
+});
+
+test('skips icons, other formats and missing images, and caches nothing for them', async () => {
+    for (const name of ['icon.png', 'animation.gif', 'missing.png']) {
+        assert.strictEqual(await loadImage(`${origin}/${name}`), null);
+        assert.strictEqual(findCachedAsset(`${origin}/${name}`), null);
+    }
+});
+
+test('captures figures up to the per-source limit', async () => {
+    const blocks = await captureImages([
+        { type: 'paragraph', text: 'Intro' },
+        { type: 'figure', src: `${origin}/icon.png`, alt: '', caption: 'Logo' },
+        { type: 'figure', src: `${origin}/photo.jpg`, alt: '', caption: 'Barrage' },
+        { type: 'figure', src: `${origin}/chart.png`, alt: '', caption: 'Output' },
+        { type: 'figure', src: 'https://figures.example.org/offline/chart.png', alt: '', caption: 'Third' }
+    ]);
+    assert.deepStrictEqual(blocks.map(block => Boolean(block.file)), [false, false, true, true, false]);
+    assert.strictEqual(blocks[3].width, 240);
+});
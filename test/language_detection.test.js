@@ -0,0 +1,48 @@
+/**
+ * Language detection on fixed samples, the short-text fallback, and the accepted-languages filter
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.INPUT_LANGUAGES = 'en, DE';
+const { detectLanguage, isAcceptedLanguage } = require('../language_detection');
+
+const SAMPLES = {
+    en: 'Tidal stream turbines convert the kinetic energy of moving water into electricity. Because the tides follow the moon, their output can be predicted years in advance.',
+    de: 'Gezeitenströmungsturbinen wandeln die Bewegungsenergie des fließenden Wassers in Strom um. Weil die Gezeiten dem Mond folgen, lässt sich ihre Leistung Jahre im Voraus vorhersagen.',
+    fr: 'Les hydroliennes transforment l\'énergie cinétique des courants de marée en électricité. Comme les marées suivent la lune, leur production peut être prévue des années à l\'avance.',
+    es: 'Las turbinas de corriente de marea convierten la energía cinética del agua en movimiento en electricidad. Como las mareas siguen a la luna, su producción puede predecirse con años de antelación.',
+    ru: 'Приливные турбины преобразуют кинетическую энергию движущейся воды в электричество. Поскольку приливы следуют за луной, их выработку можно предсказать на годы вперёд.'
+};
+
+test('identifies fixed samples, with ISO 639-1 and 639-3 codes', () => {
+    assert.deepStrictEqual(detectLanguage(SAMPLES.en), { language: 'en', code: 'eng' });
+    assert.deepStrictEqual(detectLanguage(SAMPLES.de), { language: 'de', code: 'deu' });
+    assert.deepStrictEqual(detectLanguage(SAMPLES.fr), { language: 'fr', code: 'fra' });
+    assert.deepStrictEqual(detectLanguage(SAMPLES.es), { language: 'es', code: 'spa' });
+    assert.deepStrictEqual(detectLanguage(SAMPLES.ru), { language: 'ru', code: 'rus' });
+});
+
+test('short or empty texts are undetermined', () => {
+    const und = { language: 'und', code: 'und' };
+    assert.deepStrictEqual(detectLanguage('Tidal power is predictable.'), und);
+    // Whitespace doesn't count towards the minimum length
+    assert.deepStrictEqual(detectLanguage(`Tidal   power\n\n\n\n is ${' '.repeat(60)} predictable.`), und);
+    assert.deepStrictEqual(detectLanguage(''), und);
+    assert.deepStrictEqual(detectLanguage(null), und);
+});
+
+test('filters on INPUT_LANGUAGES, in either code form and any case', () => {
+    assert.strictEqual(isAcceptedLanguage(detectLanguage(SAMPLES.en)), true);
+    assert.strictEqual(isAcceptedLanguage(detectLanguage(SAMPLES.de)), true);
+    assert.strictEqual(isAcceptedLanguage(detectLanguage(SAMPLES.fr)), false);
+    assert.strictEqual(isAcceptedLanguage(detectLanguage(SAMPLES.ru), 'rus,ukr'), true);
+    assert.strictEqual(isAcceptedLanguage(detectLanguage(SAMPLES.es), 'en'), false);
+});
+
+test('undetermined documents and an empty list pass the filter', () => {
+    assert.strictEqual(isAcceptedLanguage(detectLanguage('Kurz.')), true);
+    assert.strictEqual(isAcceptedLanguage(null), true);
+    assert.strictEqual(isAcceptedLanguage(detectLanguage(SAMPLES.fr), ''), true);
+    assert.strictEqual(isAcceptedLanguage(detectLanguage(SAMPLES.fr), ' , '), true);
+});
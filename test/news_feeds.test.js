@@ -0,0 +1,64 @@
+/**
+ * Aggregator link resolution without network access: redirect parameters and Google News IDs,
+ * and a Google News search feed served by a local stand-in
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { resolvePublisherUrl } = require('../news_feeds');
+
+// Google News article ID: protobuf field 1 = 19, field 4 = payload, then a trailing field
+const googleNewsId = (payload) => Buffer.concat([
+    Buffer.from([0x08, 0x13, 0x22, payload.length]), Buffer.from(payload), Buffer.from([0xd2, 0x01, 0x00])
+]).toString('base64url');
+
+test('decodes Google News IDs that embed the publisher URL', async () => {
+    const url = 'https://www.example.org/energy/2024/tidal-power-record.html';
+    assert.strictEqual(await resolvePublisherUrl(`https://news.google.com/rss/articles/${googleNewsId(url)}?oc=5`), url);
+});
+
+test('gives null for Google News links whose IDs are opaque tokens', async () => {
+    const link = `https://news.google.com/rss/articles/${googleNewsId('AU_yqLPxOpaqueTokenWithoutTheUrl')}?oc=5`;
+    assert.strictEqual(await resolvePublisherUrl(link), null);
+});
+
+test('reads redirect parameters and leaves publisher links alone', async () => {
+    assert.strictEqual(
+        await resolvePublisherUrl('https://www.bing.com/news/apiclick.aspx?url=https%3A%2F%2Fnews.example.org%2Fstory&c=1'),
+        'https://news.example.org/story'
+    );
+    assert.strictEqual(await resolvePublisherUrl('https://news.example.org/story'), 'https://news.example.org/story');
+});
+
+test('drops and reports feed items whose Google News links cannot be resolved', async () => {
+    const url = 'https://www.example.org/energy/2024/tidal-power-record.html';
+    const item = (id, title) => `<item><title>${title}</title><link>https://news.google.com/rss/articles/${googleNewsId(id)}?oc=5</link></item>`;
+    const rss = `<?xml version="1.0"?><rss version="2.0"><channel><title>Google News</title>
+        ${item(url, 'Tidal power record')}
+        ${item('AU_yqLPxOpaqueTokenWithoutTheUrl', 'Opaque one')}
+        ${item('AU_yqLPxAnotherOpaqueToken', 'Opaque two')}
+    </channel></rss>`;
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/rss+xml; charset=utf-8' });
+        res.end(rss);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const lines = [];
+    const log = console.log;
+    console.log = (...args) => lines.push(args.join(' '));
+    let results;
+    try {
+        process.env.INPUT_FEEDS = `http://127.0.0.1:${server.address().port}/rss/search?q={query}`;
+        // Feeds are read when the module loads
+        delete require.cache[require.resolve('../news_feeds')];
+        results = await require('../news_feeds').searchRSSFeeds('tidal power', 10);
+    } finally {
+        console.log = log;
+        server.close();
+    }
+
+    assert.deepStrictEqual(results.map(r => r.url), [url]);
+    assert.ok(results[0].metadata.aggregatorUrl.startsWith('https://news.google.com/rss/articles/'));
+    assert.ok(lines.some(line => /Skipped 2 Google News link\(s\) that don't embed the publisher URL/.test(line)), lines.join('\n'));
+});
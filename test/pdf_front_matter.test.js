@@ -0,0 +1,43 @@
+/**
+ * Title detection on scholarly front matter, and the sample volume in research_text
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseFrontMatter } = require('../pdf_front_matter');
+const { extractPdfText } = require('../pdf_text');
+
+// Lines top to bottom on an A4 page: [text, size]
+const frontPage = (lines) => ({
+    width: 595, height: 842, sideText: '',
+    lines: lines.map(([text, size], i) => ({ text, size, y: 780 - i * 20, column: 0 }))
+});
+const BODY = 'Tidal stream energy is a predictable resource, and this paper compares models of the extractable power.';
+
+test('takes the title from before the abstract, not a larger heading after it', () => {
+    const { title } = parseFrontMatter({
+        frontPages: [frontPage([
+            ['Tidal Stream Resources of the', 14], ['Pentland Firth', 14], ['Ada Lovelace, Mary Somerville', 10],
+            ['Abstract', 10], [BODY, 10], [BODY, 10], ['2 Methods', 18], [BODY, 10], [BODY, 10]
+        ])],
+        pages: [''],
+        info: {}
+    });
+    assert.strictEqual(title, 'Tidal Stream Resources of the Pentland Firth');
+});
+
+test('prefers an embedded title that matches the printed one', () => {
+    const page = frontPage([['TIDAL STREAM RESOURCES', 18], ['Ada Lovelace', 10], [BODY, 10], [BODY, 10]]);
+    const parse = (Title) => parseFrontMatter({ frontPages: [page], pages: [''], info: { Title } }).title;
+
+    assert.strictEqual(parse('Tidal Stream Resources of the Pentland Firth'), 'Tidal Stream Resources of the Pentland Firth');
+    assert.strictEqual(parse('Annual report of the harbour board'), 'TIDAL STREAM RESOURCES');
+    assert.strictEqual(parse('Microsoft Word - tidal_v3.docx'), 'TIDAL STREAM RESOURCES');
+});
+
+test('reads the title of the sample volume', async () => {
+    const bytes = fs.readFileSync(path.join(__dirname, '..', 'research_text', 'a2ad_complex_Research_File_1.pdf'));
+    const { title } = parseFrontMatter(await extractPdfText(bytes));
+    assert.strictEqual(title, 'a2ad complex - Research Compilation Volume 1');
+});
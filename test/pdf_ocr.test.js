@@ -0,0 +1,30 @@
+/**
+ * OCR page selection and Tesseract TSV parsing (recorded output in fixtures/ocr)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { pagesNeedingOcr, parseTsv, ocrPdf } = require('../pdf_ocr');
+
+const prose = (words) => Array.from({ length: words }, (_, i) => `word${i}`).join(' ');
+
+test('picks pages with missing, thin or garbled text layers', () => {
+    const garbled = Array.from({ length: 40 }, () => 'Ý#¤$%&*').join(' ');
+    assert.deepStrictEqual(pagesNeedingOcr([prose(60), '', prose(10), garbled, prose(25)]), [1, 2, 3]);
+});
+
+test('joins words into lines and paragraphs, undoing hyphenation', () => {
+    const { text, confidences } = parseTsv(fs.readFileSync(path.join(__dirname, 'fixtures', 'ocr', 'page.tsv'), 'utf8'));
+    assert.strictEqual(text, 'Tidal stream energy is predictable and renewable.\n\nCapacity 254 MW');
+    // The low-confidence speck ("~") and the empty word are dropped
+    assert.strictEqual(confidences.length, 11);
+});
+
+test('parses empty output', () => {
+    assert.deepStrictEqual(parseTsv('level\tpage_num\n'), { text: '', confidences: [] });
+});
+
+test('does nothing without pages to read', async () => {
+    assert.strictEqual(await ocrPdf(Buffer.from('%PDF-1.4'), []), null);
+});
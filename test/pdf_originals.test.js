@@ -0,0 +1,125 @@
+/**
+ * Original PDFs: keeping and measuring downloads, drawing their pages into a volume's
+ * reserved pages, and the volume's page labels, read back with pdf-lib
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, PDFName, PDFDict, PDFArray, PDFNumber, PDFString, StandardFonts, degrees } = require('pdf-lib');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'originals-test-'));
+process.env.INPUT_EMBED_ORIGINAL = 'pages';
+process.env.INPUT_ORIGINALS_DIR = path.join(dir, 'kept');
+process.env.INPUT_MAX_ORIGINAL_PAGES = '3';
+const { saveOriginal, inspectOriginal, drawOriginalPages } = require('../pdf_originals');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * A PDF with one page per size, each showing its page number
+ */
+async function makePdf(sizes, { rotate = {}, crop = {} } = {}) {
+    const doc = await PDFDocument.create();
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    sizes.forEach(([width, height], i) => {
+        const page = doc.addPage([width, height]);
+        page.drawText(`Original page ${i + 1}`, { x: 40, y: height / 2, size: 14, font });
+        if (rotate[i]) page.setRotation(degrees(rotate[i]));
+        if (crop[i]) page.setCropBox(...crop[i]);
+    });
+    return Buffer.from(await doc.save());
+}
+
+/**
+ * The volume's /PageLabels number tree as [pageIndex, {S, P, St}] pairs
+ */
+function readLabels(volume) {
+    const nums = volume.catalog.lookup(PDFName.of('PageLabels'), PDFDict).lookup(PDFName.of('Nums'), PDFArray).asArray();
+    const labels = [];
+    for (let i = 0; i < nums.length; i += 2) {
+        const dict = volume.context.lookup(nums[i + 1], PDFDict);
+        const label = { S: dict.get(PDFName.of('S')).decodeText() };
+        if (dict.has(PDFName.of('P'))) label.P = dict.lookup(PDFName.of('P'), PDFString).decodeText();
+        if (dict.has(PDFName.of('St'))) label.St = dict.lookup(PDFName.of('St'), PDFNumber).asNumber();
+        labels.push([nums[i].asNumber(), label]);
+    }
+    return labels;
+}
+
+const xObjects = (page) => page.node.Resources()?.lookupMaybe(PDFName.of('XObject'), PDFDict)?.keys().length || 0;
+const fonts = (page) => page.node.Resources()?.lookupMaybe(PDFName.of('Font'), PDFDict)?.keys().length || 0;
+
+test('keeps downloads outside the output tree and measures their visible pages', async () => {
+    const bytes = await makePdf([[612, 792], [842, 595], [500, 500], [612, 792]], { crop: { 2: [50, 50, 300, 200] } });
+    const file = saveOriginal('https://repo.test/paper.pdf', bytes);
+
+    assert.strictEqual(path.dirname(file), path.join(dir, 'kept'));
+    assert.strictEqual(saveOriginal('https://repo.test/paper.pdf', bytes), file);
+    assert.deepStrictEqual(await inspectOriginal(file), {
+        pageCount: 4,
+        // Only the first INPUT_MAX_ORIGINAL_PAGES pages, at their crop box size
+        pages: [{ width: 612, height: 792 }, { width: 842, height: 595 }, { width: 300, height: 200 }]
+    });
+});
+
+test('unreadable originals give null', async () => {
+    const broken = path.join(dir, 'broken.pdf');
+    fs.writeFileSync(broken, '%PDF-1.7\nnot really a PDF');
+    assert.strictEqual(await inspectOriginal(broken), null);
+});
+
+test('draws original pages onto the reserved pages and labels them by source', async () => {
+    // A volume of 8 pages: source 1's two originals at indexes 2-3, source 4's one at index 6
+    const volumeFile = path.join(dir, 'volume.pdf');
+    fs.writeFileSync(volumeFile, await makePdf(Array(8).fill([612, 792])));
+    const first = saveOriginal('https://repo.test/first.pdf', await makePdf([[612, 792], [792, 612], [612, 792]], { rotate: { 1: 90 } }));
+    const second = saveOriginal('https://repo.test/second.pdf', await makePdf([[612, 792]]));
+
+    // Placements arrive in source order, not page order
+    await drawOriginalPages(volumeFile, [
+        { number: 4, file: second, pages: [6] },
+        { number: 1, file: first, pages: [2, 3] }
+    ]);
+
+    const volume = await PDFDocument.load(fs.readFileSync(volumeFile));
+    assert.strictEqual(volume.getPageCount(), 8);
+    assert.deepStrictEqual(volume.getPages().map(xObjects), [0, 0, 1, 1, 0, 0, 1, 0]);
+    assert.deepStrictEqual(volume.getPages().map(page => page.getRotation().angle), [0, 0, 0, 90, 0, 0, 0, 0]);
+    assert.deepStrictEqual(readLabels(volume), [
+        [0, { S: 'D' }],
+        [2, { S: 'D', P: 'S1 p.', St: 1 }],
+        [4, { S: 'D', St: 5 }],
+        [6, { S: 'D', P: 'S4 p.', St: 1 }],
+        [7, { S: 'D', St: 8 }]
+    ]);
+});
+
+test('an original ending the volume needs no label after it, and a broken one leaves a notice', async () => {
+    const volumeFile = path.join(dir, 'volume-end.pdf');
+    fs.writeFileSync(volumeFile, await makePdf(Array(4).fill([612, 792])));
+    const broken = path.join(dir, 'broken.pdf');
+    fs.writeFileSync(broken, 'not a PDF');
+
+    await drawOriginalPages(volumeFile, [{ number: 2, file: broken, pages: [2, 3] }]);
+
+    const volume = await PDFDocument.load(fs.readFileSync(volumeFile));
+    assert.strictEqual(volume.getPageCount(), 4);
+    assert.deepStrictEqual(volume.getPages().map(xObjects), [0, 0, 0, 0]);
+    // The notice adds a second font to the reserved pages
+    assert.deepStrictEqual(volume.getPages().map(fonts), [1, 1, 2, 2]);
+    assert.deepStrictEqual(readLabels(volume), [
+        [0, { S: 'D' }],
+        [2, { S: 'D', P: 'S2 p.', St: 1 }]
+    ]);
+});
+
+test('no placements leave the volume untouched', async () => {
+    const volumeFile = path.join(dir, 'volume-plain.pdf');
+    const bytes = await makePdf([[612, 792]]);
+    fs.writeFileSync(volumeFile, bytes);
+
+    await drawOriginalPages(volumeFile, []);
+    assert.ok(fs.readFileSync(volumeFile).equals(bytes));
+});
@@ -0,0 +1,32 @@
+/**
+ * Running header/footer and page number removal
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { removeRunningLines } = require('../pdf_text');
+
+// A page with one body line and the given lines in its footer
+const page = (...footer) => ({
+    height: 800,
+    lines: [{ text: 'Body text in the middle of the page.', y: 400 }, ...footer.map(text => ({ text, y: 30 }))]
+});
+const footers = (pages) => pages.map(p => p.lines.slice(1).map(line => line.text));
+
+test('removes arabic page numbers in their usual forms', () => {
+    const pages = [page('12'), page('- 13 -'), page('Page 14 of 40'), page('15/40')];
+    removeRunningLines(pages);
+    assert.deepStrictEqual(footers(pages), [[], [], [], []]);
+});
+
+test('removes roman page numbers that run across pages', () => {
+    const pages = [page('ix'), page('x'), page('XI')];
+    removeRunningLines(pages);
+    assert.deepStrictEqual(footers(pages), [[], [], []]);
+});
+
+test('keeps words that only look like roman numerals', () => {
+    // Not numerals, or mixed case; the one valid numeral ("xi") appears on a single page
+    const pages = [page('civil'), page('lil'), page('Xi'), page('xi')];
+    removeRunningLines(pages);
+    assert.deepStrictEqual(footers(pages), [['civil'], ['lil'], ['Xi'], ['xi']]);
+});
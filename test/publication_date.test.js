@@ -0,0 +1,69 @@
+/**
+ * Publication dates: normalizing to the precision given, and date-window boundaries
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeDate, isPublishedWithin, resolvePublishedDate, formatPublishedDate } = require('../publication_date');
+
+const utc = (iso) => new Date(`${iso}Z`);
+
+test('keeps partial dates at the precision given', () => {
+    assert.strictEqual(normalizeDate('2021'), '2021');
+    assert.strictEqual(normalizeDate(2021), '2021');
+    assert.strictEqual(normalizeDate('2021-5'), '2021-05');
+    assert.strictEqual(normalizeDate('2021/5/3'), '2021-05-03');
+    assert.strictEqual(normalizeDate('2021.05.03'), '2021-05-03');
+    assert.strictEqual(normalizeDate('2021-05-03T09:30:00+02:00'), '2021-05-03');
+    assert.strictEqual(normalizeDate('2021-05-03 09:30'), '2021-05-03');
+});
+
+test('reads PDF dates, Date objects and free-form dates', () => {
+    assert.strictEqual(normalizeDate("D:20210503120000+01'00'"), '2021-05-03');
+    assert.strictEqual(normalizeDate('D:202105'), '2021-05');
+    assert.strictEqual(normalizeDate(new Date(Date.UTC(2021, 4, 3, 23))), '2021-05-03');
+    assert.strictEqual(normalizeDate('Mon, 03 May 2021 10:00:00 GMT'), '2021-05-03');
+});
+
+test('rejects unparseable and implausible dates', () => {
+    for (const value of [undefined, null, '', 'soon', new Date('nonsense'), '1850', String(new Date().getUTCFullYear() + 2),
+        '2021-13', '2021-00-10', '2021-02-29', '2021-04-31', '2021-05-00']) {
+        assert.strictEqual(normalizeDate(value), null, `${value}`);
+    }
+    assert.strictEqual(normalizeDate('2020-02-29'), '2020-02-29');
+});
+
+test('a partial date passes if any part of its period is inside the window', () => {
+    // "2021" covers the whole year
+    assert.strictEqual(isPublishedWithin('2021', utc('2021-12-31T23:59:59.999'), null), true);
+    assert.strictEqual(isPublishedWithin('2021', utc('2022-01-01T00:00:00.000'), null), false);
+    assert.strictEqual(isPublishedWithin('2021', null, utc('2021-01-01T00:00:00.000')), true);
+    assert.strictEqual(isPublishedWithin('2021', null, utc('2020-12-31T23:59:59.999')), false);
+
+    // "2021-02" ends with the last day of February
+    assert.strictEqual(isPublishedWithin('2021-02', utc('2021-02-28T12:00:00'), null), true);
+    assert.strictEqual(isPublishedWithin('2021-02', utc('2021-03-01T00:00:00'), null), false);
+
+    // A full date covers one day
+    assert.strictEqual(isPublishedWithin('2021-05-03', utc('2021-05-03T18:00:00'), utc('2021-05-03T06:00:00')), true);
+    assert.strictEqual(isPublishedWithin('2021-05-03', utc('2021-05-04T00:00:00'), null), false);
+    assert.strictEqual(isPublishedWithin('2021-05-03', null, utc('2021-05-02T23:59:59.999')), false);
+});
+
+test('undated sources follow keepUndated', () => {
+    assert.strictEqual(isPublishedWithin(null, utc('2021-01-01T00:00:00'), null), true);
+    assert.strictEqual(isPublishedWithin(null, utc('2021-01-01T00:00:00'), null, false), false);
+});
+
+test('provider dates win over a bare year', () => {
+    assert.deepStrictEqual(resolvePublishedDate({ year: 2020, pubDate: 'Tue, 04 May 2021 08:00:00 GMT' }), { date: '2021-05-04', source: 'pubDate' });
+    assert.deepStrictEqual(resolvePublishedDate({ year: 2020, documentDate: { date: '2019-11', source: 'XMP dc:date' } }), { date: '2019-11', source: 'XMP dc:date' });
+    assert.deepStrictEqual(resolvePublishedDate({ year: 2020, publicationDate: 'n.d.' }), { date: '2020', source: 'year' });
+    assert.strictEqual(resolvePublishedDate({}), null);
+});
+
+test('formats dates at their precision', () => {
+    assert.strictEqual(formatPublishedDate('2021'), '2021');
+    assert.strictEqual(formatPublishedDate('2021-05'), 'May 2021');
+    assert.strictEqual(formatPublishedDate('2021-05-03'), '3 May 2021');
+    assert.strictEqual(formatPublishedDate(null), '');
+});
@@ -0,0 +1,51 @@
+/**
+ * Query variants: acronyms defined in the query itself, and synonyms-file substitutions
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSynonyms, findAcronymDefinitions, generateVariants } = require('../query_expansion');
+
+test('finds acronyms defined after their expansion', () => {
+    assert.deepStrictEqual(findAcronymDefinitions('tidal levelized cost of energy (LCOE) trends'), [
+        { definition: 'levelized cost of energy (LCOE)', acronym: 'LCOE', expansion: 'levelized cost of energy' }
+    ]);
+    // Hyphenated and slashed words count separately, and digits repeat a letter
+    assert.deepStrictEqual(findAcronymDefinitions('anti-access/area denial (A2AD) in the Baltic')[0].expansion, 'anti-access/area denial');
+    // Minor words may be skipped
+    assert.deepStrictEqual(findAcronymDefinitions('the Department of Energy (DOE) budget')[0].expansion, 'Department of Energy');
+});
+
+test('finds acronyms defined before their expansion', () => {
+    assert.deepStrictEqual(findAcronymDefinitions('ADCP (acoustic Doppler current profiler) deployment'), [
+        { definition: 'ADCP (acoustic Doppler current profiler)', acronym: 'ADCP', expansion: 'acoustic Doppler current profiler' }
+    ]);
+});
+
+test('ignores parentheses that are not acronym definitions', () => {
+    assert.deepStrictEqual(findAcronymDefinitions('tidal power (UK)'), []);
+    assert.deepStrictEqual(findAcronymDefinitions('wind farms (offshore) costs'), []);
+    assert.deepStrictEqual(findAcronymDefinitions('marine energy (ME) policy'), [{ definition: 'marine energy (ME)', acronym: 'ME', expansion: 'marine energy' }]);
+    assert.deepStrictEqual(findAcronymDefinitions('ocean thermal (OTEC) plants'), []);
+    assert.deepStrictEqual(findAcronymDefinitions('LCOE tidal stream'), []);
+});
+
+test('a defined acronym gives the expansion-only and acronym-only queries', () => {
+    assert.deepStrictEqual(generateVariants('levelized cost of energy (LCOE) for tidal stream', { quotePhrase: false }), [
+        'levelized cost of energy for tidal stream',
+        'LCOE for tidal stream'
+    ]);
+});
+
+test('synonym groups substitute in both directions', () => {
+    const synonyms = parseSynonyms('# military\nA2AD = anti-access/area denial, anti-access area-denial\nlonely =\n');
+    assert.deepStrictEqual(synonyms, [['A2AD', 'anti-access/area denial', 'anti-access area-denial']]);
+    assert.deepStrictEqual(generateVariants('A2AD Baltic', { synonyms }), [
+        '"A2AD Baltic"',
+        'anti-access/area denial Baltic',
+        'anti-access area-denial Baltic'
+    ]);
+    assert.deepStrictEqual(generateVariants('Baltic anti-access/area denial', { synonyms, quotePhrase: false }), [
+        'Baltic A2AD',
+        'Baltic anti-access area-denial'
+    ]);
+});
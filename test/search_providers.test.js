@@ -0,0 +1,40 @@
+/**
+ * Provider chain harvesting: chain order for one query, rank fusion for sub-queries
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { registerProvider, resolveProviderChain, harvestResults } = require('../search_providers');
+
+const calls = [];
+const provider = (name, urls, perQuery) => registerProvider(name, {
+    capabilities: ['web'],
+    perQuery,
+    search: async (query) => {
+        calls.push(`${name}:${query}`);
+        return urls.map(host => `https://${host}/`);
+    }
+});
+
+provider('first', ['a.test', 'b.test']);
+provider('second', ['c.test', 'a.test']);
+provider('crawl', ['d.test', 'c.test'], false);
+
+test('one query keeps the chain order', async () => {
+    calls.length = 0;
+    const chain = resolveProviderChain('first,second,crawl', 'both');
+    const results = await harvestResults(chain, ['main'], 10, {});
+    assert.deepStrictEqual(results.map(r => new URL(r.url).host), ['a.test', 'b.test', 'c.test', 'd.test']);
+    assert.strictEqual(results[0].matches.length, 2);
+});
+
+test('sub-queries are fused, and once-run providers only see the main query', async () => {
+    calls.length = 0;
+    const chain = resolveProviderChain('crawl,first,second', 'both');
+    const results = await harvestResults(chain, ['main', 'sub'], 10, {});
+
+    assert.deepStrictEqual(calls, ['crawl:main', 'first:main', 'second:main', 'first:sub', 'second:sub']);
+    // a.test is found by both providers for both queries, d.test only by the crawl
+    assert.strictEqual(new URL(results[0].url).host, 'a.test');
+    assert.strictEqual(new URL(results[results.length - 1].url).host, 'd.test');
+    assert.ok(results.find(r => r.url.includes('c.test')).matches.some(m => m.provider === 'crawl'));
+});
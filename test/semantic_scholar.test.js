@@ -0,0 +1,47 @@
+/**
+ * Citation snowball against a local stand-in for the Graph API that rate-limits
+ * and fails some requests
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+process.env.INPUT_SNOWBALL_SEEDS = '2';
+process.env.INPUT_SNOWBALL_DEPTH = '1';
+
+const paper = (paperId, pdf) => ({ paperId, title: `Paper ${paperId}`, openAccessPdf: pdf ? { url: `https://papers.example.org/${paperId}.pdf` } : null });
+const requests = [];
+
+const RESPONSES = {
+    '/paper/search': [[200, { data: [paper('A', true), paper('B', false)] }]],
+    // Rate-limited once, then answered
+    '/paper/A/references': [[429, {}, { 'Retry-After': '1' }], [200, { data: [{ citedPaper: paper('C', true) }, { citedPaper: paper('D', false) }] }]],
+    '/paper/A/citations': [[500, {}]],
+    '/paper/B/references': [[404, {}]],
+    '/paper/B/citations': [[200, { data: [{ citingPaper: paper('E', true) }] }]]
+};
+
+const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    requests.push(pathname);
+    const queue = RESPONSES[pathname] || [[404, {}]];
+    const [status, body, headers = {}] = queue.length > 1 ? queue.shift() : queue[0];
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+});
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    process.env.INPUT_S2_API_URL = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+})));
+test.after(() => server.close());
+
+test('retries rate-limited requests and carries on past failed ones', async () => {
+    const { snowballSemanticScholar } = require('../semantic_scholar');
+    const results = await snowballSemanticScholar('tidal power', 10);
+
+    assert.strictEqual(requests.filter(p => p === '/paper/A/references').length, 2);
+    assert.ok(requests.includes('/paper/B/citations'));
+    assert.deepStrictEqual(results.map(r => r.metadata.paperId).sort(), ['A', 'C', 'E']);
+    assert.strictEqual(results.find(r => r.metadata.paperId === 'E').metadata.reachedVia, 'references "Paper B"');
+});
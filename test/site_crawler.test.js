@@ -0,0 +1,86 @@
+/**
+ * Seeded crawling against the static fixture site in fixtures/site:
+ * robots.txt, a sitemap index, in-page links, depth and path-prefix scope
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+process.env.INPUT_DOMAIN_INTERVAL_MS = '0';
+const { parseSitemap, crawlSites } = require('../site_crawler');
+
+const SITE = path.join(__dirname, 'fixtures', 'site');
+const TYPES = { '.html': 'text/html; charset=utf-8', '.xml': 'application/xml', '.txt': 'text/plain' };
+let origin;
+
+// Serves the fixture files ({origin} filled in), directories as their index.html, and a PDF for /reports/download
+const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, origin);
+    if (pathname === '/reports/download') {
+        res.writeHead(200, { 'Content-Type': 'application/pdf' });
+        return res.end('%PDF-1.4\n');
+    }
+    const file = path.join(SITE, pathname.endsWith('/') ? `${pathname}index.html` : pathname);
+    if (!file.startsWith(SITE) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+        res.writeHead(404);
+        return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(fs.readFileSync(file, 'utf8').replaceAll('{origin}', origin));
+});
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    origin = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+})));
+test.after(() => server.close());
+
+const paths = (results) => results.map(result => new URL(result.url).pathname + new URL(result.url).search);
+
+test('parses sitemaps and sitemap indexes', () => {
+    const index = parseSitemap(fs.readFileSync(path.join(SITE, 'sitemap_index.xml'), 'utf8'));
+    assert.deepStrictEqual(index, { sitemaps: ['{origin}/sitemap-reports.xml'], urls: [] });
+
+    const sitemap = parseSitemap(fs.readFileSync(path.join(SITE, 'sitemap-reports.xml'), 'utf8'));
+    assert.strictEqual(sitemap.urls.length, 4);
+    assert.deepStrictEqual(sitemap.urls[0], { url: '{origin}/reports/annual-2023.pdf', lastmod: '2024-02-15' });
+});
+
+test('finds documents within the seed directory, depth and robots.txt', async () => {
+    const results = await crawlSites('reports', 50, { seeds: [`${origin}/reports/`], depth: 2 });
+
+    assert.deepStrictEqual(paths(results), [
+        '/reports/annual-2023.pdf',
+        '/reports/data.docx',
+        '/reports/annual-2022.pdf',
+        '/reports/archive/old-2010.pdf',
+        '/reports/download?id=7',
+        '/reports/archive/deeper/old-2001.pdf',
+        '/reports/summary.html',
+        '/reports/archive/',
+        '/reports/archive/deeper/'
+    ]);
+    assert.strictEqual(results[0].metadata.discoveredVia, 'sitemap');
+    assert.strictEqual(results[1].title, 'Data tables');
+    assert.strictEqual(results.find(r => r.url.endsWith('summary.html')).title, 'Summary of findings');
+    // Linked from the seed, but robots.txt disallows /reports/private/
+    assert.ok(!paths(results).some(p => p.includes('hidden')));
+});
+
+test('stops following links at the depth limit', async () => {
+    const results = await crawlSites('reports', 50, { seeds: [`${origin}/reports/`], depth: 1 });
+    assert.ok(!paths(results).includes('/reports/archive/deeper/old-2001.pdf'));
+    assert.ok(paths(results).includes('/reports/archive/old-2010.pdf'));
+});
+
+test('path prefixes narrow the scope', async () => {
+    const results = await crawlSites('reports', 50, { seeds: [`${origin}/reports/`], depth: 2, pathPrefix: '/reports/archive/' });
+    assert.deepStrictEqual(paths(results), [
+        '/reports/archive/old-2010.pdf',
+        '/reports/archive/deeper/old-2001.pdf',
+        '/reports/archive/',
+        '/reports/archive/deeper/'
+    ]);
+});
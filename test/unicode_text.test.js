@@ -0,0 +1,49 @@
+/**
+ * Encoding clean-up against the fixture corpus in fixtures/encoding:
+ * NAME.input.txt must come out as NAME.expected.txt (correct text must come out unchanged),
+ * and raw NAME.html bodies must decode to NAME.expected.txt
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { repairMojibake, stripInvalidCharacters, hasMojibake } = require('../unicode_text');
+const { decodeBody, detectCharset } = require('../text_encoding');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'encoding');
+const read = (file) => fs.readFileSync(path.join(FIXTURES, file), 'utf8');
+
+for (const file of fs.readdirSync(FIXTURES).filter(name => name.endsWith('.input.txt'))) {
+    const name = file.replace('.input.txt', '');
+    test(`repairs ${name}`, () => {
+        const repaired = stripInvalidCharacters(repairMojibake(read(file)));
+        assert.strictEqual(repaired, read(`${name}.expected.txt`));
+    });
+}
+
+for (const file of fs.readdirSync(FIXTURES).filter(name => name.endsWith('.html'))) {
+    const name = file.replace('.html', '');
+    test(`decodes ${name}`, () => {
+        const bytes = fs.readFileSync(path.join(FIXTURES, file));
+        assert.strictEqual(decodeBody(bytes, 'text/html'), read(`${name}.expected.txt`));
+    });
+}
+
+test('leaves correct German and French text alone', () => {
+    for (const text of ['„Das ist groß“.', '»Fuß«', 'CAFÉ–BAR', 'Ärger über Öl – Straße']) {
+        assert.strictEqual(repairMojibake(text), text);
+        assert.strictEqual(repairMojibake(text, { decodedAs: 'windows-1252' }), text);
+    }
+});
+
+test('needs evidence before repairing a single sequence', () => {
+    assert.strictEqual(repairMojibake('CafÃ© Society'), 'CafÃ© Society');
+    assert.strictEqual(repairMojibake('CafÃ© Society', { decodedAs: 'windows-1252' }), 'Café Society');
+    assert.strictEqual(repairMojibake('CafÃ© and naÃ¯ve'), 'Café and naïve');
+});
+
+test('undeclared non-UTF-8 bodies fall back to Windows-1252', () => {
+    const bytes = fs.readFileSync(path.join(FIXTURES, 'cp1252_undeclared.html'));
+    assert.deepStrictEqual(detectCharset(bytes), { charset: 'windows-1252', source: 'fallback' });
+    assert.strictEqual(hasMojibake(decodeBody(bytes)), false);
+});
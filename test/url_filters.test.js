@@ -0,0 +1,37 @@
+/**
+ * Domain, TLD and path rules
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { matchesDomain, buildFilterRules, checkUrl } = require('../url_filters');
+
+test('a bare domain covers the domain and its subdomains', () => {
+    assert.ok(matchesDomain('example.org', 'example.org'));
+    assert.ok(matchesDomain('www.example.org', 'example.org'));
+    assert.ok(matchesDomain('docs.example.org', 'example.org'));
+    assert.ok(!matchesDomain('notexample.org', 'example.org'));
+    assert.ok(!matchesDomain('example.org.evil.test', 'example.org'));
+});
+
+test('a wildcard covers only subdomains, with www counted as the domain itself', () => {
+    assert.ok(matchesDomain('docs.example.org', '*.example.org'));
+    assert.ok(matchesDomain('a.b.example.org', '*.example.org'));
+    assert.ok(!matchesDomain('example.org', '*.example.org'));
+    assert.ok(!matchesDomain('www.example.org', '*.example.org'));
+});
+
+test('host and pattern are normalized the same way', () => {
+    assert.ok(matchesDomain('example.org', 'www.example.org'));
+    assert.ok(matchesDomain('docs.example.org', 'WWW.Example.ORG'));
+    assert.ok(matchesDomain('WWW.EXAMPLE.ORG.', 'https://example.org/reports/'));
+    assert.ok(matchesDomain('docs.example.org', '*.www.example.org'));
+    assert.ok(!matchesDomain('example.org', ''));
+});
+
+test('checkUrl names the rule that rejected a link', () => {
+    const rules = buildFilterRules({ allowDomains: ['*.gov.uk'], denyDomains: ['www.spam.gov.uk'], blocklist: [], denyPaths: ['*/tag/*'] });
+    assert.strictEqual(checkUrl('https://docs.spam.gov.uk/a', rules), 'deny domain "www.spam.gov.uk"');
+    assert.strictEqual(checkUrl('https://example.org/a', rules), 'not in allowed domains (*.gov.uk)');
+    assert.strictEqual(checkUrl('https://www.ons.gov.uk/tag/energy', rules), 'deny path "*/tag/*"');
+    assert.strictEqual(checkUrl('https://www.ons.gov.uk/report', rules), null);
+});
@@ -0,0 +1,67 @@
+/**
+ * Wikipedia article HTML (recorded action=parse output) to blocks, and the API client's User-Agent
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { parseArticleHtml } = require('../wikipedia');
+
+const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'wikipedia', 'tidal_power.parse.html'), 'utf8');
+const blocks = parseArticleHtml(html, 'https://en.wikipedia.org/wiki/Tidal_power');
+
+test('keeps the infobox and data tables as tables', () => {
+    const tables = blocks.filter(block => block.type === 'table');
+    assert.deepStrictEqual(tables[0].rows, [['Type', 'Renewable energy'], ['First plant', 'Rance (1966)']]);
+    assert.deepStrictEqual(tables[1], {
+        type: 'table', caption: 'Largest stations', header: ['Station', 'Capacity (MW)'], rows: [['Sihwa Lake', '254'], ['Rance', '240']]
+    });
+});
+
+test('drops citation markers, furniture, reference sections and empty headings', () => {
+    const headings = blocks.filter(block => block.type === 'heading').map(block => block.text);
+    assert.deepStrictEqual(headings, ['Generating methods', 'Tidal stream generator']);
+    const paragraphs = blocks.filter(block => block.type === 'paragraph').map(block => block.text);
+    assert.deepStrictEqual(paragraphs, [
+        'Tidal power is a form of hydropower that converts the energy of tides into electricity.',
+        'Tidal stream generators make use of the kinetic energy of moving water.'
+    ]);
+    assert.ok(!blocks.some(block => block.type === 'list'));
+});
+
+test('resolves image links against the article URL', () => {
+    const figure = blocks.find(block => block.type === 'figure');
+    assert.strictEqual(figure.src, 'https://upload.wikimedia.org/wikipedia/commons/thumb/a/ab/Rance.jpg/220px-Rance.jpg');
+    assert.strictEqual(figure.caption, 'The Rance tidal power station');
+});
+
+test('identifies itself with the configured contact email, never a placeholder', async () => {
+    const agents = [];
+    const server = http.createServer((req, res) => {
+        agents.push(req.headers['user-agent']);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ parse: { title: 'Tidal power', text: html } }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.INPUT_WIKI_API_URL = `http://127.0.0.1:${server.address().port}/w/api.php`;
+
+    try {
+        for (const email of ['librarian@university.test', 'contact@example.com', '']) {
+            process.env.INPUT_DOI_EMAIL = email;
+            // Settings are read when the modules load
+            delete require.cache[require.resolve('../doi_resolver')];
+            delete require.cache[require.resolve('../wikipedia')];
+            const fetched = await require('../wikipedia').fetchWikipediaArticle({ title: 'Tidal power' });
+            assert.strictEqual(fetched.title, 'Tidal power');
+        }
+    } finally {
+        server.close();
+    }
+
+    assert.deepStrictEqual(agents, [
+        'ResearchBot/1.0 (Educational; librarian@university.test)',
+        'ResearchBot/1.0 (Educational)',
+        'ResearchBot/1.0 (Educational)'
+    ]);
+});
@@ -0,0 +1,123 @@
+/**
+ * Text Encoding Detection
+ * Decodes fetched HTML/XML bytes with the right charset: byte-order mark, then
+ * the Content-Type header, then a sniffed <meta charset> or XML declaration,
+ * then UTF-8 if the bytes are valid UTF-8, else Windows-1252
+ */
+
+const SNIFF_BYTES = 2048; // <meta charset> must appear near the start of the document
+
+// Windows-1252 characters for bytes 0x80-0x9F (the rest of the byte range matches Latin-1);
+// undefined bytes map to the C1 control of the same value
+const CP1252_HIGH = '\u20AC\u0081\u201A\u0192\u201E\u2026\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\u008D\u017D\u008F' +
+    '\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A\u0153\u009D\u017E\u0178';
+
+// Labels pages use that TextDecoder knows under another name
+const CHARSET_ALIASES = {
+    'utf8': 'utf-8',
+    'latin1': 'windows-1252',
+    'iso-8859-1': 'windows-1252', // browsers decode ISO-8859-1 as Windows-1252 too
+    'us-ascii': 'windows-1252',
+    'ascii': 'windows-1252',
+    'x-sjis': 'shift_jis',
+    'sjis': 'shift_jis',
+    'gb2312': 'gbk',
+    'cp1251': 'windows-1251',
+    'cp1252': 'windows-1252'
+};
+
+/**
+ * Normalize a charset label to one TextDecoder accepts
+ * @returns {string|null} - null for unknown labels
+ */
+function normalizeCharset(label) {
+    if (!label) return null;
+    const cleaned = label.trim().replace(/^["']|["']$/g, '').toLowerCase();
+    const charset = CHARSET_ALIASES[cleaned] || cleaned;
+    try {
+        new TextDecoder(charset);
+        return charset;
+    } catch (e) {
+        return null;
+    }
+}
+
+function charsetFromBOM(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    return null;
+}
+
+/**
+ * Charset declared inside the document (<meta charset>, http-equiv Content-Type, <?xml encoding?>)
+ */
+function charsetFromMarkup(bytes) {
+    // Declarations are ASCII, so a byte-for-byte reading is enough to find them
+    const head = Buffer.from(bytes.subarray(0, SNIFF_BYTES)).toString('latin1');
+    const match = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i) ||
+        head.match(/^\s*<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)["']/i);
+    return match ? match[1] : null;
+}
+
+/**
+ * Decode Windows-1252 bytes
+ * Node's TextDecoder treats the "windows-1252" label as Latin-1, losing curly quotes, dashes and the euro sign
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function decodeWindows1252(bytes) {
+    return Array.from(bytes, byte => byte >= 0x80 && byte <= 0x9F ? CP1252_HIGH[byte - 0x80] : String.fromCharCode(byte)).join('');
+}
+
+function isValidUTF8(bytes) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Work out a response body's charset
+ * @param {Uint8Array|Buffer} bytes - Response body
+ * @param {string} [contentType] - Content-Type header
+ * @returns {{charset: string, source: string}}
+ */
+function detectCharset(bytes, contentType = '') {
+    const bom = charsetFromBOM(bytes);
+    if (bom) return { charset: bom, source: 'BOM' };
+
+    const declared = normalizeCharset(contentType.match(/charset\s*=\s*([^;]+)/i)?.[1]);
+    if (declared) return { charset: declared, source: 'header' };
+
+    const sniffed = normalizeCharset(charsetFromMarkup(bytes));
+    // A page claiming UTF-16 in ASCII markup is mistaken; the BOM check covers real UTF-16
+    if (sniffed && !sniffed.startsWith('utf-16')) return { charset: sniffed, source: 'meta' };
+
+    return isValidUTF8(bytes)
+        ? { charset: 'utf-8', source: 'default' }
+        : { charset: 'windows-1252', source: 'fallback' };
+}
+
+/**
+ * Decode a response body to text using its detected charset
+ * @param {ArrayBuffer|Uint8Array|Buffer} body - Response body (axios responseType 'arraybuffer')
+ * @param {string} [contentType] - Content-Type header
+ * @returns {string}
+ */
+function decodeBody(body, contentType = '') {
+    const bytes = body instanceof Uint8Array ? body : new Uint8Array(body);
+    const { charset } = detectCharset(bytes, contentType);
+    if (charset === 'windows-1252') return decodeWindows1252(bytes);
+    // TextDecoder strips the BOM itself
+    return new TextDecoder(charset).decode(bytes);
+}
+
+module.exports = {
+    normalizeCharset,
+    detectCharset,
+    decodeWindows1252,
+    decodeBody
+};
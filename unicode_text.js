@@ -0,0 +1,119 @@
+/**
+ * Unicode Text Helpers
+ * Encoding-aware clean-up that keeps real text in any script: repairs UTF-8
+ * that was decoded as Windows-1252, and strips control and replacement
+ * characters instead of whitelisting ASCII
+ */
+const { decodeWindows1252 } = require('./text_encoding');
+
+// C0/C1 controls (except tab/newline/carriage return), replacement and non-characters,
+// byte-order marks, zero-width spaces and soft hyphens
+const INVALID_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\uFFFD\uFFFE\uFFFF\uFEFF\u200B\u00AD]/g;
+
+// Characters cp1252 shows for the UTF-8 continuation bytes 0x80-0xBF
+const CP1252_CONTINUATION = '\\u0080-\\u00BF\\u0152\\u0153\\u0160\\u0161\\u0178\\u017D\\u017E\\u0192\\u02C6\\u02DC' +
+    '\\u2013\\u2014\\u2018-\\u201A\\u201C-\\u201E\\u2020-\\u2022\\u2026\\u2030\\u2039\\u203A\\u20AC\\u2122';
+
+// UTF-8 lead byte (as cp1252/Latin-1) followed by the right number of continuation bytes,
+// e.g. "Ã©" for "é", "â€™" for "’", "Ð¿" for "п"
+const MOJIBAKE_SEQUENCE = `[\\u00C2-\\u00DF][${CP1252_CONTINUATION}]|[\\u00E0-\\u00EF][${CP1252_CONTINUATION}]{2}|[\\u00F0-\\u00F4][${CP1252_CONTINUATION}]{3}`;
+const MOJIBAKE = new RegExp(MOJIBAKE_SEQUENCE);
+const MOJIBAKE_SEQUENCES = new RegExp(MOJIBAKE_SEQUENCE, 'g');
+const MOJIBAKE_RUNS = new RegExp(`(?:${MOJIBAKE_SEQUENCE})+`, 'g');
+
+// Character -> byte, accepting both the cp1252 and the Latin-1 reading of 0x80-0x9F
+const CP1252_BYTES = new Map();
+for (let byte = 0; byte < 256; byte++) {
+    CP1252_BYTES.set(decodeWindows1252([byte]), byte);
+    if (!CP1252_BYTES.has(String.fromCharCode(byte))) CP1252_BYTES.set(String.fromCharCode(byte), byte);
+}
+
+/**
+ * Remove characters that are never text: controls, U+FFFD, lone surrogates and the like
+ * Also normalizes to NFC so composed and decomposed accents compare equal
+ * @param {string} text
+ * @returns {string}
+ */
+function stripInvalidCharacters(text) {
+    if (!text) return '';
+    return text
+        // Lone surrogates from truncated astral characters
+        .replace(/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g, '')
+        .replace(INVALID_CHARACTERS, '')
+        .normalize('NFC');
+}
+
+/**
+ * Does a string contain UTF-8 bytes that were decoded as cp1252/Latin-1?
+ */
+function hasMojibake(text) {
+    return MOJIBAKE.test(text || '');
+}
+
+// Suspicious sequences (one per mis-decoded character) needed before text with no known decoding is repaired
+const MIN_MOJIBAKE_SEQUENCES = 2;
+
+// What mis-decoded UTF-8 turns back into: letters of the common alphabets (Latin, Greek,
+// Cyrillic, Hebrew, Arabic) or anything from a three- or four-byte sequence (punctuation, CJK, emoji).
+// Two-byte results outside these (IPA, modifier letters, NKo: "ß“" -> "ߓ", "É–" -> "ɖ") are real text
+const PLAUSIBLE_REPAIR = /^([\u00A0-\u024F\u0370-\u052F\u0590-\u06FF]|[\u0800-\uFFFF]|[\uD800-\uDBFF][\uDC00-\uDFFF])+$/;
+
+function suspiciousLength(text) {
+    return (text.match(MOJIBAKE_RUNS) || []).reduce((sum, run) => sum + run.length, 0);
+}
+
+/**
+ * Reverse UTF-8 that was decoded as Windows-1252 or Latin-1 ("CafÃ©" -> "Café")
+ * Only with evidence: the caller knows the text was decoded as Windows-1252/Latin-1, or
+ * it has several suspicious sequences. Each run is re-encoded to its original bytes and kept
+ * only if they are valid UTF-8 and decode to a plausible character, and the result must
+ * have fewer suspicious characters than the input - so "groß“" or "CAFÉ–BAR" stay as they are.
+ * Repeats to undo text that was mis-decoded twice.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.decodedAs] - Charset the text was decoded with, when known
+ * @returns {string}
+ */
+function repairMojibake(text, { decodedAs = null } = {}) {
+    if (!text) return '';
+    const utf8 = new TextDecoder('utf-8', { fatal: true });
+    const knownLatin1 = ['windows-1252', 'latin1', 'iso-8859-1'].includes((decodedAs || '').toLowerCase());
+
+    let repaired = text;
+    for (let pass = 0; pass < 3 && hasMojibake(repaired); pass++) {
+        const sequences = repaired.match(MOJIBAKE_SEQUENCES) || [];
+        if (!knownLatin1 && sequences.length < MIN_MOJIBAKE_SEQUENCES) break;
+
+        const next = repaired.replace(MOJIBAKE_RUNS, run => {
+            try {
+                const decoded = utf8.decode(Uint8Array.from([...run], c => CP1252_BYTES.get(c)));
+                return PLAUSIBLE_REPAIR.test(decoded) ? decoded : run;
+            } catch (e) {
+                return run;
+            }
+        });
+        if (next === repaired || suspiciousLength(next) >= suspiciousLength(repaired)) break;
+        repaired = next;
+    }
+    return repaired;
+}
+
+/**
+ * Share of a line made of symbols and other non-text characters
+ * Letters, marks and digits of every script count as text, as does ordinary punctuation
+ * @param {string} line
+ * @returns {number} - 0..1
+ */
+function symbolRatio(line) {
+    if (!line) return 0;
+    const chars = [...line];
+    const symbols = chars.filter(c => !/[\p{L}\p{M}\p{N}\s\p{Pd}\p{Pi}\p{Pf}.,!?;:'"()\u00B7\u2026\u3001\u3002\uFF01\uFF08\uFF09\uFF0C\uFF1A\uFF1B\uFF1F]/u.test(c));
+    return symbols.length / chars.length;
+}
+
+module.exports = {
+    stripInvalidCharacters,
+    hasMojibake,
+    repairMojibake,
+    symbolRatio
+};
@@ -0,0 +1,184 @@
+/**
+ * URL Filters
+ * Central filter stage between harvest and processing: domain allow/deny lists
+ * (with wildcard subdomains), TLD rules, path patterns, a shared blocklist file
+ * and a per-domain cap. Every rejection names the rule that matched.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ALLOW_DOMAINS = process.env.INPUT_ALLOW_DOMAINS || '';   // e.g. "nato.int,*.gov.uk" - only these domains
+const DENY_DOMAINS = process.env.INPUT_DENY_DOMAINS || '';     // e.g. "pinterest.com,*.blogspot.com"
+const ALLOW_TLDS = process.env.INPUT_ALLOW_TLDS || '';         // e.g. ".gov,.edu,.mil"
+const DENY_TLDS = process.env.INPUT_DENY_TLDS || '';
+const ALLOW_PATHS = process.env.INPUT_ALLOW_PATHS || '';       // path globs, e.g. "/reports/*,*.pdf"
+const DENY_PATHS = process.env.INPUT_DENY_PATHS || '';         // e.g. "*/tag/*,*/amp/*"
+const MAX_PER_DOMAIN = parseInt(process.env.INPUT_MAX_PER_DOMAIN || "0"); // 0 = no cap
+const BLOCKLIST_FILE = process.env.INPUT_BLOCKLIST_FILE || path.resolve(__dirname, 'blocklist.txt');
+
+function splitList(value) {
+    return (value || '').split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Read a blocklist file: one domain per line, "#" starts a comment
+ * @param {string} file - Path to the blocklist
+ * @returns {Array<string>} - Domain patterns
+ */
+function loadBlocklist(file = BLOCKLIST_FILE) {
+    if (!file || !fs.existsSync(file)) return [];
+    try {
+        return fs.readFileSync(file, 'utf8').split('\n')
+            .map(line => line.replace(/#.*$/, '').trim().toLowerCase())
+            .filter(Boolean);
+    } catch (e) {
+        console.log(`   ⚠️ Could not read blocklist ${file}: ${e.message}`);
+        return [];
+    }
+}
+
+/**
+ * Host as compared by the domain rules: lower case, without scheme, port, path,
+ * trailing dot or leading "www." (so "https://WWW.Example.org/" is "example.org")
+ */
+function normalizeHost(value) {
+    return (value || '').trim().toLowerCase()
+        .replace(/^[a-z][\w+.-]*:\/\//, '')
+        .replace(/[/:?#].*$/, '')
+        .replace(/\.$/, '')
+        .replace(/^www\./, '');
+}
+
+/**
+ * Does a hostname match a domain pattern?
+ * Both sides are normalized the same way, so "www." never matters: "www.example.org" is "example.org".
+ * A bare domain ("example.org") matches the domain and all its subdomains ("docs.example.org");
+ * "*.example.org" matches only the subdomains, and www.example.org counts as the domain itself
+ */
+function matchesDomain(hostname, pattern) {
+    const host = normalizeHost(hostname);
+    const wildcard = pattern.trim().startsWith('*.');
+    const domain = normalizeHost(wildcard ? pattern.trim().slice(2) : pattern);
+    if (!host || !domain) return false;
+
+    const isSubdomain = host.endsWith(`.${domain}`);
+    return wildcard ? isSubdomain : host === domain || isSubdomain;
+}
+
+/**
+ * Does a hostname end in a TLD (".gov", ".gov.uk", or without the dot)?
+ */
+function matchesTLD(hostname, tld) {
+    return hostname.toLowerCase().endsWith(tld.startsWith('.') ? tld : `.${tld}`);
+}
+
+/**
+ * Does a path (with query string) match a glob where "*" is any run of characters?
+ */
+function matchesPath(urlPath, glob) {
+    const pattern = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${pattern}$`, 'i').test(urlPath);
+}
+
+/**
+ * Build the filter rules from the INPUT_* settings and the blocklist file
+ * @param {Object} [overrides] - Replace any of the configured lists
+ */
+function buildFilterRules(overrides = {}) {
+    return {
+        allowDomains: overrides.allowDomains || splitList(ALLOW_DOMAINS),
+        denyDomains: overrides.denyDomains || splitList(DENY_DOMAINS),
+        blocklist: overrides.blocklist || loadBlocklist(),
+        allowTLDs: overrides.allowTLDs || splitList(ALLOW_TLDS),
+        denyTLDs: overrides.denyTLDs || splitList(DENY_TLDS),
+        allowPaths: overrides.allowPaths || splitList(ALLOW_PATHS),
+        denyPaths: overrides.denyPaths || splitList(DENY_PATHS),
+        maxPerDomain: overrides.maxPerDomain ?? MAX_PER_DOMAIN
+    };
+}
+
+/**
+ * Check one URL against the domain, TLD and path rules
+ * @returns {string|null} - The rule that rejected it, or null if it passes
+ */
+function checkUrl(url, rules) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return 'invalid URL';
+    }
+    const host = parsed.hostname;
+    const urlPath = `${parsed.pathname}${parsed.search}`;
+
+    const denied = rules.denyDomains.find(d => matchesDomain(host, d));
+    if (denied) return `deny domain "${denied}"`;
+
+    const blocked = rules.blocklist.find(d => matchesDomain(host, d));
+    if (blocked) return `blocklist "${blocked}"`;
+
+    if (rules.allowDomains.length && !rules.allowDomains.some(d => matchesDomain(host, d))) {
+        return `not in allowed domains (${rules.allowDomains.join(', ')})`;
+    }
+
+    const deniedTLD = rules.denyTLDs.find(t => matchesTLD(host, t));
+    if (deniedTLD) return `deny TLD "${deniedTLD}"`;
+
+    if (rules.allowTLDs.length && !rules.allowTLDs.some(t => matchesTLD(host, t))) {
+        return `not in allowed TLDs (${rules.allowTLDs.join(', ')})`;
+    }
+
+    const deniedPath = rules.denyPaths.find(p => matchesPath(urlPath, p));
+    if (deniedPath) return `deny path "${deniedPath}"`;
+
+    if (rules.allowPaths.length && !rules.allowPaths.some(p => matchesPath(urlPath, p))) {
+        return `not in allowed paths (${rules.allowPaths.join(', ')})`;
+    }
+
+    return null;
+}
+
+/**
+ * Filter harvested results, best-ranked first so the per-domain cap keeps the top hits
+ * @param {Array<Object>} results - Search result records in rank order
+ * @param {Object} [rules] - Output of buildFilterRules
+ * @returns {{accepted: Array<Object>, rejected: Array<{url: string, provider: string, rule: string}>}}
+ */
+function filterResults(results, rules = buildFilterRules()) {
+    const accepted = [];
+    const rejected = [];
+    const perDomain = new Map();
+
+    for (const result of results) {
+        let rule = checkUrl(result.url, rules);
+
+        if (!rule && rules.maxPerDomain > 0) {
+            const host = normalizeHost(new URL(result.url).hostname);
+            const count = perDomain.get(host) || 0;
+            if (count >= rules.maxPerDomain) {
+                rule = `per-domain cap (${rules.maxPerDomain}) for ${host}`;
+            } else {
+                perDomain.set(host, count + 1);
+            }
+        }
+
+        if (rule) {
+            console.log(`   🚫 Filtered ${result.url.substring(0, 70)}: ${rule}`);
+            rejected.push({ url: result.url, provider: result.provider, rule });
+        } else {
+            accepted.push(result);
+        }
+    }
+
+    return { accepted, rejected };
+}
+
+module.exports = {
+    loadBlocklist,
+    normalizeHost,
+    matchesDomain,
+    matchesPath,
+    buildFilterRules,
+    checkUrl,
+    filterResults
+};
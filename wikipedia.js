@@ -0,0 +1,216 @@
+/**
+ * Wikipedia Provider
+ * Searches any Wikipedia language edition and fetches each article's parsed HTML
+ * through the API, so articles keep their sections, tables and infoboxes without a browser render
+ */
+const axios = require('axios');
+const { JSDOM } = require('jsdom');
+const { extractBlocks, blocksToText } = require('./html_blocks');
+const { createSearchResult } = require('./search_result');
+const { CONTACT_EMAIL } = require('./doi_resolver');
+
+const WIKI_LANG = process.env.INPUT_WIKI_LANG || 'en';
+const WIKI_SEE_ALSO = process.env.INPUT_WIKI_SEE_ALSO === 'true'; // follow "See also" links one hop
+// Override to point at a local stand-in (or a MediaWiki mirror); {lang} is replaced
+const WIKI_API_URL = process.env.INPUT_WIKI_API_URL || 'https://{lang}.wikipedia.org/w/api.php';
+
+// Wikimedia asks API clients for a contact address; the DOI lookups' INPUT_DOI_EMAIL is reused when set
+const USER_AGENT = `ResearchBot/1.0 (Educational${CONTACT_EMAIL ? `; ${CONTACT_EMAIL}` : ''})`;
+
+// "See also" heading per language edition
+const SEE_ALSO_HEADINGS = {
+    en: 'See also', de: 'Siehe auch', fr: 'Voir aussi', es: 'Véase también',
+    it: 'Voci correlate', pt: 'Ver também', nl: 'Zie ook', sv: 'Se även', pl: 'Zobacz też'
+};
+
+// Trailing sections that are lists of links/citations rather than prose
+const SKIPPED_SECTIONS = new Set([
+    'see also', 'references', 'notes', 'footnotes', 'citations', 'sources', 'bibliography',
+    'further reading', 'external links', 'notes and references',
+    'siehe auch', 'einzelnachweise', 'literatur', 'weblinks', 'anmerkungen',
+    'voir aussi', 'notes et références', 'références', 'bibliographie', 'liens externes',
+    'véase también', 'referencias', 'bibliografía', 'enlaces externos', 'notas'
+]);
+
+function apiUrl(lang = WIKI_LANG) {
+    return WIKI_API_URL.replace('{lang}', lang);
+}
+
+function articleUrl(title, lang = WIKI_LANG) {
+    return `https://${lang}.wikipedia.org/wiki/${encodeURIComponent(title.replace(/ /g, '_'))}`;
+}
+
+async function wikiGet(params, lang = WIKI_LANG) {
+    const response = await axios.get(apiUrl(lang), {
+        params: { format: 'json', formatversion: 2, origin: '*', ...params },
+        headers: { 'User-Agent': USER_AGENT },
+        timeout: 15000
+    });
+    return response.data;
+}
+
+/**
+ * Article titles linked from an article's "See also" section
+ * @returns {Promise<Array<string>>}
+ */
+async function getSeeAlsoTitles(title, lang = WIKI_LANG) {
+    const heading = (SEE_ALSO_HEADINGS[lang] || SEE_ALSO_HEADINGS.en).toLowerCase();
+
+    const sectionData = await wikiGet({ action: 'parse', page: title, prop: 'sections', redirects: 1 }, lang);
+    const section = (sectionData?.parse?.sections || []).find(s => s.line.toLowerCase() === heading);
+    if (!section) return [];
+
+    const linkData = await wikiGet({ action: 'parse', page: title, prop: 'links', section: section.index, redirects: 1 }, lang);
+    return (linkData?.parse?.links || [])
+        .filter(l => l.ns === 0 && l.exists !== false)
+        .map(l => l.title);
+}
+
+/**
+ * Search Wikipedia, optionally following "See also" links one hop from the hits
+ * @param {string} query - Search query
+ * @param {number} maxLinks - Number of articles wanted
+ * @returns {Promise<Array>} - Search result records
+ */
+async function searchWikipedia(query, maxLinks) {
+    const links = [];
+    console.log(`\n🔍 Searching Wikipedia (${WIKI_LANG}) API for: "${query}"...`);
+
+    try {
+        // Leave room for "See also" articles when following them
+        const searchLimit = WIKI_SEE_ALSO ? Math.ceil(maxLinks / 2) : maxLinks;
+        const data = await wikiGet({
+            action: 'query',
+            list: 'search',
+            srsearch: query,
+            srlimit: Math.min(searchLimit, 50)
+        });
+
+        const results = data?.query?.search || [];
+        console.log(`   Found ${results.length} Wikipedia articles`);
+
+        results.forEach((result, idx) => {
+            links.push(createSearchResult({
+                url: articleUrl(result.title),
+                title: result.title,
+                // Search snippets come back with <span class="searchmatch"> highlighting
+                snippet: (result.snippet || '').replace(/<[^>]+>/g, ''),
+                provider: 'wikipedia',
+                query,
+                rank: idx + 1,
+                metadata: { pageId: result.pageid, lang: WIKI_LANG, title: result.title }
+            }));
+        });
+
+        if (WIKI_SEE_ALSO) {
+            const hits = [...links];
+            for (const hit of hits) {
+                if (links.length >= maxLinks) break;
+
+                try {
+                    const related = await getSeeAlsoTitles(hit.metadata.title);
+                    for (const title of related) {
+                        const url = articleUrl(title);
+                        if (links.length >= maxLinks) break;
+                        if (links.some(l => l.url === url)) continue;
+
+                        links.push(createSearchResult({
+                            url,
+                            title,
+                            provider: 'wikipedia',
+                            query,
+                            rank: links.length + 1,
+                            metadata: { lang: WIKI_LANG, title, seeAlsoFrom: hit.metadata.title }
+                        }));
+                    }
+                } catch (e) {
+                    console.log(`   ⚠️ "See also" lookup failed for ${hit.metadata.title}: ${e.message}`);
+                }
+            }
+            console.log(`   🔗 Added ${links.length - hits.length} "See also" articles`);
+        }
+
+        console.log(`   ✅ Extracted ${links.length} Wikipedia links`);
+    } catch (e) {
+        console.log(`   ❌ Wikipedia API failed: ${e.message}`);
+    }
+
+    return links;
+}
+
+// Page furniture in parsed article HTML: edit links, citation markers, reference lists,
+// navigation boxes, maintenance banners and hatnotes
+const CLUTTER = [
+    '.mw-editsection', 'sup.reference', '.mw-ref', '.reflist', '.mw-references-wrap', 'ol.references',
+    '.navbox', '.vertical-navbox', '.sistersitebox', '.hatnote', '.ambox', '.metadata', '.noprint',
+    '.shortdescription', '#toc', '.toc', '.mw-empty-elt', 'style', 'link'
+].join(', ');
+
+/**
+ * Blocks for an article's parsed HTML (action=parse): infoboxes and data tables
+ * come through as tables; reference-style sections and headings left empty are dropped
+ * @param {string} html - Article HTML
+ * @param {string} [url] - Article URL, for resolving image links
+ * @returns {Array<Object>} - Blocks, as from extractBlocks
+ */
+function parseArticleHtml(html, url) {
+    const document = new JSDOM(html, url ? { url } : {}).window.document;
+    document.querySelectorAll(CLUTTER).forEach(el => el.remove());
+
+    let skippedLevel = null;
+    const blocks = extractBlocks(document.body).filter(block => {
+        if (block.type !== 'heading') return skippedLevel === null;
+        // Skip reference-style sections and everything nested under them
+        if (skippedLevel !== null && block.level > skippedLevel) return false;
+        skippedLevel = SKIPPED_SECTIONS.has(block.text.toLowerCase()) ? block.level : null;
+        return skippedLevel === null;
+    });
+
+    // Drop headings with no content under them (and no subsections)
+    return blocks.filter((block, i) => block.type !== 'heading' ||
+        (blocks[i + 1] && (blocks[i + 1].type !== 'heading' || blocks[i + 1].level > block.level)));
+}
+
+/**
+ * Fetch an article's parsed HTML and turn it into structured blocks
+ * @param {Object} result - Search result record from searchWikipedia
+ * @returns {Promise<Object|null>} - { type, title, content, blocks } or null to fall back to the URL
+ */
+async function fetchWikipediaArticle(result) {
+    const title = result.metadata?.title || result.title;
+    const lang = result.metadata?.lang || WIKI_LANG;
+    if (!title) return null;
+
+    try {
+        console.log(`      📖 Fetching Wikipedia article: ${title}`);
+        const data = await wikiGet({
+            action: 'parse',
+            page: title,
+            prop: 'text',
+            redirects: 1,
+            disableeditsection: 1,
+            disabletoc: 1
+        }, lang);
+
+        const html = data?.parse?.text;
+        if (!html) return null;
+
+        const blocks = parseArticleHtml(html, articleUrl(data.parse.title, lang));
+        return {
+            type: 'WEB',
+            title: data.parse.title,
+            content: blocksToText(blocks),
+            blocks
+        };
+    } catch (e) {
+        console.log(`      ⚠️ Wikipedia article fetch failed for ${title}: ${e.message}`);
+        return null;
+    }
+}
+
+module.exports = {
+    getSeeAlsoTitles,
+    parseArticleHtml,
+    searchWikipedia,
+    fetchWikipediaArticle
+};